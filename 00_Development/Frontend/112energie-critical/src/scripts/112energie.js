@@ -597,10 +597,32 @@ class EnergyApp {
     
     initFormHandlers() {
         const forms = document.querySelectorAll('form');
+        if (forms.length === 0) return;
+        
+        // Same API and anti-spam checks as the live site, loaded from its
+        // scripts/ directory; dev/mock-server.js answers on localhost
+        const isLocal = /^(localhost|127\.0\.0\.1)$/.test(location.hostname);
+        this.apiEndpoint = isLocal ? `${location.origin}/api` : 'https://api.112energie.nl/v2';
+        this.submissions = new SubmissionClient({
+            endpoint: this.apiEndpoint,
+            onSent: () => this.announceToScreenReader('Je offline bewaarde formulier is alsnog verstuurd')
+        }).watch();
+        this.guards = new Map();
+        this.rateLimit = new SubmissionRateLimit();
+        this.validators = new Map();
         
         forms.forEach(form => {
             form.addEventListener('submit', this.handleFormSubmit.bind(this));
             
+            // Rules come from the markup; see scripts/validation.js
+            this.validators.set(form, new FormValidator(form));
+            
+            this.guards.set(form, new FormGuard(form, {
+                challengeUrl: `${this.apiEndpoint}/challenge`,
+                workerUrl: '../../../../scripts/pow-worker.js',
+                rateLimit: this.rateLimit
+            }));
+            
             // Real-time validation
             const inputs = form.querySelectorAll('input, textarea, select');
             inputs.forEach(input => {
@@ -619,103 +641,46 @@ class EnergyApp {
             this.setFormLoading(form, true);
             
             // Validate form
-            const isValid = this.validateForm(form);
+            const isValid = await this.validateForm(form);
             if (!isValid) {
                 this.setFormLoading(form, false);
                 return;
             }
             
             // Submit form data
-            const formData = new FormData(form);
-            const response = await this.submitForm(formData);
-            
-            if (response.success) {
-                this.showFormSuccess(form);
-            } else {
-                throw new Error(response.message || 'Form submission failed');
-            }
+            const response = await this.submitForm(form);
+            this.showFormSuccess(form, response.queued);
             
         } catch (error) {
-            this.showFormError(form, error.message);
+            const fields = this.showServerErrors(form, error.fields);
+            this.showFormError(form, fields.length > 0 ? 'Controleer de gemarkeerde velden.' : error.message);
         } finally {
             this.setFormLoading(form, false);
         }
     }
     
+    validatorFor(input) {
+        const form = input.form || input.closest('form');
+        if (!this.validators.has(form)) {
+            this.validators.set(form, new FormValidator(form));
+        }
+        return this.validators.get(form);
+    }
+    
     validateForm(form) {
-        const inputs = form.querySelectorAll('input[required], textarea[required], select[required]');
-        let isValid = true;
-        
-        inputs.forEach(input => {
-            if (!this.validateField(input)) {
-                isValid = false;
-            }
-        });
-        
-        return isValid;
+        return this.validators.get(form).validateForm();
     }
     
     validateField(input) {
-        const value = input.value.trim();
-        const type = input.type;
-        let isValid = true;
-        let message = '';
-        
-        // Required check
-        if (input.hasAttribute('required') && !value) {
-            isValid = false;
-            message = 'Dit veld is verplicht';
-        }
-        
-        // Type-specific validation
-        if (value && type === 'email') {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                isValid = false;
-                message = 'Voer een geldig e-mailadres in';
-            }
-        }
-        
-        if (value && type === 'tel') {
-            const phoneRegex = /^[\+]?[(]?[\d\s\-\(\)]{10,}$/;
-            if (!phoneRegex.test(value)) {
-                isValid = false;
-                message = 'Voer een geldig telefoonnummer in';
-            }
-        }
-        
-        // Show/hide error
-        if (isValid) {
-            this.clearFieldError(input);
-        } else {
-            this.showFieldError(input, message);
-        }
-        
-        return isValid;
+        return this.validatorFor(input).validateField(input);
     }
     
     showFieldError(input, message) {
-        input.classList.add('error');
-        
-        let errorElement = input.parentNode.querySelector('.field-error');
-        if (!errorElement) {
-            errorElement = document.createElement('div');
-            errorElement.className = 'field-error';
-            errorElement.setAttribute('role', 'alert');
-            input.parentNode.appendChild(errorElement);
-        }
-        
-        errorElement.textContent = message;
-        input.setAttribute('aria-describedby', errorElement.id || 'field-error');
+        this.validatorFor(input).showError(input, message);
     }
     
     clearFieldError(input) {
-        input.classList.remove('error');
-        const errorElement = input.parentNode.querySelector('.field-error');
-        if (errorElement) {
-            errorElement.remove();
-        }
-        input.removeAttribute('aria-describedby');
+        this.validatorFor(input).clearError(input);
     }
     
     setFormLoading(form, isLoading) {
@@ -732,20 +697,26 @@ class EnergyApp {
         }
     }
     
-    async submitForm(formData) {
-        // Implement your form submission logic here
-        // This is a placeholder
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve({ success: true });
-            }, 1000);
-        });
+    // Posts to the form's data-endpoint; see scripts/submission.js for retry and the offline outbox
+    async submitForm(form) {
+        const guard = this.guards.get(form);
+        const endpoint = form.dataset.endpoint || `/forms/${form.id || 'contact'}`;
+        const response = await this.submissions.submit(endpoint, await guard.seal(this.validators.get(form).values()));
+        guard.reset();
+        return response;
+    }
+    
+    // Field errors from the API response; returns the fields that were marked
+    showServerErrors(form, errors) {
+        return this.validators.get(form).showErrors(errors);
     }
     
-    showFormSuccess(form) {
+    showFormSuccess(form, queued = false) {
         const successMessage = document.createElement('div');
         successMessage.className = 'form-success';
-        successMessage.textContent = 'Bedankt! We nemen zo snel mogelijk contact met je op.';
+        successMessage.textContent = queued ?
+            'Je bent offline. We versturen je bericht automatisch zodra je weer verbinding hebt.' :
+            'Bedankt! We nemen zo snel mogelijk contact met je op.';
         
         form.parentNode.insertBefore(successMessage, form);
         form.style.display = 'none';
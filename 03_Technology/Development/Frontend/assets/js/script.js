@@ -85,23 +85,19 @@ document.addEventListener('DOMContentLoaded', function() {
     // Contact form handling
     const contactForm = document.getElementById('contactForm');
     if (contactForm) {
-        contactForm.addEventListener('submit', function(e) {
-            e.preventDefault();
-            
-            // Get form data
-            const formData = new FormData(contactForm);
-            const data = Object.fromEntries(formData);
-            
-            // Simple validation
-            if (!data.name || !data.email || !data.message) {
-                showNotification('Vul alle verplichte velden in.', 'error');
-                return;
+        // Rules come from the markup (required, type="email"); see scripts/validation.js
+        const validator = new FormValidator(contactForm, {
+            schema: {
+                name: { minLength: 2 },
+                message: { minLength: 10, messages: { minLength: 'Uw bericht is te kort.' } }
             }
+        }).bind();
+        
+        contactForm.addEventListener('submit', async function(e) {
+            e.preventDefault();
             
-            // Email validation
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(data.email)) {
-                showNotification('Voer een geldig emailadres in.', 'error');
+            if (!(await validator.validateForm())) {
+                showNotification('Controleer de gemarkeerde velden.', 'error');
                 return;
             }
             
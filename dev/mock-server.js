@@ -0,0 +1,1235 @@
+/**
+ * 112Energie Local Mock Server
+ * Description: Serves the site and fakes the backend for local development.
+ *
+ * Usage: node dev/mock-server.js [--port=8112] [--drop=0.1] [--kill-after=30] [--fail-rate=0.3] [--latency=2000]
+ *   --drop        fraction of live readings that are skipped (exercises replay)
+ *   --kill-after  seconds after which every socket is dropped (exercises reconnect)
+ *   --fail-rate   fraction of API posts answered with 503 (exercises retry)
+ *   --latency     milliseconds before every API answer (exercises timeouts)
+ *   --difficulty  proof-of-work bits asked by GET /api/challenge (default 16)
+ *   --access-ttl  seconds an access token lives (default 300; lower it to exercise refresh)
+ *
+ * Demo logins (password Welkom112!): demo@112energie.nl, geblokkeerd@112energie.nl (locked)
+ * and tweestaps@112energie.nl (TOTP secret JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP). Reset and
+ * login links are printed here and listed at /api/dev/mail.
+ *
+ * Open http://localhost:8112 - CONFIG switches to this server on localhost.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+}));
+
+const PORT = parseInt(args.port || process.env.PORT || 8112, 10);
+const ROOT = path.resolve(__dirname, '..');
+const DROP_RATE = parseFloat(args.drop || 0);
+const KILL_AFTER = parseInt(args['kill-after'] || 0, 10);
+const FAIL_RATE = parseFloat(args['fail-rate'] || 0);
+const LATENCY = parseInt(args.latency || 0, 10);
+const POW_DIFFICULTY = parseInt(args.difficulty || 16, 10);
+const ACCESS_TTL = parseInt(args['access-ttl'] || 300, 10);
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// ==================== STATIC FILES ====================
+function serveStatic(req, res) {
+    const urlPath = decodeURIComponent(req.url.split('?')[0]);
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    if (!filePath.startsWith(ROOT)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        const priceDay = urlPath.match(/^\/data\/prices\/(\d{4}-\d{2}-\d{2})\.json$/);
+        if (error && priceDay) {
+            sendJSON(res, 200, generatePrices(priceDay[1]));
+            return;
+        }
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+// Day-ahead curve with morning and evening peaks and a midday solar dip
+function generatePrices(date) {
+    const prices = [];
+    for (let hour = 0; hour < 24; hour++) {
+        const start = new Date(`${date}T00:00:00`);
+        start.setHours(hour);
+        const peak = Math.exp(-Math.pow(hour - 8, 2) / 4) + Math.exp(-Math.pow(hour - 19, 2) / 6);
+        const solar = Math.exp(-Math.pow(hour - 13, 2) / 6);
+        prices.push({
+            start: start.toISOString(),
+            price: Math.round((0.08 + 0.12 * peak - 0.09 * solar + Math.random() * 0.01) * 100000) / 100000
+        });
+    }
+    return { unit: 'kWh', prices: prices };
+}
+
+// ==================== ANTI-SPAM ====================
+// Checks the evidence scripts/antispam.js attaches to every submission
+const CHALLENGE_SECRET = crypto.randomBytes(32);
+const CHALLENGE_MAX_AGE = 24 * 60 * 60 * 1000; // outbox submissions may arrive a day late
+const MIN_FILL_TIME = 3000;
+const RATE_LIMIT = { limit: 20, window: 10 * 60 * 1000 }; // posts per IP
+const usedSalts = new Set();
+const postsByIp = new Map(); // ip -> [timestamps]
+
+function signChallenge(salt, difficulty) {
+    return crypto.createHmac('sha256', CHALLENGE_SECRET).update(`${salt}.${difficulty}`).digest('hex');
+}
+
+function createChallenge() {
+    const salt = `${Date.now()}.${crypto.randomBytes(8).toString('hex')}`;
+    return { salt: salt, difficulty: POW_DIFFICULTY, signature: signChallenge(salt, POW_DIFFICULTY) };
+}
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+}
+
+// Returns null when the submission looks human, 'discard' for honeypot hits,
+// or a rejection message
+function checkAntispam(antispam) {
+    if (!antispam || !antispam.pow) return 'Anti-spamgegevens ontbreken';
+    if (antispam.honeypot) return 'discard';
+
+    const pow = antispam.pow;
+    const signed = typeof pow.signature === 'string';
+    const issuedAt = Number(String(pow.salt).replace(/^local\./, '').split('.')[0]);
+
+    if (signed) {
+        const expected = signChallenge(pow.salt, pow.difficulty);
+        if (pow.signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(pow.signature), Buffer.from(expected))) {
+            return 'Ongeldige uitdaging';
+        }
+    } else if (!String(pow.salt).startsWith('local.')) {
+        return 'Ongeldige uitdaging';
+    }
+
+    if (!(Date.now() - issuedAt < CHALLENGE_MAX_AGE)) return 'De uitdaging is verlopen, vul het formulier opnieuw in';
+    if (pow.difficulty < POW_DIFFICULTY) return 'De uitdaging is te makkelijk opgelost';
+    if (usedSalts.has(pow.salt)) return 'Deze uitdaging is al gebruikt';
+
+    const hash = crypto.createHash('sha256').update(`${pow.salt}:${pow.nonce}`).digest();
+    if (leadingZeroBits(hash) < pow.difficulty) return 'Ongeldige proof-of-work';
+
+    // A signed challenge was fetched when the form was first touched
+    const elapsed = signed ? Date.now() - issuedAt : antispam.elapsed;
+    if (!(elapsed >= MIN_FILL_TIME)) return 'Het formulier is te snel ingevuld';
+
+    return null;
+}
+
+function rateLimited(ip, now = Date.now()) {
+    const posts = (postsByIp.get(ip) || []).filter(ts => now - ts < RATE_LIMIT.window);
+    postsByIp.set(ip, [...posts, now]);
+    return posts.length >= RATE_LIMIT.limit ? Math.ceil((posts[posts.length - RATE_LIMIT.limit] + RATE_LIMIT.window - now) / 1000) : 0;
+}
+
+// ==================== AUTH ====================
+const REFRESH_TTL = 30 * 24 * 60 * 60 * 1000;
+const MAX_FAILED_LOGINS = 5;
+const LOCK_DURATION = 15 * 60 * 1000;
+const MFA_TTL = 5 * 60 * 1000;
+const LINK_TTL = 30 * 60 * 1000;
+
+function createUser(profile, options = {}) {
+    return {
+        password: 'Welkom112!',
+        profile: profile,
+        failedLogins: 0,
+        lockedUntil: 0,
+        mfa: { enabled: false, secret: null, pendingSecret: null, backupCodes: [] },
+        ...options
+    };
+}
+
+const users = new Map([
+    ['demo@112energie.nl', createUser(
+        { id: 'c-1001', email: 'demo@112energie.nl', firstName: 'Sanne', lastName: 'de Vries', customerNumber: '112-400127' }
+    )],
+    ['geblokkeerd@112energie.nl', createUser(
+        { id: 'c-1002', email: 'geblokkeerd@112energie.nl', firstName: 'Bram', lastName: 'Jansen', customerNumber: '112-400128' },
+        { failedLogins: MAX_FAILED_LOGINS, lockedUntil: Infinity }
+    )],
+    ['tweestaps@112energie.nl', createUser(
+        { id: 'c-1003', email: 'tweestaps@112energie.nl', firstName: 'Fatima', lastName: 'El Amrani', customerNumber: '112-400129' },
+        { mfa: { enabled: true, secret: 'JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP', pendingSecret: null, backupCodes: [] } }
+    )]
+]);
+const accessTokens = new Map(); // token -> { email, expiresAt }
+const refreshTokens = new Map(); // token -> { email, family, expiresAt, used }
+const mfaTokens = new Map(); // token -> { email, expiresAt, attempts }
+const linkTokens = new Map(); // token -> { email, purpose: 'reset' | 'login', expiresAt }
+const sentMail = []; // shown at GET /api/dev/mail
+
+function profileOf(user) {
+    return { ...user.profile, mfaEnabled: user.mfa.enabled };
+}
+
+function issueTokens(email, family = crypto.randomUUID()) {
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    accessTokens.set(accessToken, { email: email, expiresAt: Date.now() + ACCESS_TTL * 1000 });
+    refreshTokens.set(refreshToken, { email: email, family: family, expiresAt: Date.now() + REFRESH_TTL, used: false });
+    return { accessToken: accessToken, expiresIn: ACCESS_TTL, refreshToken: refreshToken, user: profileOf(users.get(email)) };
+}
+
+function revokeFamily(family) {
+    refreshTokens.forEach((entry, token) => {
+        if (entry.family === family) refreshTokens.delete(token);
+    });
+}
+
+// Tokens, or a second step when the account has two-factor authentication
+function completeLogin(res, email) {
+    const user = users.get(email);
+    if (!user.mfa.enabled) {
+        sendJSON(res, 200, issueTokens(email));
+        return;
+    }
+    const mfaToken = crypto.randomBytes(24).toString('hex');
+    mfaTokens.set(mfaToken, { email: email, expiresAt: Date.now() + MFA_TTL, attempts: 0 });
+    sendJSON(res, 200, { mfaRequired: true, mfaToken: mfaToken, methods: ['totp', 'backup'] });
+}
+
+// The user behind a valid bearer token, or null
+function authenticate(req) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const entry = accessTokens.get(token);
+    if (!entry || entry.expiresAt < Date.now()) return null;
+    return users.get(entry.email);
+}
+
+// Links are "mailed" to the console and to GET /api/dev/mail
+function sendLink(req, email, purpose) {
+    const token = crypto.randomBytes(24).toString('hex');
+    linkTokens.set(token, { email: email, purpose: purpose, expiresAt: Date.now() + LINK_TTL });
+
+    const parameter = purpose === 'reset' ? 'reset_token' : 'login_token';
+    const link = `http://${req.headers.host}/?${parameter}=${token}`;
+    sentMail.push({ to: email, purpose: purpose, link: link, sentAt: new Date().toISOString() });
+    console.log(`Mail to ${email} (${purpose}): ${link}`);
+}
+
+function consumeLink(token, purpose) {
+    const entry = linkTokens.get(token);
+    if (!entry || entry.purpose !== purpose) return null;
+    linkTokens.delete(token);
+    return entry.expiresAt > Date.now() ? entry : null;
+}
+
+// ==================== TOTP ====================
+// RFC 6238: HMAC-SHA1 over 30-second steps, 6 digits
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        bits += BASE32.indexOf(char).toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+function totp(secret, step = Math.floor(Date.now() / 30000)) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0F;
+    const code = (hmac.readUInt32BE(offset) & 0x7FFFFFFF) % 1000000;
+    return String(code).padStart(6, '0');
+}
+
+// One step of clock drift either way; backup codes work once
+function verifySecondFactor(user, code, secret = user.mfa.secret) {
+    const value = String(code || '').replace(/\s/g, '').toUpperCase();
+    const step = Math.floor(Date.now() / 30000);
+    if (/^\d{6}$/.test(value)) {
+        return [-1, 0, 1].some(drift => totp(secret, step + drift) === value);
+    }
+
+    const hash = crypto.createHash('sha256').update(value.replace(/-/g, '')).digest('hex');
+    const index = user.mfa.backupCodes.indexOf(hash);
+    if (index === -1) return false;
+    user.mfa.backupCodes.splice(index, 1);
+    return true;
+}
+
+async function handleAuth(req, res, route) {
+    if (req.method === 'GET' && route === '/me') {
+        const user = authenticate(req);
+        if (!user) {
+            sendError(res, 401, 'UNAUTHORIZED', 'Niet ingelogd');
+            return;
+        }
+        sendJSON(res, 200, profileOf(user));
+        return;
+    }
+
+    let body;
+    try {
+        body = JSON.parse(await readBody(req) || '{}');
+    } catch (error) {
+        sendError(res, 400, 'INVALID_JSON', 'Ongeldige JSON');
+        return;
+    }
+
+    if (req.method === 'POST' && route === '/auth/login') {
+        const user = users.get(String(body.email || '').toLowerCase());
+        if (!user) {
+            sendJSON(res, 401, { error: { code: 'INVALID_CREDENTIALS', message: 'Onjuiste gegevens' } });
+            return;
+        }
+        if (user.lockedUntil > Date.now()) {
+            const lockedUntil = Number.isFinite(user.lockedUntil) ? new Date(user.lockedUntil).toISOString() : null;
+            sendJSON(res, 423, { error: { code: 'ACCOUNT_LOCKED', message: 'Account geblokkeerd', lockedUntil: lockedUntil } });
+            return;
+        }
+        if (body.password !== user.password) {
+            user.failedLogins++;
+            if (user.failedLogins >= MAX_FAILED_LOGINS) {
+                user.lockedUntil = Date.now() + LOCK_DURATION;
+                sendJSON(res, 423, { error: { code: 'ACCOUNT_LOCKED', message: 'Account geblokkeerd', lockedUntil: new Date(user.lockedUntil).toISOString() } });
+                return;
+            }
+            sendJSON(res, 401, { error: { code: 'INVALID_CREDENTIALS', message: 'Onjuiste gegevens', attemptsLeft: MAX_FAILED_LOGINS - user.failedLogins } });
+            return;
+        }
+
+        user.failedLogins = 0;
+        completeLogin(res, user.profile.email);
+        return;
+    }
+
+    if (req.method === 'POST' && route === '/auth/mfa/verify') {
+        const entry = mfaTokens.get(body.mfaToken);
+        if (!entry || entry.expiresAt < Date.now() || entry.attempts >= MAX_FAILED_LOGINS) {
+            mfaTokens.delete(body.mfaToken);
+            sendError(res, 401, 'MFA_EXPIRED', 'Verificatie verlopen');
+            return;
+        }
+        if (!verifySecondFactor(users.get(entry.email), body.code)) {
+            entry.attempts++;
+            sendJSON(res, 401, { error: { code: 'INVALID_CODE', message: 'Onjuiste code', attemptsLeft: MAX_FAILED_LOGINS - entry.attempts } });
+            return;
+        }
+        mfaTokens.delete(body.mfaToken);
+        sendJSON(res, 200, issueTokens(entry.email));
+        return;
+    }
+
+    // Always 202, so the answer does not reveal which addresses have an account
+    if (req.method === 'POST' && (route === '/auth/password/forgot' || route === '/auth/magic-link')) {
+        const email = String(body.email || '').toLowerCase();
+        if (users.has(email)) sendLink(req, email, route === '/auth/magic-link' ? 'login' : 'reset');
+        res.writeHead(202);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'POST' && route === '/auth/password/reset') {
+        const password = String(body.password || '');
+        if (password.length < 10 || !/[a-z]/i.test(password) || !/\d/.test(password)) {
+            sendError(res, 422, 'WEAK_PASSWORD', 'Kies een sterker wachtwoord', { password: 'Minimaal 10 tekens, met letters en cijfers' });
+            return;
+        }
+        const entry = consumeLink(body.token, 'reset');
+        if (!entry) {
+            sendError(res, 400, 'INVALID_TOKEN', 'Link verlopen of al gebruikt');
+            return;
+        }
+        const user = users.get(entry.email);
+        user.password = password;
+        user.failedLogins = 0;
+        user.lockedUntil = 0;
+        refreshTokens.forEach((session, token) => {
+            if (session.email === entry.email) refreshTokens.delete(token);
+        });
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'POST' && route === '/auth/magic-link/verify') {
+        const entry = consumeLink(body.token, 'login');
+        if (!entry) {
+            sendError(res, 400, 'INVALID_TOKEN', 'Link verlopen of al gebruikt');
+            return;
+        }
+        completeLogin(res, entry.email);
+        return;
+    }
+
+    if (req.method === 'POST' && route.startsWith('/auth/mfa/totp/')) {
+        const user = authenticate(req);
+        if (!user) {
+            sendError(res, 401, 'UNAUTHORIZED', 'Niet ingelogd');
+            return;
+        }
+
+        if (route === '/auth/mfa/totp/setup') {
+            const secret = Array.from(crypto.randomBytes(20), byte => BASE32[byte & 31]).join('');
+            user.mfa.pendingSecret = secret;
+            const label = encodeURIComponent(`112Energie:${user.profile.email}`);
+            sendJSON(res, 200, { secret: secret, otpauthUrl: `otpauth://totp/${label}?secret=${secret}&issuer=112Energie` });
+            return;
+        }
+
+        if (route === '/auth/mfa/totp/confirm') {
+            if (!user.mfa.pendingSecret || !verifySecondFactor(user, body.code, user.mfa.pendingSecret)) {
+                sendJSON(res, 422, { error: { code: 'INVALID_CODE', message: 'Onjuiste code', fields: { code: 'Deze code klopt niet' } } });
+                return;
+            }
+            const backupCodes = Array.from({ length: 10 }, () => {
+                const code = crypto.randomBytes(5).toString('hex').toUpperCase().slice(0, 8);
+                return `${code.slice(0, 4)}-${code.slice(4)}`;
+            });
+            user.mfa = {
+                enabled: true,
+                secret: user.mfa.pendingSecret,
+                pendingSecret: null,
+                backupCodes: backupCodes.map(code => crypto.createHash('sha256').update(code.replace('-', '')).digest('hex'))
+            };
+            sendJSON(res, 200, { backupCodes: backupCodes, user: profileOf(user) });
+            return;
+        }
+    }
+
+    if (req.method === 'POST' && route === '/auth/refresh') {
+        const entry = refreshTokens.get(body.refreshToken);
+        if (!entry || entry.expiresAt < Date.now()) {
+            sendError(res, 401, 'INVALID_REFRESH_TOKEN', 'Sessie verlopen');
+            return;
+        }
+        // A rotated token coming back means it leaked: end the whole session
+        if (entry.used) {
+            revokeFamily(entry.family);
+            sendError(res, 401, 'INVALID_REFRESH_TOKEN', 'Sessie verlopen');
+            return;
+        }
+        entry.used = true;
+        sendJSON(res, 200, issueTokens(entry.email, entry.family));
+        return;
+    }
+
+    if (req.method === 'POST' && route === '/auth/logout') {
+        const entry = refreshTokens.get(body.refreshToken);
+        if (entry) revokeFamily(entry.family);
+        accessTokens.delete((req.headers.authorization || '').replace(/^Bearer /, ''));
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    sendError(res, 404, 'NOT_FOUND', 'Onbekend API-adres');
+}
+
+// ==================== CUSTOMER ====================
+// Contract, advance, invoices and messages per logged-in customer, made up on first use
+const accounts = new Map(); // customer id -> account
+
+// EAN-18 with the GS1 check digit
+function ean(base) {
+    const sum = base.split('').reverse().reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+    return base + (10 - sum % 10) % 10;
+}
+
+function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+const VAT_RATE = 0.21;
+
+function cents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Line amounts excl. VAT; paid advances are incl. VAT and come after the total
+function invoiceTotals(lines) {
+    const taxed = lines.filter(line => line.category !== 'advance');
+    const subtotal = cents(taxed.reduce((sum, line) => sum + line.amount, 0));
+    const vat = cents(subtotal * VAT_RATE);
+    const advances = cents(lines.filter(line => line.category === 'advance').reduce((sum, line) => sum + line.amount, 0));
+    return { subtotal: subtotal, vatRate: VAT_RATE, vat: vat, total: cents(subtotal + vat), advances: advances, balance: cents(subtotal + vat + advances) };
+}
+
+function line(category, description, quantity, unit, rate) {
+    return { category: category, description: description, quantity: quantity, unit: unit, rate: rate, amount: cents(quantity * rate) };
+}
+
+// A year of supply, grid fees, energy tax and the tax credit (heffingskorting)
+function annualStatement(year, usage, monthlyAdvance) {
+    const net = usage.importT1 + usage.importT2 - usage.exportT1 - usage.exportT2;
+    const days = (Date.UTC(year + 1, 0, 1) - Date.UTC(year, 0, 1)) / 86400000;
+    const lines = [
+        line('supply', 'Levering stroom normaal tarief', usage.importT2, 'kWh', 0.137),
+        line('supply', 'Levering stroom laag tarief', usage.importT1, 'kWh', 0.137),
+        line('supply', 'Teruglevering (saldering)', -(usage.exportT1 + usage.exportT2), 'kWh', 0.137),
+        line('supply', 'Levering gas', usage.gas, 'm³', 0.61),
+        line('supply', 'Vaste leveringskosten stroom', 12, 'maanden', 5),
+        line('supply', 'Vaste leveringskosten gas', 12, 'maanden', 5),
+        line('grid', 'Netbeheerkosten stroom (3x25A)', days, 'dagen', 0.8534),
+        line('grid', 'Netbeheerkosten gas (G4)', days, 'dagen', 0.6712),
+        line('tax', 'Energiebelasting stroom', net, 'kWh', 0.10154),
+        line('tax', 'Energiebelasting gas', usage.gas, 'm³', 0.57816),
+        line('credit', 'Vermindering energiebelasting', 1, 'jaar', -524.95),
+        line('advance', 'Betaalde voorschotten', 12, 'maanden', -monthlyAdvance)
+    ];
+    return {
+        period: { from: `${year}-01-01`, to: `${year}-12-31` },
+        lines: lines,
+        totals: invoiceTotals(lines),
+        usage: { electricity: { import: usage.importT1 + usage.importT2, export: usage.exportT1 + usage.exportT2, net: net }, gas: usage.gas }
+    };
+}
+
+function createAccount(user) {
+    const number = user.profile.customerNumber.replace(/\D/g, '');
+    const now = new Date();
+    const month = (offset, day = 1) => new Date(Date.UTC(now.getFullYear(), now.getMonth() + offset, day));
+    const monthName = (date) => date.toLocaleDateString('nl-NL', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+    const advance = { amount: 142, electricity: 96, gas: 46, dayOfMonth: 28 };
+    const invoices = [];
+    // Every advance of this year, so the advance advisor can add up what was charged
+    for (let offset = -now.getMonth(); offset <= 0; offset++) {
+        const date = month(offset);
+        const status = offset === 0 ? 'open' : offset === -1 ? 'overdue' : 'paid';
+        invoices.push({
+            id: `inv-${number}-${isoDate(date).slice(0, 7)}`,
+            number: `F${isoDate(date).slice(0, 7)}-${number.slice(-6)}`,
+            type: 'advance',
+            description: `Voorschot ${monthName(date)}`,
+            date: isoDate(date),
+            dueDate: isoDate(month(offset, advance.dayOfMonth)),
+            amount: advance.amount,
+            status: status
+        });
+    }
+    const year = now.getFullYear() - 1;
+    const annual = annualStatement(year, { importT1: 1400, importT2: 1100, exportT1: 520, exportT2: 410, gas: 950 }, 175);
+    invoices.push({
+        id: `inv-${number}-${year}-annual`,
+        number: `J${year}-${number.slice(-6)}`,
+        type: 'annual',
+        description: `Jaarafrekening ${year}`,
+        date: isoDate(month(-now.getMonth() + 1, 15)),
+        dueDate: isoDate(month(-now.getMonth() + 2, 15)),
+        amount: annual.totals.balance, // negative: paid back to the customer
+        status: 'paid',
+        statement: annual,
+        previous: annualStatement(year - 1, { importT1: 1520, importT2: 1240, exportT1: 380, exportT2: 300, gas: 1080 }, 170)
+    });
+
+    return {
+        contract: {
+            number: `CT-${number}`,
+            product: 'Vast tarief, 1 jaar',
+            type: 'fixed',
+            greenEnergy: true,
+            startDate: isoDate(month(-8)),
+            endDate: isoDate(month(4, 0)),
+            address: { street: 'Oudegracht', houseNumber: '112', postcode: '3511 AX', city: 'Utrecht' },
+            connections: [
+                { product: 'electricity', ean: ean(`87168712${number.padStart(9, '0')}`), meterNumber: `E0053${number}`, capacity: '3x25A' },
+                { product: 'gas', ean: ean(`87169412${number.padStart(9, '0')}`), meterNumber: `G4${number}1`, capacity: 'G4' }
+            ],
+            tariffs: { electricity: 0.2895, gas: 1.245, standingCharge: 7.5 }, // incl. VAT: EUR/kWh, EUR/m³, EUR/month
+            paymentMethod: 'incasso',
+            iban: 'NL** **** **** **** 4300'
+        },
+        advance: advance,
+        readings: {
+            meter: { dualTariff: true, export: true, gas: true },
+            previous: { date: isoDate(month(-8)), importT1: 12034, importT2: 9876, exportT1: 2310, exportT2: 1822, gas: 4512.345 },
+            expectedPerDay: { importT1: 4.1, importT2: 3.2, exportT1: 1.5, exportT2: 1.2, gas: 3 }
+        },
+        receipts: new Map(), // idempotency key -> receipt
+        invoices: invoices,
+        messages: [
+            {
+                id: 'msg-1',
+                subject: 'Je voorschot voor volgende maand',
+                body: `Je maandelijkse voorschot blijft ${advance.amount} euro. Het bedrag wordt rond de ${advance.dayOfMonth}e afgeschreven.`,
+                date: isoDate(month(0)),
+                read: false
+            },
+            {
+                id: 'msg-2',
+                subject: 'Betaling nog niet ontvangen',
+                body: 'We hebben het voorschot van vorige maand nog niet ontvangen. Wil je het bedrag overmaken?',
+                date: isoDate(month(-1, 28)),
+                read: false
+            },
+            {
+                id: 'msg-3',
+                subject: 'Welkom bij 112Energie',
+                body: 'Fijn dat je voor ons hebt gekozen. In Mijn 112Energie vind je je contract, facturen en verbruik.',
+                date: isoDate(month(-8)),
+                read: true
+            }
+        ]
+    };
+}
+
+function accountOf(user) {
+    if (!accounts.has(user.profile.id)) accounts.set(user.profile.id, createAccount(user));
+    return accounts.get(user.profile.id);
+}
+
+// maxUploadSize in scripts/meterreading.js; photos it cannot resize are checked against it
+const MAX_READINGS_BODY = 12 * 1024 * 1024;
+
+// Same rules as scripts/meterreading.js: never backwards, more than 3x the
+// expected use plus two weeks only when the customer confirmed it
+async function submitReadings(req, res, account) {
+    const raw = await readBody(req);
+    const key = req.headers['idempotency-key'];
+    if (key && account.receipts.has(key)) {
+        res.setHeader('Idempotent-Replayed', 'true');
+        sendJSON(res, 201, account.receipts.get(key));
+        return;
+    }
+    if (raw.length > MAX_READINGS_BODY) {
+        sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'De foto is te groot');
+        return;
+    }
+
+    let body;
+    try {
+        body = JSON.parse(raw || '{}');
+    } catch (error) {
+        sendError(res, 400, 'INVALID_JSON', 'Ongeldige JSON');
+        return;
+    }
+
+    const { previous, expectedPerDay, meter } = account.readings;
+    const date = new Date(body.date || Date.now());
+    const fields = {};
+    if (isNaN(date) || date > new Date() || date < new Date(previous.date)) {
+        fields.readingDate = 'Deze datum kunnen we niet verwerken';
+    }
+
+    const registers = ['importT1', 'importT2', 'exportT1', 'exportT2', 'gas'].filter(name =>
+        (meter.dualTariff || !name.endsWith('T2')) &&
+        (meter.export || !name.startsWith('export')) &&
+        (meter.gas || name !== 'gas'));
+    const readings = body.readings || {};
+    let unusual = false;
+    registers.forEach(name => {
+        const value = readings[name];
+        if (typeof value !== 'number' || !(value >= 0)) {
+            fields[name] = 'Vul deze stand in';
+        } else if (value < previous[name]) {
+            fields[name] = 'Deze stand is lager dan de vorige';
+        } else {
+            const days = Math.max(1, Math.round((date - new Date(previous.date)) / 86400000));
+            if (value - previous[name] > expectedPerDay[name] * (days * 3 + 14)) unusual = true;
+        }
+    });
+    if (unusual && !body.confirmedUnusual && Object.keys(fields).length === 0) {
+        sendError(res, 422, 'UNUSUAL_READING', 'Een stand wijkt sterk af; bevestig dat hij klopt');
+        return;
+    }
+    if (Object.keys(fields).length > 0) {
+        sendError(res, 422, 'VALIDATION_FAILED', 'De meterstanden bevatten fouten', fields);
+        return;
+    }
+    if (body.photo && !/^data:image\//.test(body.photo.data || '')) {
+        sendError(res, 422, 'VALIDATION_FAILED', 'De foto kunnen we niet lezen', { photo: 'Kies een foto van de meter' });
+        return;
+    }
+
+    const receipt = {
+        reference: `MS-${Date.now().toString(36).toUpperCase()}`,
+        receivedAt: new Date().toISOString(),
+        date: isoDate(date),
+        reason: body.reason || 'periodic',
+        readings: Object.fromEntries(registers.map(name => [name, readings[name]])),
+        photo: Boolean(body.photo),
+        status: unusual ? 'review' : 'received'
+    };
+    account.readings.previous = { date: receipt.date, ...receipt.readings };
+    if (key) account.receipts.set(key, receipt);
+    console.log(`Meter readings ${receipt.reference} (${receipt.status})${receipt.photo ? ' with photo' : ''}`);
+    sendJSON(res, 201, receipt);
+}
+
+// New monthly advance, split over electricity and gas like the current one
+async function updateAdvance(req, res, account) {
+    let body;
+    try {
+        body = JSON.parse(await readBody(req) || '{}');
+    } catch (error) {
+        sendError(res, 400, 'INVALID_JSON', 'Ongeldige JSON');
+        return;
+    }
+
+    const amount = Number(body.amount);
+    if (!Number.isInteger(amount) || amount < 10 || amount > 1000) {
+        sendError(res, 422, 'VALIDATION_FAILED', 'Kies een voorschot in hele euro\'s tussen 10 en 1000 euro', { amount: 'Ongeldig bedrag' });
+        return;
+    }
+
+    const advance = account.advance;
+    const electricity = Math.round(amount * advance.electricity / advance.amount);
+    Object.assign(advance, { amount: amount, electricity: electricity, gas: amount - electricity });
+    account.messages.unshift({
+        id: `msg-${account.messages.length + 1}`,
+        date: new Date().toISOString(),
+        subject: 'Je voorschot is aangepast',
+        body: `Vanaf de volgende afschrijving is je maandelijkse voorschot ${amount} euro.`,
+        read: false
+    });
+    sendJSON(res, 200, advance);
+}
+
+// Itemised invoice with the previous period for comparison
+function invoiceDetail(user, account, invoice) {
+    const { statement, previous, ...summary } = invoice;
+    const customer = {
+        name: `${user.profile.firstName} ${user.profile.lastName}`,
+        customerNumber: user.profile.customerNumber,
+        address: account.contract.address
+    };
+
+    if (statement) {
+        return {
+            ...summary,
+            customer: customer,
+            ...statement,
+            previous: {
+                description: `Jaarafrekening ${previous.period.from.slice(0, 4)}`,
+                period: previous.period,
+                usage: previous.usage,
+                total: previous.totals.total
+            }
+        };
+    }
+
+    // Monthly advance: split like the current advance, VAT shown separately
+    const advance = account.advance;
+    const electricity = cents(invoice.amount * advance.electricity / advance.amount);
+    const lines = [
+        line('advance-electricity', 'Voorschot stroom', 1, 'maand', cents(electricity / (1 + VAT_RATE))),
+        line('advance-gas', 'Voorschot gas', 1, 'maand', cents((invoice.amount - electricity) / (1 + VAT_RATE)))
+    ];
+    const totals = invoiceTotals(lines);
+    const start = new Date(`${invoice.date}T00:00:00Z`);
+    const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 0));
+    const before = account.invoices
+        .filter(item => item.type === 'advance' && item.date < invoice.date)
+        .sort((a, b) => b.date.localeCompare(a.date))[0];
+
+    return {
+        ...summary,
+        customer: customer,
+        period: { from: invoice.date, to: isoDate(end) },
+        lines: lines,
+        // VAT is what remains of the advance, so rounding never changes the amount due
+        totals: { ...totals, vat: cents(invoice.amount - totals.subtotal), total: invoice.amount, balance: invoice.amount },
+        usage: null,
+        previous: before ? { description: before.description, period: null, usage: null, total: before.amount } : null
+    };
+}
+
+async function handleCustomer(req, res, route) {
+    const user = authenticate(req);
+    if (!user) {
+        sendError(res, 401, 'UNAUTHORIZED', 'Niet ingelogd');
+        return;
+    }
+    if (LATENCY) await new Promise(resolve => setTimeout(resolve, LATENCY));
+
+    const account = accountOf(user);
+    const read = route.match(/^\/me\/messages\/([\w-]+)\/read$/);
+    const invoice = route.match(/^\/me\/invoices\/([\w-]+)$/);
+
+    if (req.method === 'GET' && route === '/me/contract') {
+        sendJSON(res, 200, account.contract);
+    } else if (req.method === 'GET' && route === '/me/advance') {
+        sendJSON(res, 200, account.advance);
+    } else if (req.method === 'PUT' && route === '/me/advance') {
+        await updateAdvance(req, res, account);
+    } else if (req.method === 'GET' && route === '/me/readings') {
+        sendJSON(res, 200, account.readings);
+    } else if (req.method === 'POST' && route === '/me/readings') {
+        await submitReadings(req, res, account);
+    } else if (req.method === 'GET' && route === '/me/invoices') {
+        const list = account.invoices.map(({ statement, previous, ...invoice }) => invoice);
+        sendJSON(res, 200, list.sort((a, b) => b.date.localeCompare(a.date)));
+    } else if (req.method === 'GET' && invoice) {
+        const found = account.invoices.find(item => item.id === invoice[1]);
+        if (!found) {
+            sendError(res, 404, 'NOT_FOUND', 'Factuur niet gevonden');
+            return;
+        }
+        sendJSON(res, 200, invoiceDetail(user, account, found));
+    } else if (req.method === 'GET' && route === '/me/messages') {
+        sendJSON(res, 200, account.messages);
+    } else if (req.method === 'POST' && read) {
+        const message = account.messages.find(item => item.id === read[1]);
+        if (!message) {
+            sendError(res, 404, 'NOT_FOUND', 'Bericht niet gevonden');
+            return;
+        }
+        message.read = true;
+        res.writeHead(204);
+        res.end();
+    } else {
+        sendError(res, 404, 'NOT_FOUND', 'Onbekend API-adres');
+    }
+}
+
+// ==================== API ====================
+// POST /api/applications and /api/forms/<name>; answers are replayed per Idempotency-Key
+const idempotentResponses = new Map(); // key -> { body, status, response }
+const applications = [];
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendError(res, status, code, message, fields) {
+    sendJSON(res, status, { error: { code: code, message: message, fields: fields } });
+}
+
+function validateApplication(application) {
+    const fields = {};
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(application.email || '')) {
+        fields.email = 'Dit e-mailadres wordt niet geaccepteerd';
+    }
+    if (!application.postcode || !application.houseNumber) {
+        fields.postcode = 'Vul het leveringsadres in';
+    }
+    if (application.acceptedTerms !== true) {
+        fields.acceptTerms = 'Ga akkoord met de voorwaarden';
+    }
+    if (application.paymentMethod === 'incasso' && !application.mandate) {
+        fields.iban = 'Voor automatische incasso is een machtiging nodig';
+    }
+    return fields;
+}
+
+// Same limits as ARRANGEMENT_RULES in scripts/arrangement.js; the plan the
+// client computed must add up, the server does not trust the schedule
+function validateArrangement(request) {
+    const fields = {};
+    const plan = request.plan || {};
+    const instalments = Array.isArray(plan.instalments) ? plan.instalments : [];
+    const cents = Math.round(Number(request.amount) * 100);
+
+    if (!/^112-?\d{6}$/.test(request.customerNumber || '')) {
+        fields.customerNumber = 'Vul je klantnummer in, bijvoorbeeld 112-400127';
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(request.email || '')) {
+        fields.email = 'Dit e-mailadres wordt niet geaccepteerd';
+    }
+    if (!(cents >= 5000 && cents <= 250000)) {
+        fields.amount = 'Een betalingsregeling is mogelijk voor bedragen van € 50 tot € 2.500';
+    } else if (!(request.months >= 2 && request.months <= 12) || instalments.length !== request.months ||
+        instalments.some(item => Math.round(item.amount * 100) < 2500) ||
+        instalments.reduce((sum, item) => sum + Math.round(item.amount * 100), 0) !== cents) {
+        fields.months = 'Deze looptijd is niet mogelijk voor dit bedrag';
+    }
+    if (request.consent !== true) {
+        fields.consent = 'Ga akkoord met de betalingsregeling';
+    }
+    return fields;
+}
+
+function createReference() {
+    return `112E-${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+}
+
+async function handleApi(req, res) {
+    const route = req.url.split('?')[0].replace(/^\/api/, '');
+    const formRoute = route.match(/^\/forms\/([\w-]+)$/);
+
+    if (req.method === 'GET' && route === '/challenge') {
+        sendJSON(res, 200, createChallenge());
+        return;
+    }
+
+    if (req.method === 'GET' && route === '/dev/mail') {
+        sendJSON(res, 200, sentMail);
+        return;
+    }
+
+    if (route.startsWith('/auth/') || route === '/me') {
+        await handleAuth(req, res, route);
+        return;
+    }
+
+    if (route.startsWith('/me/')) {
+        await handleCustomer(req, res, route);
+        return;
+    }
+
+    if (req.method !== 'POST' || (route !== '/applications' && !formRoute)) {
+        sendError(res, 404, 'NOT_FOUND', 'Onbekend API-adres');
+        return;
+    }
+
+    const raw = await readBody(req);
+    if (LATENCY) await new Promise(resolve => setTimeout(resolve, LATENCY));
+
+    const key = req.headers['idempotency-key'];
+    if (!key) {
+        sendError(res, 400, 'IDEMPOTENCY_KEY_MISSING', 'Idempotency-Key ontbreekt');
+        return;
+    }
+
+    const previous = idempotentResponses.get(key);
+    if (previous) {
+        if (previous.body !== raw) {
+            sendError(res, 409, 'IDEMPOTENCY_KEY_REUSED', 'Deze sleutel is al gebruikt voor een ander verzoek');
+            return;
+        }
+        res.setHeader('Idempotent-Replayed', 'true');
+        sendJSON(res, previous.status, previous.response);
+        return;
+    }
+
+    const retryAfter = rateLimited(req.socket.remoteAddress);
+    if (retryAfter) {
+        res.setHeader('Retry-After', String(retryAfter));
+        sendError(res, 429, 'RATE_LIMITED', 'Te veel verzoeken, probeer het later opnieuw');
+        return;
+    }
+
+    if (Math.random() < FAIL_RATE) {
+        res.setHeader('Retry-After', '1');
+        sendError(res, 503, 'UNAVAILABLE', 'De server is tijdelijk niet beschikbaar');
+        return;
+    }
+
+    let body;
+    try {
+        body = JSON.parse(raw);
+    } catch (error) {
+        sendError(res, 400, 'INVALID_JSON', 'Ongeldige JSON');
+        return;
+    }
+
+    const spam = checkAntispam(body.antispam);
+    if (spam && spam !== 'discard') {
+        sendError(res, 422, 'SPAM_SUSPECTED', spam);
+        return;
+    }
+
+    let status = 202;
+    let response = { id: crypto.randomUUID(), receivedAt: new Date().toISOString() };
+
+    // Bots that filled the honeypot get an ordinary answer and nothing is kept
+    if (spam === 'discard') {
+        const referenced = route === '/applications' || route === '/forms/betalingsregeling';
+        if (referenced) response = { reference: createReference(), receivedAt: response.receivedAt };
+        console.log(`Discarded honeypot submission to ${route}`);
+        sendJSON(res, referenced ? 201 : 202, response);
+        return;
+    }
+
+    if (route === '/applications') {
+        const fields = validateApplication(body);
+        if (Object.keys(fields).length > 0) {
+            sendError(res, 422, 'VALIDATION_FAILED', 'De aanvraag bevat fouten', fields);
+            return;
+        }
+        status = 201;
+        response = { reference: createReference(), receivedAt: response.receivedAt };
+        applications.push({ ...response, application: body });
+        console.log(`Application ${response.reference} received`);
+    } else if (formRoute[1] === 'betalingsregeling') {
+        const fields = validateArrangement(body);
+        if (Object.keys(fields).length > 0) {
+            sendError(res, 422, 'VALIDATION_FAILED', 'De betalingsregeling bevat fouten', fields);
+            return;
+        }
+        status = 201;
+        response = { reference: createReference(), receivedAt: response.receivedAt };
+        console.log(`Payment arrangement ${response.reference} received: ${body.months} x ${body.plan.instalment}`);
+    } else {
+        console.log(`Form ${formRoute[1]} received`);
+    }
+
+    usedSalts.add(body.antispam.pow.salt);
+    idempotentResponses.set(key, { body: raw, status: status, response: response });
+    sendJSON(res, status, response);
+}
+
+// ==================== WEBSOCKET FRAMING ====================
+function acceptWebSocket(req, socket) {
+    const accept = crypto.createHash('sha1')
+        .update(req.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+        .digest('base64');
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+}
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+// Yields complete client frames from the buffer; returns the unconsumed rest
+function decodeFrames(buffer, onFrame) {
+    while (buffer.length >= 2) {
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) break;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        onFrame(opcode, payload);
+        buffer = buffer.subarray(offset + length);
+    }
+    return buffer;
+}
+
+// ==================== METER FEED ====================
+const meters = new Map(); // meterId -> { seq, history: [], subscribers: Set<send>, feed }
+const HISTORY_SIZE = 1000;
+let serverSeq = 0;
+
+function getMeter(meterId) {
+    if (!meters.has(meterId)) {
+        meters.set(meterId, { seq: 0, history: [], subscribers: new Set(), feed: null });
+    }
+    return meters.get(meterId);
+}
+
+function createEnvelope(type, seq, payload) {
+    return { v: 1, type: type, seq: seq, ts: Date.now(), payload: payload };
+}
+
+function nextReading(meterId) {
+    const meter = getMeter(meterId);
+    const hour = new Date().getHours();
+    const daylight = Math.max(0, Math.sin((hour - 6) / 12 * Math.PI));
+
+    const message = createEnvelope('reading', ++meter.seq, {
+        meterId: meterId,
+        data: {
+            currentUsage: 0.3 + Math.random() * 2.5,
+            solarProduction: daylight * (1 + Math.random() * 2)
+        }
+    });
+
+    meter.history.push(message);
+    if (meter.history.length > HISTORY_SIZE) meter.history.shift();
+    return message;
+}
+
+// One feed per meter, shared by every socket subscribed to it, so all of
+// them see the same sequence numbers and only --drop causes gaps
+function addSubscriber(meterId, send) {
+    const meter = getMeter(meterId);
+    meter.subscribers.add(send);
+    if (meter.feed) return;
+
+    meter.feed = setInterval(() => {
+        const message = nextReading(meterId);
+        meter.subscribers.forEach(subscriber => {
+            if (Math.random() >= DROP_RATE) subscriber(message);
+        });
+    }, 1000);
+}
+
+function removeSubscriber(meterId, send) {
+    const meter = meters.get(meterId);
+    if (!meter) return;
+
+    meter.subscribers.delete(send);
+    if (meter.subscribers.size === 0) {
+        clearInterval(meter.feed);
+        meter.feed = null;
+    }
+}
+
+function replay(meterId, from, to) {
+    return getMeter(meterId).history
+        .filter(message => message.seq >= from && message.seq <= to)
+        .map(message => ({ ...message, payload: { ...message.payload, replayed: true } }));
+}
+
+function handleSocket(socket) {
+    const subscriptions = new Set();
+    let buffer = Buffer.alloc(0);
+
+    const send = (message) => {
+        if (!socket.destroyed) {
+            socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+        }
+    };
+
+    const killTimer = KILL_AFTER ? setTimeout(() => socket.destroy(), KILL_AFTER * 1000) : null;
+
+    const cleanup = () => {
+        subscriptions.forEach(meterId => removeSubscriber(meterId, send));
+        subscriptions.clear();
+        clearTimeout(killTimer);
+    };
+
+    socket.on('data', (chunk) => {
+        buffer = decodeFrames(Buffer.concat([buffer, chunk]), (opcode, payload) => {
+            if (opcode === 0x8) {
+                socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                return;
+            }
+            if (opcode === 0x9) {
+                socket.write(encodeFrame(0xA, payload));
+                return;
+            }
+            if (opcode !== 0x1) return;
+
+            let message;
+            try {
+                message = JSON.parse(payload.toString('utf8'));
+            } catch (error) {
+                send(createEnvelope('error', ++serverSeq, { code: 'INVALID_JSON' }));
+                return;
+            }
+
+            const { meterId, since, from, to } = message.payload || {};
+            switch (message.type) {
+                case 'ping':
+                    send(createEnvelope('pong', ++serverSeq, {}));
+                    break;
+                case 'subscribe':
+                    subscriptions.add(meterId);
+                    addSubscriber(meterId, send);
+                    send(createEnvelope('subscribed', ++serverSeq, { meterId: meterId }));
+                    if (Number.isInteger(since)) {
+                        replay(meterId, since + 1, Infinity).forEach(send);
+                    }
+                    break;
+                case 'unsubscribe':
+                    subscriptions.delete(meterId);
+                    removeSubscriber(meterId, send);
+                    break;
+                case 'replay':
+                    replay(meterId, from, to).forEach(send);
+                    break;
+                default:
+                    send(createEnvelope('error', ++serverSeq, { code: 'UNKNOWN_TYPE', type: message.type }));
+            }
+        });
+    });
+
+    socket.on('close', cleanup);
+    socket.on('error', cleanup);
+}
+
+// ==================== SERVER ====================
+const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/api/')) {
+        handleApi(req, res).catch(error => {
+            console.error('API error:', error);
+            sendError(res, 500, 'INTERNAL', 'Er ging iets mis op de server');
+        });
+        return;
+    }
+    serveStatic(req, res);
+});
+
+server.on('upgrade', (req, socket) => {
+    if (req.url !== '/ws' || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+        socket.destroy();
+        return;
+    }
+    acceptWebSocket(req, socket);
+    handleSocket(socket);
+});
+
+server.listen(PORT, () => {
+    console.log(`112Energie mock server on http://localhost:${PORT} (ws://localhost:${PORT}/ws)`);
+});
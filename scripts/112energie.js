@@ -6,12 +6,49 @@
  */
 
 // ==================== CONFIGURATION ====================
+// Local development talks to dev/mock-server.js on the same host
+const LOCAL_DEV = typeof location !== 'undefined' && /^(localhost|127\.0\.0\.1)$/.test(location.hostname);
+
 const CONFIG = {
-    API_ENDPOINT: 'https://api.112energie.nl/v2',
-    WEBSOCKET_URL: 'wss://ws.112energie.nl',
+    API_ENDPOINT: LOCAL_DEV ? `${location.origin}/api` : 'https://api.112energie.nl/v2',
+    WEBSOCKET_URL: LOCAL_DEV ? `ws://${location.host}/ws` : 'wss://ws.112energie.nl',
+    SUBMIT_TIMEOUT: 15000, // 15 seconds per attempt
+    SUBMIT_RETRIES: 3, // then the submission waits in the offline outbox
+    ANTISPAM: {
+        WORKER_URL: 'scripts/pow-worker.js',
+        DIFFICULTY: 16, // leading zero bits when no server challenge is available
+        MIN_FILL_TIME: 3000, // 3 seconds
+        RATE_LIMIT: 5, // submissions per form per window
+        RATE_WINDOW: 600000 // 10 minutes
+    },
     UPDATE_INTERVAL: 5000, // 5 seconds
+    HEARTBEAT_INTERVAL: 15000, // 15 seconds
+    HEARTBEAT_TIMEOUT: 45000, // 45 seconds without any frame
+    DEMO_METER_ID: 'demo',
+    TARIFF_CONFIG_URL: 'data/tariffs.json',
+    ADDRESS_DATASET_URL: 'data/addresses.json',
+    SEPA_CREDITOR: {
+        ID: 'NL69ZZZ123456780000', // Incassant-ID; replace with the ID issued to 112Energie
+        NAME: '112Energie B.V.'
+    },
+    ADDRESS_LOOKUP_URL: null, // e.g. `${API_ENDPOINT}/address?postcode={postcode}&number={number}`; tried before the dataset
+    HISTORY_RETENTION_DAYS: 7, // raw samples; hourly/daily/monthly rollups are kept
     ANIMATION_DURATION: 300,
     SESSION_TIMEOUT: 1800000, // 30 minutes
+    SESSION_WARNING: 120000, // countdown shown for the last 2 minutes
+    P1_REPLAY_INTERVAL: 1000, // 1 second between recorded telegrams
+    ENERGY_RATES: {
+        electricity: 0.45, // EUR per kWh
+        gas: 1.50 // EUR per m³
+    },
+    DYNAMIC_TARIFF: {
+        // EPEX day-ahead prices for NL (ENTSO-E Transparency Platform, document A44), one
+        // file per day in EUR/kWh excl. VAT. Only dev/mock-server.js serves these so far;
+        // set the URL once a job publishes them. Without it costs use ENERGY_RATES.
+        PRICES_URL: LOCAL_DEV ? 'data/prices/{date}.json' : null,
+        SURCHARGE: 0.02, // EUR per kWh excl. VAT
+        GAS_PRICE: null // EUR per m³ excl. tax; null uses ENERGY_RATES.gas
+    },
     DEBUG_MODE: false
 };
 
@@ -42,11 +79,13 @@ const Utils = {
         };
     },
 
-    // Format currency
-    formatCurrency(amount) {
+    // Format currency; tariffs per kWh or m³ use 4 decimals
+    formatCurrency(amount, decimals = 2) {
         return new Intl.NumberFormat('nl-NL', {
             style: 'currency',
-            currency: 'EUR'
+            currency: 'EUR',
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
         }).format(amount);
     },
 
@@ -63,6 +102,11 @@ const Utils = {
         return '_' + Math.random().toString(36).substr(2, 9);
     },
 
+    // Escape user-supplied text before it goes into innerHTML
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    },
+
     // Check if element is in viewport
     isInViewport(element) {
         const rect = element.getBoundingClientRect();
@@ -86,48 +130,139 @@ class EnergyMonitor {
             timestamps: []
         };
         this.maxDataPoints = 60;
+        this.meterId = CONFIG.DEMO_METER_ID;
+        this.latest = null; // last measured reading of meterId; simulated data never counts
+        this.simulationTimer = null;
+        this.p1Adapter = typeof P1Adapter !== 'undefined' ? new P1Adapter() : null;
+        this.p1Source = null;
+        this.tariffs = typeof TariffEngine !== 'undefined' ? new TariffEngine({
+            pricesUrl: CONFIG.DYNAMIC_TARIFF.PRICES_URL,
+            surcharge: CONFIG.DYNAMIC_TARIFF.SURCHARGE,
+            gasPrice: CONFIG.DYNAMIC_TARIFF.GAS_PRICE,
+            fallback: CONFIG.ENERGY_RATES
+        }) : null;
+        this.todayCost = { day: null, amount: 0 };
+        this.history = typeof HistoryStore !== 'undefined' && HistoryStore.isSupported() ?
+            new HistoryStore({
+                retentionDays: CONFIG.HISTORY_RETENTION_DAYS,
+                cost: (delta, ts) => this.costForInterval(delta, ts)
+            }) : null;
         this.init();
     }
 
     init() {
         this.connectWebSocket();
         this.initChart();
+        this.restoreHistory();
+        this.pricesReady = this.loadPrices();
         this.startSimulation(); // For demo purposes
     }
 
+    // Resolves to whether day-ahead prices for the date are available
+    async loadPrices(date = new Date()) {
+        if (!this.tariffs) return false;
+
+        try {
+            const loaded = await this.tariffs.loadDay(date);
+            this.drawChart();
+            return loaded;
+        } catch (error) {
+            // Without day-ahead prices costs fall back to the fixed rates
+            console.warn('Dynamic prices unavailable:', error.message);
+            return false;
+        }
+    }
+
+    costForInterval(delta, timestamp) {
+        if (this.tariffs) {
+            return this.tariffs.cost(delta, timestamp);
+        }
+        return (delta.importKwh - delta.exportKwh) * CONFIG.ENERGY_RATES.electricity +
+            delta.gasM3 * CONFIG.ENERGY_RATES.gas;
+    }
+
+    addCost(sample) {
+        const day = new Date(sample.ts).toDateString();
+        if (this.todayCost.day !== day) {
+            this.todayCost = { day: day, amount: 0 };
+            // Prices for the new day
+            this.loadPrices(new Date(sample.ts));
+        }
+
+        this.todayCost.amount += sample.cost;
+        this.updateDisplay('dailyCost', this.todayCost.amount);
+    }
+
     connectWebSocket() {
-        if ('WebSocket' in window) {
-            try {
-                this.ws = new WebSocket(CONFIG.WEBSOCKET_URL);
-                
-                this.ws.onopen = () => {
-                    console.log('WebSocket connected');
-                    this.updateStatus('online');
-                };
-
-                this.ws.onmessage = (event) => {
-                    const data = JSON.parse(event.data);
-                    this.handleRealtimeData(data);
-                };
-
-                this.ws.onerror = (error) => {
-                    console.error('WebSocket error:', error);
-                    this.updateStatus('offline');
-                };
-
-                this.ws.onclose = () => {
-                    console.log('WebSocket disconnected');
-                    this.updateStatus('offline');
-                    // Attempt reconnection after 5 seconds
-                    setTimeout(() => this.connectWebSocket(), 5000);
-                };
-            } catch (error) {
-                console.error('WebSocket connection failed:', error);
-                this.startSimulation();
-            }
-        } else {
+        if (typeof RealtimeClient === 'undefined') {
             this.startSimulation();
+            return;
+        }
+
+        this.ws = new RealtimeClient(CONFIG.WEBSOCKET_URL, {
+            heartbeatInterval: CONFIG.HEARTBEAT_INTERVAL,
+            idleTimeout: CONFIG.HEARTBEAT_TIMEOUT
+        });
+
+        this.ws
+            .on('open', () => {
+                console.log('WebSocket connected');
+                this.updateStatus('online');
+                this.stopSimulation();
+            })
+            .on('close', () => {
+                this.updateStatus('offline');
+                // Keep the dashboard alive with demo data while reconnecting
+                if (!this.p1Source) {
+                    this.startSimulation();
+                }
+            })
+            .on('reconnecting', (delay, attempt) => {
+                console.log(`WebSocket reconnect #${attempt} in ${Math.round(delay / 1000)}s`);
+            })
+            .on('unavailable', () => this.startSimulation())
+            .on('reading', (payload, message) => {
+                // Replayed readings are history, not the current situation
+                if (payload.replayed) {
+                    if (payload.data) {
+                        this.recordHistory(payload.data, new Date(message.ts));
+                    }
+                    return;
+                }
+
+                if (payload.telegram) {
+                    this.handleTelegram(payload.telegram);
+                } else {
+                    this.handleRealtimeData({ timestamp: new Date(message.ts), ...payload.data });
+                }
+            });
+
+        this.ws.subscribe(this.meterId);
+        this.ws.connect();
+    }
+
+    get isDemo() {
+        return this.meterId === CONFIG.DEMO_METER_ID;
+    }
+
+    // Follows another meter, e.g. the customer's own after login; what was
+    // shown for the previous meter is cleared and the new one's history restored
+    subscribeMeter(meterId) {
+        if (this.meterId === meterId) return Promise.resolve();
+
+        if (this.ws) {
+            this.ws.unsubscribe(this.meterId);
+        }
+        this.meterId = meterId;
+        this.latest = null;
+        this.data = { usage: [], production: [], timestamps: [] };
+        this.todayCost = { day: null, amount: 0 };
+        this.updateDisplay('dailyCost', 0);
+        this.setChartRange(this.chartRange);
+        if (this.ws) {
+            this.ws.subscribe(meterId);
         }
+        return this.restoreHistory();
     }
 
     handleRealtimeData(data) {
@@ -144,6 +279,101 @@ class EnergyMonitor {
 
         // Update chart data
         this.updateChartData(data);
+
+        // Demo data never ends up in the customer's history
+        if (!data.simulated) {
+            this.latest = { power: data.currentUsage || 0, timestamp: data.timestamp || new Date() };
+            this.recordHistory(data, data.timestamp);
+        }
+    }
+
+    recordHistory(data, timestamp) {
+        if (!this.history) return;
+
+        this.history.record(this.meterId, data, timestamp)
+            .then(sample => this.addCost(sample))
+            .catch(error => {
+                console.error('History write failed:', error);
+            });
+    }
+
+    async restoreHistory() {
+        if (!this.history) return;
+
+        try {
+            const today = new Date();
+            const [samples, days] = await Promise.all([
+                this.history.latest(this.meterId, this.maxDataPoints),
+                this.history.query(this.meterId, today, today, 'day')
+            ]);
+
+            if (days.length > 0) {
+                this.todayCost = { day: today.toDateString(), amount: days[0].cost };
+                this.updateDisplay('dailyCost', this.todayCost.amount);
+            }
+            if (samples.length === 0) return;
+
+            this.data.usage = samples.map(sample => sample.power);
+            this.data.production = samples.map(sample => sample.export);
+            this.data.timestamps = samples.map(sample => new Date(sample.ts));
+            this.drawChart();
+        } catch (error) {
+            console.error('History restore failed:', error);
+        }
+    }
+
+    // resolution: 'raw' | 'hour' | 'day' | 'month'
+    loadHistory(from, to, resolution = 'raw') {
+        if (!this.history) return Promise.resolve([]);
+        return this.history.query(this.meterId, from, to, resolution);
+    }
+
+    handleTelegram(raw) {
+        if (!this.p1Adapter) return;
+
+        try {
+            // dailyCost follows from the recorded intervals, see addCost()
+            this.handleRealtimeData(this.p1Adapter.toMonitorData(raw));
+        } catch (error) {
+            console.warn('P1 telegram skipped:', error.message);
+        }
+    }
+
+    async connectP1() {
+        if (typeof P1SerialReader === 'undefined' || !P1SerialReader.isSupported()) {
+            throw new Error('Deze browser ondersteunt geen seriële P1-verbinding');
+        }
+
+        this.disconnectP1();
+        this.p1Source = new P1SerialReader((raw) => this.handleTelegram(raw));
+        await this.p1Source.connect();
+        this.stopSimulation();
+        this.updateStatus('online');
+    }
+
+    replayTelegrams(text) {
+        this.disconnectP1();
+        this.p1Source = new P1Replay(text, (raw) => this.handleTelegram(raw), CONFIG.P1_REPLAY_INTERVAL);
+
+        if (this.p1Source.telegrams.length === 0) {
+            this.p1Source = null;
+            throw new Error('Geen P1-telegrammen gevonden in dit bestand');
+        }
+
+        this.stopSimulation();
+        this.p1Source.start();
+        return this.p1Source.telegrams.length;
+    }
+
+    disconnectP1() {
+        if (!this.p1Source) return;
+
+        if (this.p1Source instanceof P1Replay) {
+            this.p1Source.stop();
+        } else {
+            this.p1Source.disconnect();
+        }
+        this.p1Source = null;
     }
 
     updateDisplay(elementId, value) {
@@ -174,102 +404,100 @@ class EnergyMonitor {
 
     initChart() {
         const canvas = document.getElementById('energyChart');
-        if (canvas && canvas.getContext) {
-            const ctx = canvas.getContext('2d');
-            
-            // Simple line chart implementation
-            this.chart = {
-                ctx: ctx,
-                width: canvas.width,
-                height: canvas.height,
-                padding: 20
-            };
+        if (!canvas || !canvas.getContext || typeof EnergyChart === 'undefined') return;
 
-            this.drawChart();
-        }
+        this.chart = new EnergyChart(canvas);
+        this.chartRange = 'live';
+
+        document.querySelectorAll('[data-chart-range]').forEach(button => {
+            button.addEventListener('click', () => this.setChartRange(button.dataset.chartRange));
+        });
+
+        this.drawChart();
     }
 
     drawChart() {
-        if (!this.chart) return;
+        if (!this.chart || this.chartRange !== 'live') return;
+
+        const hasPrices = this.tariffs && this.data.timestamps.some(timestamp => this.tariffs.hasPrice(timestamp));
+
+        this.chart.setData({
+            mode: 'line',
+            resolution: 'live',
+            units: { left: 'kW', right: '€/kWh' },
+            series: [
+                { key: 'usage', label: 'Verbruik', color: '#00A651', fill: 'rgba(0, 166, 81, 0.1)' },
+                { key: 'production', label: 'Teruglevering', color: '#FFB700' },
+                ...(hasPrices ? [this.priceSeries] : [])
+            ],
+            points: this.data.timestamps.map((timestamp, index) => ({
+                t: new Date(timestamp).getTime(),
+                usage: this.data.usage[index],
+                production: this.data.production[index],
+                price: this.tariffs ? this.tariffs.priceAt(timestamp) : null
+            }))
+        });
+    }
 
-        const { ctx, width, height, padding } = this.chart;
-        
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
-        
-        // Set styles
-        ctx.strokeStyle = '#00A651';
-        ctx.lineWidth = 2;
-        ctx.fillStyle = 'rgba(0, 166, 81, 0.1)';
-        
-        // Draw grid
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-        ctx.lineWidth = 1;
-        
-        for (let i = 0; i <= 5; i++) {
-            const y = padding + (height - 2 * padding) * i / 5;
-            ctx.beginPath();
-            ctx.moveTo(padding, y);
-            ctx.lineTo(width - padding, y);
-            ctx.stroke();
+    get priceSeries() {
+        return { key: 'price', label: 'Stroomprijs', color: '#FF6B35', type: 'line', axis: 'right', step: true };
+    }
+
+    async setChartRange(range) {
+        if (!this.chart || !CHART_RANGES[range]) return;
+
+        this.chartRange = range;
+        document.querySelectorAll('[data-chart-range]').forEach(button => {
+            button.classList.toggle('active', button.dataset.chartRange === range);
+            button.setAttribute('aria-pressed', String(button.dataset.chartRange === range));
+        });
+
+        if (range === 'live') {
+            this.drawChart();
+            return;
         }
-        
-        // Draw data
-        if (this.data.usage.length > 1) {
-            // Draw usage line
-            ctx.strokeStyle = '#00A651';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            
-            const xStep = (width - 2 * padding) / (this.maxDataPoints - 1);
-            const yScale = (height - 2 * padding) / 10; // Max 10kW
-            
-            this.data.usage.forEach((value, index) => {
-                const x = padding + index * xStep;
-                const y = height - padding - value * yScale;
-                
-                if (index === 0) {
-                    ctx.moveTo(x, y);
-                } else {
-                    ctx.lineTo(x, y);
-                }
-            });
-            
-            ctx.stroke();
-            
-            // Fill area under curve
-            ctx.lineTo(width - padding, height - padding);
-            ctx.lineTo(padding, height - padding);
-            ctx.closePath();
-            ctx.fillStyle = 'rgba(0, 166, 81, 0.1)';
-            ctx.fill();
-            
-            // Draw production line if available
-            if (this.data.production.length > 1) {
-                ctx.strokeStyle = '#FFB700';
-                ctx.beginPath();
-                
-                this.data.production.forEach((value, index) => {
-                    const x = padding + index * xStep;
-                    const y = height - padding - value * yScale;
-                    
-                    if (index === 0) {
-                        ctx.moveTo(x, y);
-                    } else {
-                        ctx.lineTo(x, y);
-                    }
-                });
-                
-                ctx.stroke();
-            }
+
+        const bounds = chartRangeBounds(range);
+        let rollups = [];
+        try {
+            rollups = await this.loadHistory(bounds.from, bounds.to - 1, bounds.resolution);
+        } catch (error) {
+            console.error('History query failed:', error);
         }
+
+        // Another range was picked while loading
+        if (this.chartRange !== range) return;
+
+        const byStart = new Map(rollups.map(rollup => [rollup.start, rollup]));
+
+        // Hourly view overlays the day-ahead price curve on the right axis instead of gas
+        const showPrices = range === 'day' && this.tariffs && this.tariffs.hasPrice(bounds.from);
+        this.chart.setData({
+            mode: 'bar',
+            resolution: bounds.resolution,
+            bucket: CHART_RANGES[range].bucket,
+            units: { left: 'kWh', right: showPrices ? '€/kWh' : 'm³' },
+            series: [
+                { key: 'importKwh', label: 'Verbruik', color: '#00A651' },
+                { key: 'exportKwh', label: 'Teruglevering', color: '#FFB700', negative: true },
+                showPrices ? this.priceSeries : { key: 'gasM3', label: 'Gas', color: '#0A84FF', axis: 'right' }
+            ],
+            points: bounds.starts.map(start => ({
+                t: start,
+                importKwh: byStart.has(start) ? byStart.get(start).importKwh : 0,
+                exportKwh: byStart.has(start) ? byStart.get(start).exportKwh : 0,
+                gasM3: byStart.has(start) ? byStart.get(start).gasM3 : 0,
+                cost: byStart.has(start) ? byStart.get(start).cost : 0,
+                price: showPrices ? this.tariffs.priceAt(start) : null
+            }))
+        });
     }
 
     updateChartData(newData) {
         // Add new data points
         this.data.usage.push(newData.currentUsage || 0);
         this.data.production.push(newData.solarProduction || 0);
-        this.data.timestamps.push(new Date());
+        this.data.timestamps.push(newData.timestamp || new Date());
         
         // Remove old data points if exceeding max
         if (this.data.usage.length > this.maxDataPoints) {
@@ -284,80 +512,121 @@ class EnergyMonitor {
 
     startSimulation() {
         // Simulate real-time data for demo
-        setInterval(() => {
+        this.stopSimulation();
+        this.simulationTimer = setInterval(() => {
             const simulatedData = {
                 currentUsage: 2 + Math.random() * 3,
                 solarProduction: Math.max(0, 1 + Math.random() * 2 - 0.5),
-                dailyCost: 10 + Math.random() * 10
+                dailyCost: 10 + Math.random() * 10,
+                simulated: true
             };
             
             this.handleRealtimeData(simulatedData);
         }, CONFIG.UPDATE_INTERVAL);
     }
 
+    stopSimulation() {
+        if (this.simulationTimer) {
+            clearInterval(this.simulationTimer);
+            this.simulationTimer = null;
+        }
+    }
+
     destroy() {
+        this.stopSimulation();
+        this.disconnectP1();
         if (this.ws) {
             this.ws.close();
         }
+        if (this.history) {
+            this.history.close();
+        }
+        if (this.chart) {
+            this.chart.destroy();
+        }
     }
 }
 
 // ==================== CALCULATOR ====================
 class EnergyCalculator {
     constructor() {
-        this.rates = {
-            electricity: 0.45, // EUR per kWh
-            gas: 1.50, // EUR per m³
-            solarDiscount: 0.15 // 15% discount with solar panels
-        };
-        
-        this.consumption = {
-            1: { power: 1800, gas: 800 },
-            2: { power: 2800, gas: 1200 },
-            3: { power: 3500, gas: 1400 },
-            4: { power: 4200, gas: 1600 },
-            5: { power: 5000, gas: 1800 }
-        };
-        
-        this.homeTypeMultiplier = {
-            'apartment': 0.8,
-            'row-house': 1.0,
-            'corner-house': 1.1,
-            'detached': 1.3
-        };
+        // Pricing lives in CalculatorCore (scripts/calculator.js); this class only binds the form
+        this.tariff = DEFAULT_TARIFF;
+        this.tariffs = null; // TariffEngine for dynamic contracts, set by the app
+        this.quotes = new SavedQuotes();
+
+        // A shared link (?personen=3&woning=...) fills in the form before the first render
+        const shared = QuoteUrl.decode(window.location.search);
+        if (shared) {
+            this.writeInput(shared);
+        }
+
+        this.renderSavedQuotes();
+        this.ready = this.loadTariff();
     }
 
-    calculate() {
-        const householdSize = document.getElementById('householdSize').value;
-        const homeType = document.getElementById('homeType').value;
-        const hasSolar = document.getElementById('solarPanels').checked;
-        
-        // Get base consumption
-        const baseConsumption = this.consumption[householdSize];
-        const multiplier = this.homeTypeMultiplier[homeType];
-        
-        // Calculate adjusted consumption
-        const powerConsumption = baseConsumption.power * multiplier;
-        const gasConsumption = baseConsumption.gas * multiplier;
-        
-        // Calculate costs
-        let electricityCost = powerConsumption * this.rates.electricity;
-        const gasCost = gasConsumption * this.rates.gas;
-        
-        // Apply solar discount
-        if (hasSolar) {
-            electricityCost *= (1 - this.rates.solarDiscount);
-        }
-        
-        // Calculate monthly amount
-        const yearlyTotal = electricityCost + gasCost;
-        const monthlyAmount = yearlyTotal / 12;
-        
+    async loadTariff() {
+        this.tariff = await TariffConfig.load(CONFIG.TARIFF_CONFIG_URL, window.localStorage);
+        this.update();
+    }
+
+    // Reads the calculator form; missing elements fall back to the core defaults
+    readInput() {
+        const value = (id) => document.getElementById(id)?.value;
+        const defaults = CalculatorCore.DEFAULT_INPUT;
+
         return {
-            power: Math.round(powerConsumption),
-            gas: Math.round(gasConsumption),
-            monthly: Math.round(monthlyAmount)
+            householdSize: value('householdSize') ?? defaults.householdSize,
+            homeType: value('homeType') ?? defaults.homeType,
+            hasSolar: document.getElementById('solarPanels')?.checked ?? defaults.hasSolar,
+            contractType: value('contractType') ?? 'fixed',
+            connection: value('connectionSize') ?? defaults.connection,
+            gasConnection: value('gasConnection') ?? defaults.gasConnection,
+            solarSystem: {
+                panels: value('solarPanelCount') || defaults.solarSystem.panels,
+                kWp: value('solarKwp') || null,
+                orientation: value('solarOrientation') ?? defaults.solarSystem.orientation,
+                tilt: value('solarTilt') ?? defaults.solarSystem.tilt
+            }
+        };
+    }
+
+    // Inverse of readInput; used for shared links and reopened quotes
+    writeInput(input) {
+        const set = (id, value) => {
+            const element = document.getElementById(id);
+            if (element && value !== undefined && value !== null) element.value = value;
         };
+        const solar = input.solarSystem || {};
+
+        set('householdSize', input.householdSize);
+        set('homeType', input.homeType);
+        set('contractType', input.contractType);
+        set('connectionSize', input.connection);
+        set('gasConnection', input.gasConnection);
+        set('solarPanelCount', solar.panels);
+        set('solarKwp', solar.kWp || '');
+        set('solarOrientation', solar.orientation);
+        set('solarTilt', solar.tilt);
+
+        const solarToggle = document.getElementById('solarPanels');
+        if (solarToggle && input.hasSolar !== undefined) solarToggle.checked = Boolean(input.hasSolar);
+
+        // A dynamic quote cannot be priced while no day-ahead prices are loaded
+        const contractType = document.getElementById('contractType');
+        if (contractType && contractType.selectedOptions[0]?.disabled) contractType.value = 'fixed';
+    }
+
+    // Dynamic contracts are estimated at the average loaded day-ahead price
+    tariffFor(input) {
+        const dynamicRate = input.contractType === 'dynamic' && this.tariffs ? this.tariffs.averageSupplyPrice() : null;
+        if (dynamicRate === null) return this.tariff;
+
+        return { ...this.tariff, rates: { ...this.tariff.rates, electricity: dynamicRate } };
+    }
+
+    calculate(input = this.readInput()) {
+        return CalculatorCore.calculate(input, this.tariffFor(input));
     }
 
     update() {
@@ -367,6 +636,190 @@ class EnergyCalculator {
         this.animateValue('estimatedPower', results.power);
         this.animateValue('estimatedGas', results.gas);
         this.animateValue('monthlyAmount', results.monthly);
+        this.renderBreakdown(results);
+        this.renderSolarProjection(results.solar);
+        this.renderTariffVersion(results.tariffVersion);
+    }
+
+    // User edits: recalculate and keep the address bar shareable
+    change() {
+        this.update();
+        this.syncUrl();
+    }
+
+    syncUrl(input = this.readInput()) {
+        history.replaceState(history.state, '', QuoteUrl.toUrl(input));
+    }
+
+    shareUrl() {
+        return QuoteUrl.toUrl(this.readInput());
+    }
+
+    saveQuote(name) {
+        const input = this.readInput();
+        const quote = this.quotes.save(name, input, this.calculate(input));
+        this.renderSavedQuotes();
+        return quote;
+    }
+
+    removeQuote(id) {
+        this.quotes.remove(id);
+        this.renderSavedQuotes();
+        this.renderComparison([]);
+    }
+
+    // Puts a saved quote back into the form; returns the recalculated results
+    restoreQuote(id) {
+        const quote = this.quotes.get(id);
+        if (!quote) {
+            throw new Error('Deze berekening bestaat niet meer');
+        }
+
+        this.writeInput(quote.input);
+        this.change();
+        return this.calculate(quote.input);
+    }
+
+    selectedQuoteIds() {
+        return Array.from(document.querySelectorAll('#savedQuotes input[name="compareQuote"]:checked'))
+            .map(checkbox => checkbox.value);
+    }
+
+    renderSavedQuotes() {
+        const container = document.getElementById('savedQuotes');
+        if (!container) return;
+
+        const quotes = this.quotes.list();
+        if (quotes.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const items = quotes.map(quote => `
+            <li class="saved-quote">
+                <label>
+                    <input type="checkbox" name="compareQuote" value="${quote.id}">
+                    <span class="saved-quote-name">${Utils.escapeHTML(quote.name)}</span>
+                    <span class="saved-quote-amount">${Utils.formatCurrency(quote.results.monthly)} p/m</span>
+                </label>
+                <button type="button" class="btn-link" onclick="openQuote('${quote.id}')">Aanvragen</button>
+                <button type="button" class="btn-link" onclick="removeQuote('${quote.id}')" aria-label="Verwijder ${Utils.escapeHTML(quote.name)}">Verwijder</button>
+            </li>`).join('');
+
+        container.innerHTML = `
+            <h3>Opgeslagen berekeningen</h3>
+            <ul class="saved-quote-list">${items}</ul>
+            <button type="button" class="btn-secondary" onclick="compareQuotes()">Vergelijk selectie</button>
+            <div id="quoteComparison"></div>`;
+    }
+
+    renderComparison(ids) {
+        const container = document.getElementById('quoteComparison');
+        if (!container) return;
+
+        const quotes = this.quotes.compare(ids);
+        if (quotes.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const homeTypes = { 'apartment': 'Appartement', 'row-house': 'Rijtjeshuis', 'corner-house': 'Hoekwoning', 'detached': 'Vrijstaand' };
+        const row = (label, cell) => `<tr><th>${label}</th>${quotes.map(quote => `<td>${cell(quote)}</td>`).join('')}</tr>`;
+
+        container.innerHTML = `
+            <table class="quote-comparison">
+                <thead>
+                    <tr><th></th>${quotes.map(quote => `<th class="${quote.cheapest ? 'cheapest' : ''}">${Utils.escapeHTML(quote.name)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${row('Huishouden', quote => `${quote.input.householdSize} pers.`)}
+                    ${row('Woning', quote => homeTypes[quote.input.homeType] || quote.input.homeType)}
+                    ${row('Contract', quote => quote.input.contractType === 'dynamic' ? 'Dynamisch' : 'Vast')}
+                    ${row('Zonnepanelen', quote => quote.input.hasSolar ? 'Ja' : 'Nee')}
+                    ${row('Stroom (kWh)', quote => Utils.formatNumber(quote.results.power))}
+                    ${row('Gas (m³)', quote => Utils.formatNumber(quote.results.gas))}
+                    ${row('Per maand', quote => Utils.formatCurrency(quote.results.monthly))}
+                    ${row('Per jaar', quote => Utils.formatCurrency(quote.results.yearly))}
+                    ${row('Verschil p/m', quote => quote.difference > 0 ? `+ ${Utils.formatCurrency(quote.difference)}` : '-')}
+                    ${row('Tarieven', quote => quote.results.tariffVersion || '-')}
+                </tbody>
+            </table>`;
+    }
+
+    renderTariffVersion(meta) {
+        const element = document.getElementById('tariffVersion');
+        if (!element) return;
+
+        const formatDate = (date) => new Date(date).toLocaleDateString('nl-NL', { day: 'numeric', month: 'long', year: 'numeric' });
+        let text = `Tarieven versie ${meta.version}`;
+        if (meta.validFrom) {
+            text += meta.validUntil ?
+                `, geldig van ${formatDate(meta.validFrom)} t/m ${formatDate(meta.validUntil)}` :
+                `, geldig vanaf ${formatDate(meta.validFrom)}`;
+        }
+        element.textContent = text;
+    }
+
+    renderSolarProjection(solar) {
+        const container = document.getElementById('solarProjection');
+        const options = document.getElementById('solarOptions');
+        if (options) {
+            options.hidden = !solar;
+        }
+        if (!container) return;
+
+        if (!solar) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = solar.projection.map(year => `
+            <tr class="${year.netMeteringShare < 1 ? 'no-net-metering' : ''}">
+                <td>${year.year}</td>
+                <td>${Utils.formatNumber(year.production)}</td>
+                <td>${Utils.formatNumber(year.selfConsumed)}</td>
+                <td>${Utils.formatNumber(year.fedIn)}</td>
+                <td>${Utils.formatNumber(year.netted)}</td>
+                <td>${Utils.formatCurrency(year.totalSavings)}</td>
+            </tr>`).join('');
+
+        container.innerHTML = `
+            <p class="solar-summary">
+                ${Utils.formatNumber(solar.kWp, 2)} kWp levert ca. ${Utils.formatNumber(solar.production)} kWh per jaar.
+                Je verbruikt ${Utils.formatNumber(solar.selfConsumed)} kWh direct zelf en levert
+                ${Utils.formatNumber(solar.fedIn)} kWh terug aan het net.
+            </p>
+            <table class="solar-projection">
+                <thead>
+                    <tr>
+                        <th>Jaar</th>
+                        <th>Opwek (kWh)</th>
+                        <th>Eigen verbruik</th>
+                        <th>Teruglevering</th>
+                        <th>Gesaldeerd</th>
+                        <th>Voordeel</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="solar-note">De salderingsregeling stopt op 1 januari 2027. Daarna krijg je voor teruggeleverde stroom een terugleververgoeding in plaats van verrekening met je verbruik.</p>`;
+    }
+
+    renderBreakdown(results) {
+        const container = document.getElementById('costBreakdown');
+        if (!container) return;
+
+        const row = (label, amount, className = '') => `
+            <div class="breakdown-row ${className}">
+                <span>${label}</span>
+                <span>${Utils.formatCurrency(amount)}</span>
+            </div>`;
+
+        container.innerHTML =
+            results.breakdown.lines.map(line => row(line.label, line.amount, line.amount < 0 ? 'credit' : '')).join('') +
+            row('Subtotaal excl. btw', results.breakdown.subtotal, 'subtotal') +
+            row(`Btw ${Math.round(results.breakdown.vatRate * 100)}%`, results.breakdown.vat) +
+            row('Totaal per jaar', results.yearly, 'total');
     }
 
     animateValue(elementId, endValue) {
@@ -413,8 +866,8 @@ class Navigation {
             this.mobileToggle.addEventListener('click', () => this.toggleMobileMenu());
         }
         
-        // Smooth scroll for navigation links
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+        // Smooth scroll for navigation links; data-route links are client-side routes
+        document.querySelectorAll('a[href^="#"]:not([data-route])').forEach(anchor => {
             anchor.addEventListener('click', (e) => this.smoothScroll(e));
         });
         
@@ -529,127 +982,174 @@ class Navigation {
 }
 
 // ==================== FORM HANDLING ====================
+// Site-specific rules for data-validate="..."; the engine is in scripts/validation.js
+FormValidator.register('postcode', (value, field) => {
+    const postcode = DutchAddress.normalizePostcode(value);
+    if (!postcode) return 'Voer een geldige postcode in (bijv. 1234 AB)';
+
+    // Normalised to '1234 AB' once the user has moved on
+    if (field.value !== postcode && document.activeElement !== field) field.value = postcode;
+    return null;
+});
+
+FormValidator.register('house-number', (value) => {
+    return DutchAddress.parseHouseNumber(value) ? null : 'Voer een geldig huisnummer in';
+});
+
+FormValidator.register('iban', (value, field) => {
+    const check = IBAN.validate(value);
+    if (!check.valid) return check.error;
+
+    // Shown in groups of four
+    if (document.activeElement !== field) field.value = IBAN.format(check.iban);
+    return null;
+});
+
+FormValidator.register('account-holder', (value) => SepaMandate.validateHolder(value));
+
+// data-product="electricity|gas" catches swapped codes
+FormValidator.register('ean', (value) => EANCode.validate(value).error);
+
+FormValidator.register('meter-number', (value, field) => MeterNumber.validate(value, field.dataset.product).error);
+
+// data-previous / data-previous-date are set from the last known reading
+FormValidator.register('meter-reading', (value, field) => MeterReading.validate(value, {
+    previous: field.dataset.previous,
+    previousDate: field.dataset.previousDate,
+    unit: field.dataset.unit
+}).error);
+
+// Six digits from an authenticator app, or a backup code like 4F2A-91C0
+FormValidator.register('otp', (value) => {
+    const code = value.replace(/\s/g, '');
+    if (/^\d{6}$/.test(code) || /^[0-9a-f]{4}-?[0-9a-f]{4}$/i.test(code)) return null;
+    return 'Vul de 6 cijfers uit je app of een back-upcode in';
+});
+
+// Outstanding amount for a betalingsregeling, within ARRANGEMENT_RULES
+FormValidator.register('arrangement-amount', (value) => PaymentPlan.validateAmount(FormValidator.toNumber(value)));
+
+// Same rule as the server applies on a password reset
+FormValidator.register('new-password', (value) => {
+    if (value.length < 10) return 'Gebruik minimaal 10 tekens';
+    return /[a-z]/i.test(value) && /\d/.test(value) ? null : 'Gebruik zowel letters als cijfers';
+});
+
 class FormHandler {
-    constructor() {
+    constructor(submissions = null) {
         this.forms = document.querySelectorAll('form');
+        this.validators = new Map();
+        this.guards = new Map();
+        this.extensions = new Map(); // form -> { payload, onSubmitted }, see extend()
+        this.submissions = submissions; // SubmissionClient
+        this.rateLimit = new SubmissionRateLimit({ limit: CONFIG.ANTISPAM.RATE_LIMIT, window: CONFIG.ANTISPAM.RATE_WINDOW });
         this.init();
     }
 
     init() {
         this.forms.forEach(form => {
-            form.addEventListener('submit', (e) => this.handleSubmit(e));
-            
-            // Real-time validation
-            const inputs = form.querySelectorAll('input, select, textarea');
-            inputs.forEach(input => {
-                input.addEventListener('blur', () => this.validateField(input));
-                input.addEventListener('input', Utils.debounce(() => this.validateField(input), 500));
-            });
+            this.validators.set(form, new FormValidator(form).bind());
+
+            // Forms post to their data-endpoint (relative to CONFIG.API_ENDPOINT); wizards
+            // and forms with their own handler submit themselves
+            if (form.dataset.endpoint && !form.hasAttribute('data-wizard')) {
+                this.guardFor(form);
+                form.addEventListener('submit', (e) => this.handleSubmit(e));
+            }
         });
     }
 
-    handleSubmit(e) {
+    // Honeypot, fill time, proof of work and rate limit for a public form; see scripts/antispam.js
+    guardFor(form) {
+        if (!this.guards.has(form)) {
+            this.guards.set(form, new FormGuard(form, {
+                challengeUrl: `${CONFIG.API_ENDPOINT}/challenge`,
+                workerUrl: CONFIG.ANTISPAM.WORKER_URL,
+                difficulty: CONFIG.ANTISPAM.DIFFICULTY,
+                minFillTime: CONFIG.ANTISPAM.MIN_FILL_TIME,
+                rateLimit: this.rateLimit
+            }));
+        }
+        return this.guards.get(form);
+    }
+
+    /**
+     * Lets a feature module take part in the standard submit: payload(values)
+     * returns the body to send (and may throw to stop the submit),
+     * onSubmitted(response) replaces the default success notification.
+     */
+    extend(form, { payload = null, onSubmitted = null } = {}) {
+        this.extensions.set(form, { payload, onSubmitted });
+    }
+
+    validatorFor(field) {
+        const form = field.form || field.closest('form');
+        if (!this.validators.has(form)) {
+            this.validators.set(form, new FormValidator(form || document));
+        }
+        return this.validators.get(form);
+    }
+
+    async handleSubmit(e) {
         e.preventDefault();
         const form = e.target;
         
         // Validate all fields
-        const isValid = this.validateForm(form);
-        
-        if (isValid) {
-            // Show loading state
-            const submitBtn = form.querySelector('[type="submit"]');
-            const originalText = submitBtn.textContent;
-            submitBtn.textContent = 'Bezig...';
-            submitBtn.disabled = true;
-            
-            // Simulate API call
-            setTimeout(() => {
-                // Reset form
-                form.reset();
-                submitBtn.textContent = originalText;
-                submitBtn.disabled = false;
-                
-                // Show success message
-                this.showNotification('Formulier succesvol verzonden!', 'success');
-            }, 1500);
+        const isValid = await this.validateForm(form);
+        if (!isValid) return;
+
+        // Show loading state
+        const submitBtn = form.querySelector('[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Bezig...';
+        submitBtn.disabled = true;
+
+        try {
+            const guard = this.guardFor(form);
+            const extension = this.extensions.get(form) || {};
+            const values = this.validators.get(form).values();
+            const payload = await guard.seal(extension.payload ? extension.payload(values) : values);
+            const response = await this.submissions.submit(form.dataset.endpoint, payload);
+            guard.reset();
+            form.reset();
+            if (extension.onSubmitted) {
+                extension.onSubmitted(response);
+            } else {
+                this.showNotification(response.queued ?
+                    'Je bent offline. We versturen het formulier zodra je weer verbinding hebt' :
+                    'Formulier succesvol verzonden!', response.queued ? 'info' : 'success');
+            }
+        } catch (error) {
+            console.error('Form submit failed:', error);
+            const fields = this.showServerErrors(form, error.fields);
+            if (fields.length > 0) fields[0].focus();
+            this.showNotification(fields.length > 0 ? 'Controleer de gemarkeerde velden' : error.message, 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
         }
     }
 
     validateForm(form) {
-        const inputs = form.querySelectorAll('input, select, textarea');
-        let isValid = true;
-        
-        inputs.forEach(input => {
-            if (!this.validateField(input)) {
-                isValid = false;
-            }
-        });
-        
-        return isValid;
+        return this.validators.get(form).validateForm();
     }
 
+    // Resolves to true when the field passes every rule; shows the error otherwise
     validateField(field) {
-        const value = field.value.trim();
-        const type = field.type;
-        const required = field.hasAttribute('required');
-        
-        // Remove existing error
-        this.removeError(field);
-        
-        // Check if required
-        if (required && !value) {
-            this.showError(field, 'Dit veld is verplicht');
-            return false;
-        }
-        
-        // Email validation
-        if (type === 'email' && value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                this.showError(field, 'Voer een geldig e-mailadres in');
-                return false;
-            }
-        }
-        
-        // Phone validation
-        if (type === 'tel' && value) {
-            const phoneRegex = /^[\+]?[(]?[0-9]{3}[)]?[-\s\.]?[0-9]{3}[-\s\.]?[0-9]{4,6}$/;
-            if (!phoneRegex.test(value)) {
-                this.showError(field, 'Voer een geldig telefoonnummer in');
-                return false;
-            }
-        }
-        
-        // Password validation
-        if (type === 'password' && value) {
-            if (value.length < 8) {
-                this.showError(field, 'Wachtwoord moet minimaal 8 karakters bevatten');
-                return false;
-            }
-        }
-        
-        // Add success state
-        field.classList.add('valid');
-        return true;
+        return this.validatorFor(field).validateField(field);
     }
 
     showError(field, message) {
-        field.classList.add('error');
-        field.classList.remove('valid');
-        
-        const errorElement = document.createElement('span');
-        errorElement.className = 'field-error';
-        errorElement.textContent = message;
-        
-        field.parentElement.appendChild(errorElement);
+        this.validatorFor(field).showError(field, message);
     }
 
     removeError(field) {
-        field.classList.remove('error');
-        const errorElement = field.parentElement.querySelector('.field-error');
-        if (errorElement) {
-            errorElement.remove();
-        }
+        this.validatorFor(field).clearError(field);
+    }
+
+    // Field errors from the API response; returns the fields that were marked
+    showServerErrors(form, errors) {
+        return errors ? this.validators.get(form).showErrors(errors) : [];
     }
 
     showNotification(message, type = 'info') {
@@ -878,8 +1378,16 @@ class App112Energie {
         // Initialize modules
         this.modules.navigation = new Navigation();
         this.modules.energyMonitor = new EnergyMonitor();
+        this.initP1Controls();
         this.modules.calculator = new EnergyCalculator();
-        this.modules.formHandler = new FormHandler();
+        this.modules.calculator.tariffs = this.modules.energyMonitor.tariffs;
+        this.initSubmissions();
+        this.modules.formHandler = new FormHandler(this.modules.submissions);
+        this.initAuth();
+        this.initDashboard();
+        this.initAanvraag();
+        this.initDynamicTariff();
+        this.initArrangement();
         this.modules.animations = new AnimationController();
         this.modules.cookieConsent = new CookieConsent();
         
@@ -893,18 +1401,315 @@ class App112Energie {
         console.log('112Energie Application Started Successfully');
     }
 
+    initAuth() {
+        this.modules.auth = new AuthClient({ endpoint: CONFIG.API_ENDPOINT });
+        this.modules.session = new IdleTimeout({
+            timeout: CONFIG.SESSION_TIMEOUT,
+            warningTime: CONFIG.SESSION_WARNING,
+            onWarning: (remaining) => this.showSessionWarning(remaining),
+            onActive: () => this.closeModal('sessionWarningModal'),
+            onTimeout: (reason) => this.endSession(reason)
+        });
+
+        this.modules.auth.subscribe((user, reason) => {
+            this.renderAuthState(user);
+            if (user) {
+                this.modules.session.start({ fresh: reason === 'login' });
+            } else {
+                this.modules.session.stop();
+            }
+            if (this.modules.dashboard) {
+                if (user) this.modules.dashboard.route();
+                else this.modules.dashboard.reset();
+            }
+            this.followCustomerMeter(user);
+            if (user && this.modules.arrangement) this.modules.arrangement.prefill(user);
+            if (reason === 'expired') {
+                // logout() and endSession() clear up themselves; a rejected refresh ends up here
+                this.clearPersonalData();
+                this.modules.formHandler.showNotification('Je sessie is verlopen, log opnieuw in', 'info');
+            }
+        });
+
+        const loginModal = document.getElementById('loginModal');
+        if (loginModal) {
+            this.modules.login = new LoginDialog(loginModal, {
+                auth: this.modules.auth,
+                validator: this.modules.formHandler,
+                notify: (message, type) => this.modules.formHandler.showNotification(message, type),
+                open: () => this.openModal('loginModal'),
+                close: () => this.closeModal('loginModal')
+            });
+        }
+
+        this.renderAuthState(null);
+        this.modules.auth.restore().then(() => {
+            // Links from password reset and login emails
+            if (this.modules.login) this.modules.login.handleLinks();
+            // A logged-in customer is routed by the subscriber above
+            if (this.modules.dashboard && !this.modules.auth.isAuthenticated) this.modules.dashboard.route();
+        });
+    }
+
+    // Logged in, the monitor follows the contract's electricity meter, so the
+    // dashboard and the advance advice show the customer's own readings;
+    // logged out it goes back to the demo meter
+    async followCustomerMeter(user) {
+        const monitor = this.modules.energyMonitor;
+        if (!user || !this.modules.dashboard) {
+            await monitor.subscribeMeter(CONFIG.DEMO_METER_ID);
+            return;
+        }
+
+        try {
+            const contract = await this.modules.dashboard.get('/me/contract');
+            const connection = contract.connections.find(item => item.product === 'electricity');
+            if (!connection || this.modules.auth.user !== user) return;
+
+            await monitor.subscribeMeter(connection.ean);
+            if (this.modules.dashboard.isActive()) this.modules.dashboard.route();
+        } catch (error) {
+            console.warn('Customer meter unavailable:', error.code || error.message);
+        }
+    }
+
+    // "Mijn 112Energie"; routed once the stored session is restored (see initAuth).
+    // Opening a #mijn link while logged out asks for a login first
+    initDashboard() {
+        const root = document.getElementById('mijn');
+        if (!root) return;
+
+        const notify = (message, type) => this.modules.formHandler.showNotification(message, type);
+        this.modules.dashboard = new CustomerDashboard(root, {
+            auth: this.modules.auth,
+            monitor: this.modules.energyMonitor,
+            requireLogin: () => this.modules.login && this.modules.login.open(),
+            notify: notify,
+            invoiceViewer: typeof InvoiceViewer !== 'undefined' ? new InvoiceViewer() : null,
+            advanceAdvisor: typeof AdvanceAdvisor !== 'undefined' ? new AdvanceAdvisor({
+                auth: this.modules.auth,
+                monitor: this.modules.energyMonitor,
+                tariff: () => this.modules.calculator.tariff
+            }) : null,
+            onRender: (section, data) => {
+                if (section === 'meterstanden' && this.modules.meterReadings) {
+                    this.modules.meterReadings.setContext(data.readings);
+                }
+                // What is still open becomes the amount of a betalingsregeling
+                if (data.invoices && this.modules.arrangement) {
+                    const open = this.modules.dashboard.openInvoices(data.invoices)
+                        .reduce((sum, invoice) => sum + Math.max(0, invoice.amount), 0);
+                    this.modules.arrangement.prefill(this.modules.auth.user, open);
+                }
+            }
+        });
+
+        const readingForm = document.getElementById('meterReadingForm');
+        if (readingForm) {
+            this.modules.meterReadings = new MeterReadingForm(readingForm, {
+                auth: this.modules.auth,
+                validator: this.modules.formHandler,
+                notify: notify,
+                // The next visit checks against the reading just sent
+                onSubmitted: () => this.modules.dashboard.invalidate('/me/readings')
+            });
+        }
+    }
+
+    // Swaps the header between the login button and the account menu
+    renderAuthState(user) {
+        const loginButton = document.getElementById('loginButton');
+        const accountMenu = document.getElementById('accountMenu');
+        if (loginButton) loginButton.hidden = Boolean(user);
+        if (accountMenu) {
+            accountMenu.hidden = !user;
+            const name = accountMenu.querySelector('[data-account-name]');
+            if (name) name.textContent = user ? `${user.firstName} ${user.lastName}` : '';
+            const mfaSetup = accountMenu.querySelector('[data-mfa-setup]');
+            if (mfaSetup) mfaSetup.hidden = !user || Boolean(user.mfaEnabled);
+        }
+        document.body.classList.toggle('logged-in', Boolean(user));
+    }
+
+    // Submissions that were saved offline are reported once they go out
+    initSubmissions() {
+        const notify = (message, type) => this.modules.formHandler.showNotification(message, type);
+
+        this.modules.submissions = new SubmissionClient({
+            endpoint: CONFIG.API_ENDPOINT,
+            timeout: CONFIG.SUBMIT_TIMEOUT,
+            retries: CONFIG.SUBMIT_RETRIES,
+            onSent: (entry, result) => {
+                notify(entry.path === '/applications' ?
+                    `Je aanvraag is verstuurd. Je referentienummer is ${result.reference}` :
+                    'Je formulier is alsnog verstuurd', 'success');
+            },
+            onFailed: (entry, error) => {
+                notify(`Een offline bewaard formulier kon niet worden verstuurd: ${error.message}`, 'error');
+            }
+        }).watch();
+    }
+
+    // Dynamic contracts are priced at the loaded day-ahead prices. Without a
+    // price file they would quietly cost the fixed rate, so the option is
+    // only offered once prices arrive
+    initDynamicTariff() {
+        const options = document.querySelectorAll('#contractType option[value="dynamic"], #aanvraagContractType option[value="dynamic"]');
+        options.forEach(option => { option.disabled = true; });
+
+        this.modules.energyMonitor.pricesReady.then(available => {
+            options.forEach(option => {
+                option.disabled = !available;
+                option.textContent = available ? 'Dynamisch (uurprijzen)' : 'Dynamisch (uurprijzen, nog niet beschikbaar)';
+
+                const select = option.parentElement;
+                if (!available && select.value === 'dynamic') {
+                    select.value = 'fixed';
+                    select.dispatchEvent(new Event('change', { bubbles: true }));
+                }
+            });
+            this.modules.calculator.update();
+        });
+    }
+
+    initAanvraag() {
+        const form = document.getElementById('aanvraag-form');
+        if (!form) return;
+
+        const wizard = new AanvraagWizard(form, {
+            validator: this.modules.formHandler,
+            notify: (message, type) => this.modules.formHandler.showNotification(message, type),
+            onSubmit: (application) => this.submitAanvraag(this.withMandate(application))
+        });
+        this.modules.aanvraag = wizard;
+        this.modules.formHandler.guardFor(form);
+        this.bindPaymentFields(form);
+
+        const providers = [new OfflineAddressProvider(CONFIG.ADDRESS_DATASET_URL)];
+        if (CONFIG.ADDRESS_LOOKUP_URL) {
+            providers.unshift(new HttpAddressProvider(CONFIG.ADDRESS_LOOKUP_URL));
+        }
+
+        const autofill = new AddressAutofill(form.querySelector('[data-step="adres"]'), {
+            lookup: new AddressLookup({ providers: providers }),
+            validator: this.modules.formHandler,
+            onChange: () => wizard.changed()
+        });
+
+        // The supply address has to exist before the wizard moves on
+        wizard.checks.houseNumber = async () => autofill.message(await autofill.resolve());
+
+        // A gas EAN only makes sense with a gas connection
+        wizard.checks.eanGas = (value, data) => {
+            return value && data.gasConnection === 'none' ?
+                'Je hebt geen gasaansluiting gekozen; laat dit veld leeg of kies een gasaansluiting' : null;
+        };
+
+        this.prefillAanvraag();
+    }
+
+    // Reading the meter over USB needs Web Serial (Chrome, Edge); replaying
+    // a recording only needs FileReader and works everywhere
+    initP1Controls() {
+        const connect = document.querySelector('[data-p1-connect]');
+        if (connect) connect.hidden = typeof P1SerialReader === 'undefined' || !P1SerialReader.isSupported();
+    }
+
+    // Betalingsregeling: sent like any other form, with the schedule attached
+    initArrangement() {
+        const form = document.getElementById('arrangementForm');
+        if (!form) return;
+
+        const arrangement = new PaymentArrangementForm(form);
+        this.modules.arrangement = arrangement;
+        this.modules.formHandler.extend(form, {
+            payload: (values) => arrangement.payload(values),
+            onSubmitted: (response) => arrangement.submitted(response)
+        });
+    }
+
+    // Carries the calculator input and results into the wizard
+    prefillAanvraag() {
+        const wizard = this.modules.aanvraag;
+        if (!wizard) return;
+
+        try {
+            const input = JSON.parse(sessionStorage.getItem('calculationInput') || 'null');
+            const results = JSON.parse(sessionStorage.getItem('calculationResults') || 'null');
+            if (input || results) wizard.prefill(input, results);
+        } catch (error) {
+            console.warn('Stored calculation unreadable:', error);
+        }
+    }
+
+    // Shows the bank for Dutch IBANs and asks for the machtiging only with incasso
+    bindPaymentFields(form) {
+        const iban = form.querySelector('[data-validate="iban"]');
+        const bankName = form.querySelector('#aanvraagBankName');
+        const method = form.querySelector('[name="paymentMethod"]');
+        const consent = form.querySelector('[name="mandateConsent"]');
+
+        const showBank = () => {
+            if (!iban || !bankName) return;
+            const bank = IBAN.validate(iban.value).valid ? IBAN.bank(iban.value) : null;
+            bankName.textContent = bank ? `${bank.name} (BIC ${bank.bic})` : '';
+        };
+        const toggleMandate = () => {
+            if (!method || !consent) return;
+            const incasso = method.value === 'incasso';
+            consent.required = incasso;
+            consent.closest('.mandate')?.toggleAttribute('hidden', !incasso);
+            if (!incasso) this.modules.formHandler.removeError(consent);
+        };
+
+        iban?.addEventListener('input', showBank);
+        method?.addEventListener('change', toggleMandate);
+        showBank();
+        toggleMandate();
+    }
+
+    // Adds the SEPA mandate record for automatic collection
+    withMandate(application) {
+        if (application.paymentMethod !== 'incasso') return application;
+
+        return {
+            ...application,
+            mandate: SepaMandate.create(
+                { name: application.accountHolder, iban: application.iban },
+                { id: CONFIG.SEPA_CREDITOR.ID, name: CONFIG.SEPA_CREDITOR.NAME }
+            )
+        };
+    }
+
+    async submitAanvraag(application) {
+        const guard = this.modules.formHandler.guardFor(this.modules.aanvraag.form);
+        const response = await this.modules.submissions.submit('/applications', await guard.seal(application));
+        guard.reset();
+        return response.queued ? { queued: true } : { reference: response.result.reference };
+    }
+
     bindGlobalFunctions() {
         // Make functions available globally for onclick handlers
-        window.updateCalculation = () => this.modules.calculator.update();
+        window.updateCalculation = () => this.modules.calculator.change();
         window.proceedWithCalculation = () => this.proceedWithCalculation();
         window.startCalculator = () => this.startCalculator();
         window.selectService = (service) => this.selectService(service);
-        window.openLoginModal = () => this.openModal('loginModal');
-        window.closeLoginModal = () => this.closeModal('loginModal');
-        window.handleLogin = (e) => this.handleLogin(e);
+        window.openLoginModal = () => this.modules.login.open();
+        window.closeLoginModal = () => this.modules.login.close();
+        window.setupTwoFactor = () => this.modules.login.startTotpSetup();
+        window.logout = () => this.logout();
+        window.extendSession = () => this.extendSession();
         window.startDirectAanvraag = () => this.startDirectAanvraag();
+        window.saveQuote = () => this.saveQuote();
+        window.shareQuote = () => this.shareQuote();
+        window.openQuote = (id) => this.openQuote(id);
+        window.removeQuote = (id) => this.modules.calculator.removeQuote(id);
+        window.compareQuotes = () => this.compareQuotes();
         window.showDemo = () => this.showDemo();
         window.closeEmergencyBanner = () => this.closeEmergencyBanner();
+        window.setChartRange = (range) => this.modules.energyMonitor.setChartRange(range);
+        window.connectP1Meter = () => this.connectP1Meter();
+        window.loadP1Recording = (input) => this.loadP1Recording(input);
         window.cookieConsent = this.modules.cookieConsent;
     }
 
@@ -932,10 +1737,15 @@ class App112Energie {
     }
 
     proceedWithCalculation() {
-        const results = this.modules.calculator.calculate();
+        const calculator = this.modules.calculator;
+        const input = calculator.readInput();
+        const results = calculator.calculate(input);
         
-        // Store in session
+        // Store in session; the URL carries the input to other tabs and devices
         sessionStorage.setItem('calculationResults', JSON.stringify(results));
+        sessionStorage.setItem('calculationInput', JSON.stringify(input));
+        calculator.syncUrl(input);
+        this.prefillAanvraag();
         
         // Navigate to sign-up or next step
         console.log('Proceeding with calculation:', results);
@@ -943,10 +1753,57 @@ class App112Energie {
         
         // Simulate navigation
         setTimeout(() => {
-            window.location.href = '#aanvraag';
+            window.location.hash = '#aanvraag';
         }, 2000);
     }
 
+    saveQuote() {
+        const nameInput = document.getElementById('quoteName');
+
+        try {
+            const quote = this.modules.calculator.saveQuote(nameInput?.value);
+            if (nameInput) nameInput.value = '';
+            this.modules.formHandler.showNotification(`"${quote.name}" opgeslagen`, 'success');
+        } catch (error) {
+            this.modules.formHandler.showNotification(error.message, 'error');
+        }
+    }
+
+    async shareQuote() {
+        const url = this.modules.calculator.shareUrl();
+
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'Mijn 112Energie berekening', url: url });
+                return;
+            }
+            await navigator.clipboard.writeText(url);
+            this.modules.formHandler.showNotification('Link naar je berekening gekopieerd', 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') return; // share sheet dismissed
+            window.prompt('Kopieer de link naar je berekening:', url);
+        }
+    }
+
+    // Reopens a saved quote straight into the aanvraag
+    openQuote(id) {
+        try {
+            this.modules.calculator.restoreQuote(id);
+            this.proceedWithCalculation();
+        } catch (error) {
+            this.modules.formHandler.showNotification(error.message, 'error');
+        }
+    }
+
+    compareQuotes() {
+        const ids = this.modules.calculator.selectedQuoteIds();
+        if (ids.length < 2) {
+            this.modules.formHandler.showNotification('Selecteer minimaal twee berekeningen om te vergelijken', 'info');
+            return;
+        }
+        this.modules.calculator.renderComparison(ids);
+    }
+
     startCalculator() {
         const calculatorSection = document.getElementById('tarieven');
         if (calculatorSection) {
@@ -993,42 +1850,93 @@ class App112Energie {
         }
     }
 
-    handleLogin(e) {
-        e.preventDefault();
-        const form = e.target;
-        const email = form.email.value;
-        const password = form.password.value;
-        
-        // Simulate login
-        console.log('Login attempt:', { email });
-        
-        // Show loading
-        const submitBtn = form.querySelector('[type="submit"]');
-        submitBtn.textContent = 'Bezig met inloggen...';
-        submitBtn.disabled = true;
-        
-        // Simulate API call
-        setTimeout(() => {
-            submitBtn.textContent = 'Inloggen';
-            submitBtn.disabled = false;
-            
-            // Success
-            this.closeModal('loginModal');
-            this.modules.formHandler.showNotification('Succesvol ingelogd!', 'success');
-            
-            // Update UI
-            const loginBtn = document.querySelector('.btn-login');
-            if (loginBtn) {
-                loginBtn.innerHTML = '<svg>...</svg> Mijn Dashboard';
+    async logout() {
+        this.modules.session.signOut();
+        this.closeModal('sessionWarningModal');
+        await this.modules.auth.logout();
+        await this.clearPersonalData();
+        this.modules.formHandler.showNotification('Je bent uitgelogd', 'info');
+    }
+
+    showSessionWarning(remaining) {
+        const modal = document.getElementById('sessionWarningModal');
+        if (!modal) return;
+
+        const seconds = Math.ceil(remaining / 1000);
+        const countdown = modal.querySelector('[data-countdown]');
+        if (countdown) countdown.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+        if (!modal.classList.contains('active')) {
+            this.openModal('sessionWarningModal');
+            modal.querySelector('[data-session-extend]')?.focus();
+        }
+    }
+
+    extendSession() {
+        this.modules.session.extend();
+        this.closeModal('sessionWarningModal');
+        this.modules.auth.refresh().catch(error => console.warn('Token refresh failed:', error.code));
+    }
+
+    // Idle too long here ('idle') or signed out in another tab ('remote')
+    async endSession(reason) {
+        this.closeModal('sessionWarningModal');
+        await this.modules.auth.logout();
+        await this.clearPersonalData();
+
+        const minutes = Math.round(CONFIG.SESSION_TIMEOUT / 60000);
+        this.modules.formHandler.showNotification(reason === 'idle' ?
+            `Je bent automatisch uitgelogd omdat je ${minutes} minuten niet actief was` :
+            'Je bent uitgelogd', 'info');
+    }
+
+    // Contract, bank and usage data stay behind in storage otherwise. That
+    // includes the offline outbox: queued forms hold names, IBANs and
+    // addresses, and the next person on a shared computer would inherit them
+    async clearPersonalData() {
+        if (this.modules.aanvraag) {
+            this.modules.aanvraag.show(0);
+            this.modules.aanvraag.reset();
+        }
+        if (this.modules.meterReadings) this.modules.meterReadings.reset();
+        if (this.modules.arrangement) this.modules.arrangement.reset();
+
+        const history = this.modules.energyMonitor && this.modules.energyMonitor.history;
+        if (history) {
+            try {
+                await history.clear();
+            } catch (error) {
+                console.warn('Could not clear usage history:', error);
+            }
+        }
+
+        ['calculationResults', 'calculationInput', 'selectedService'].forEach(key => sessionStorage.removeItem(key));
+
+        if (this.modules.submissions) {
+            try {
+                const discarded = await this.modules.submissions.discard();
+                if (discarded > 0) {
+                    this.modules.formHandler.showNotification(discarded === 1 ?
+                        'Een offline bewaard formulier is niet verstuurd en verwijderd' :
+                        `${discarded} offline bewaarde formulieren zijn niet verstuurd en verwijderd`, 'warning');
+                }
+            } catch (error) {
+                console.warn('Could not clear the outbox:', error);
             }
-        }, 1500);
+        }
     }
 
     startDirectAanvraag() {
         console.log('Starting direct application...');
         
-        // Check if user has calculation results
-        const results = sessionStorage.getItem('calculationResults');
+        // Check if user has calculation results; a shared link counts as one
+        let results = sessionStorage.getItem('calculationResults');
+        if (!results && QuoteUrl.decode(window.location.search)) {
+            results = JSON.stringify(this.modules.calculator.calculate());
+            sessionStorage.setItem('calculationResults', results);
+            sessionStorage.setItem('calculationInput', JSON.stringify(this.modules.calculator.readInput()));
+            this.prefillAanvraag();
+        }
         
         if (results) {
             // Proceed with saved data
@@ -1040,6 +1948,33 @@ class App112Energie {
         }
     }
 
+    async connectP1Meter() {
+        try {
+            await this.modules.energyMonitor.connectP1();
+            this.modules.formHandler.showNotification('Slimme meter verbonden via P1-poort', 'success');
+        } catch (error) {
+            console.error('P1 connection failed:', error);
+            this.modules.formHandler.showNotification(error.message, 'error');
+        }
+    }
+
+    loadP1Recording(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const count = this.modules.energyMonitor.replayTelegrams(reader.result);
+                this.modules.formHandler.showNotification(`${count} P1-telegrammen worden afgespeeld`, 'info');
+            } catch (error) {
+                this.modules.formHandler.showNotification(error.message, 'error');
+            }
+        };
+        reader.readAsText(file);
+        input.value = ''; // the same recording can be chosen again
+    }
+
     showDemo() {
         console.log('Showing demo...');
         
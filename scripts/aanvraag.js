@@ -0,0 +1,525 @@
+/**
+ * 112Energie Aanvraag Wizard
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Multi-step sign-up (address, connection, contract, personal
+ * details, payment, confirmation). Validates per step, supports back/forward
+ * navigation including the browser buttons, and keeps progress in
+ * localStorage so a reload resumes at the same step; payment and identity
+ * details are left out of what is saved.
+ */
+
+// ==================== STEPS ====================
+// Each step is a <fieldset class="wizard-step" data-step="id"> in the form
+const AANVRAAG_STEPS = [
+    { id: 'adres', label: 'Adres' },
+    { id: 'aansluiting', label: 'Aansluiting' },
+    { id: 'contract', label: 'Contract' },
+    { id: 'gegevens', label: 'Gegevens' },
+    { id: 'betaling', label: 'Betaling' },
+    { id: 'bevestiging', label: 'Bevestiging' }
+];
+
+// Labels for the summary; fields not listed here are not shown
+const AANVRAAG_SUMMARY = {
+    adres: {
+        postcode: 'Postcode',
+        houseNumber: 'Huisnummer',
+        houseNumberAddition: 'Toevoeging',
+        street: 'Straat',
+        city: 'Woonplaats'
+    },
+    aansluiting: {
+        eanElectricity: 'EAN stroom',
+        eanGas: 'EAN gas',
+        meterNumberElectricity: 'Meternummer stroom',
+        meterNumberGas: 'Meternummer gas',
+        connection: 'Stroomaansluiting',
+        gasConnection: 'Gasaansluiting',
+        smartMeter: 'Slimme meter'
+    },
+    contract: {
+        contractType: 'Contract',
+        duration: 'Looptijd',
+        startDate: 'Startdatum',
+        greenEnergy: 'Groene stroom'
+    },
+    gegevens: {
+        salutation: 'Aanhef',
+        initials: 'Voorletters',
+        lastName: 'Achternaam',
+        birthDate: 'Geboortedatum',
+        email: 'E-mailadres',
+        phone: 'Telefoonnummer'
+    },
+    betaling: {
+        iban: 'IBAN',
+        accountHolder: 'Rekeninghouder',
+        paymentMethod: 'Betaalwijze',
+        mandateConsent: 'Machtiging incasso'
+    }
+};
+
+const AANVRAAG_VALUE_LABELS = {
+    contractType: { fixed: 'Vast tarief', dynamic: 'Dynamisch (uurprijzen)' },
+    duration: { '1': '1 jaar', '3': '3 jaar', 'flex': 'Onbepaalde tijd' },
+    paymentMethod: { incasso: 'Automatische incasso', manual: 'Zelf overmaken' },
+    gasConnection: { none: 'Geen gas' },
+    salutation: { mr: 'Dhr.', mrs: 'Mevr.', other: 'Anders' }
+};
+
+// ==================== WIZARD ====================
+class AanvraagWizard {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.options = {
+            storage: window.localStorage,
+            storageKey: '112energie_aanvraag',
+            maxAge: 30 * 24 * 60 * 60 * 1000, // saved progress expires after 30 days
+            validator: null, // FormHandler, for the generic field checks
+            notify: () => {},
+            onSubmit: null, // async (application) => ({ reference } | { queued: true })
+            ...options
+        };
+
+        this.steps = AANVRAAG_STEPS;
+        this.current = 0;
+        this.reached = 0; // furthest step the user may jump to
+        this.data = {};
+        this.touched = new Set(); // fields the user changed; prefill leaves them alone
+        this.calculation = null;
+        this.submitting = false;
+
+        // Checks that need application state, per field name: (value, data) => message | null,
+        // may be async. Everything expressible in markup lives in the data-* rules instead.
+        this.checks = {};
+
+        this.save = Utils.debounce(() => this.persist(), 300);
+        this.init();
+    }
+
+    init() {
+        this.restore();
+        this.writeForm(this.data);
+
+        this.form.addEventListener('input', (e) => this.changed(e.target));
+        this.form.addEventListener('change', (e) => this.changed(e.target));
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        this.form.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-wizard-action]');
+            if (!action) return;
+
+            e.preventDefault();
+            if (action.dataset.wizardAction === 'next') this.next();
+            if (action.dataset.wizardAction === 'back') this.back();
+            if (action.dataset.wizardAction === 'edit') this.goTo(this.indexOf(action.dataset.step));
+        });
+
+        this.progress = document.querySelector(`[data-wizard-progress="${this.form.id}"]`);
+        if (this.progress) {
+            this.progress.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-step]');
+                if (item) this.goTo(this.indexOf(item.dataset.step));
+            });
+        }
+
+        // Browser back/forward moves between steps
+        window.addEventListener('popstate', (e) => {
+            if (e.state && Number.isInteger(e.state.aanvraagStep)) {
+                this.show(Math.min(e.state.aanvraagStep, this.reached));
+            }
+        });
+
+        history.replaceState({ ...history.state, aanvraagStep: this.current }, '');
+        this.show(this.current);
+    }
+
+    indexOf(stepId) {
+        return this.steps.findIndex(step => step.id === stepId);
+    }
+
+    stepElement(index) {
+        return this.form.querySelector(`.wizard-step[data-step="${this.steps[index].id}"]`);
+    }
+
+    fields(index) {
+        const step = this.stepElement(index);
+        return step ? Array.from(step.querySelectorAll('input[name], select[name], textarea[name]')) : [];
+    }
+
+    // ==================== FORM DATA ====================
+    readForm() {
+        const data = {};
+        Array.from(this.form.elements).forEach(element => {
+            if (!element.name || element.disabled) return;
+
+            if (element.type === 'checkbox') {
+                data[element.name] = element.checked;
+            } else if (element.type === 'radio') {
+                if (element.checked) data[element.name] = element.value;
+            } else {
+                data[element.name] = element.value.trim();
+            }
+        });
+        return data;
+    }
+
+    writeForm(data) {
+        Array.from(this.form.elements).forEach(element => {
+            if (!element.name || !(element.name in data)) return;
+
+            if (element.type === 'checkbox') {
+                element.checked = Boolean(data[element.name]);
+            } else if (element.type === 'radio') {
+                element.checked = element.value === data[element.name];
+            } else {
+                element.value = data[element.name];
+            }
+        });
+    }
+
+    changed(field) {
+        if (field && field.name) this.touched.add(field.name);
+        this.data = { ...this.data, ...this.readForm() };
+        this.save();
+    }
+
+    // Fills empty fields from the calculator; choices the user made win
+    prefill(input, results) {
+        this.calculation = input || results ? { input: input || null, results: results || null } : null;
+
+        if (input) {
+            const defaults = {
+                connection: input.connection,
+                gasConnection: input.gasConnection,
+                contractType: input.contractType
+            };
+            Object.entries(defaults).forEach(([name, value]) => {
+                if (value !== undefined && !this.touched.has(name)) this.data[name] = value;
+            });
+            this.writeForm(this.data);
+        }
+
+        this.persist();
+        if (this.steps[this.current].id === 'bevestiging') this.renderSummary();
+    }
+
+    // ==================== PERSISTENCE ====================
+    // Fields marked data-persist="false" (payment and identity details) are
+    // kept in memory only and asked again after a reload
+    persistable(data) {
+        const skipped = new Set(Array.from(this.form.elements)
+            .filter(element => element.name && element.dataset.persist === 'false')
+            .map(element => element.name));
+        return Object.fromEntries(Object.entries(data).filter(([name]) => !skipped.has(name)));
+    }
+
+    persist() {
+        try {
+            this.options.storage.setItem(this.options.storageKey, JSON.stringify({
+                version: 1,
+                step: this.current,
+                reached: this.reached,
+                data: this.persistable(this.data),
+                touched: Array.from(this.touched),
+                calculation: this.calculation,
+                savedAt: Date.now()
+            }));
+        } catch (error) {
+            console.warn('Could not save application progress:', error);
+        }
+    }
+
+    restore() {
+        try {
+            const saved = JSON.parse(this.options.storage.getItem(this.options.storageKey) || 'null');
+            if (!saved || saved.version !== 1) return;
+
+            if (Date.now() - saved.savedAt > this.options.maxAge) {
+                this.clear();
+                return;
+            }
+
+            this.data = this.persistable(saved.data || {});
+            this.touched = new Set(saved.touched || []);
+            this.calculation = saved.calculation || null;
+            this.reached = Math.min(saved.reached || 0, this.steps.length - 1);
+            this.current = Math.min(saved.step || 0, this.reached);
+        } catch (error) {
+            console.warn('Saved application progress unreadable:', error);
+        }
+    }
+
+    clear() {
+        this.options.storage.removeItem(this.options.storageKey);
+    }
+
+    // ==================== VALIDATION ====================
+    async validateField(field) {
+        const validator = this.options.validator;
+        if (validator && !(await validator.validateField(field))) {
+            return false;
+        }
+
+        const check = this.checks[field.name];
+        if (!check || field.disabled) return true;
+
+        const message = await check(field.type === 'checkbox' ? field.checked : field.value.trim(), this.data);
+        if (message) {
+            if (validator) validator.showError(field, message);
+            return false;
+        }
+        return true;
+    }
+
+    async validateStep(index) {
+        const results = [];
+        for (const field of this.fields(index)) {
+            results.push(await this.validateField(field));
+        }
+
+        const firstInvalid = this.fields(index).find((field, i) => !results[i]);
+        if (firstInvalid) {
+            firstInvalid.focus();
+            return false;
+        }
+        return true;
+    }
+
+    // ==================== NAVIGATION ====================
+    async next() {
+        this.changed();
+        if (!(await this.validateStep(this.current))) {
+            this.options.notify('Controleer de gemarkeerde velden', 'error');
+            return false;
+        }
+
+        const target = Math.min(this.current + 1, this.steps.length - 1);
+        this.reached = Math.max(this.reached, target);
+        await this.goTo(target);
+        return true;
+    }
+
+    back() {
+        if (this.current > 0) this.goTo(this.current - 1);
+    }
+
+    // Earlier steps are always reachable; later ones only once visited
+    async goTo(index) {
+        if (index < 0 || index === this.current) return;
+        if (index > this.reached) return;
+
+        // Moving forward past a step still requires it to be valid
+        if (index > this.current && !(await this.validateStep(this.current))) return;
+
+        history.pushState({ ...history.state, aanvraagStep: index }, '', `#${this.form.id}`);
+        this.show(index);
+    }
+
+    show(index) {
+        this.current = index;
+
+        this.steps.forEach((step, i) => {
+            const element = this.stepElement(i);
+            if (element) element.hidden = i !== index;
+        });
+
+        if (this.steps[index].id === 'bevestiging') this.renderSummary();
+        this.renderProgress();
+        this.renderButtons();
+        this.persist();
+
+        const heading = this.stepElement(index)?.querySelector('legend, h3');
+        if (heading) {
+            heading.setAttribute('tabindex', '-1');
+            heading.focus({ preventScroll: true });
+        }
+    }
+
+    renderProgress() {
+        if (!this.progress) return;
+
+        this.progress.innerHTML = this.steps.map((step, i) => `
+            <li class="wizard-progress-step ${i < this.current ? 'completed' : ''} ${i === this.current ? 'active' : ''}"
+                data-step="${step.id}" ${i === this.current ? 'aria-current="step"' : ''}>
+                <button type="button" ${i > this.reached ? 'disabled' : ''}>
+                    <span class="wizard-progress-number">${i + 1}</span>
+                    <span class="wizard-progress-label">${step.label}</span>
+                </button>
+            </li>`).join('');
+    }
+
+    renderButtons() {
+        const last = this.current === this.steps.length - 1;
+        const toggle = (selector, visible) => {
+            const button = this.form.querySelector(selector);
+            if (button) button.hidden = !visible;
+        };
+
+        toggle('[data-wizard-action="back"]', this.current > 0);
+        toggle('[data-wizard-action="next"]', !last);
+        toggle('[type="submit"]', last);
+    }
+
+    // ==================== SUMMARY ====================
+    formatValue(name, value) {
+        if (typeof value === 'boolean') return value ? 'Ja' : 'Nee';
+        if (AANVRAAG_VALUE_LABELS[name] && AANVRAAG_VALUE_LABELS[name][value]) {
+            return AANVRAAG_VALUE_LABELS[name][value];
+        }
+        if (/Date$/.test(name) && value) {
+            return new Date(value).toLocaleDateString('nl-NL', { day: 'numeric', month: 'long', year: 'numeric' });
+        }
+        return value;
+    }
+
+    renderSummary() {
+        const container = this.form.querySelector('#aanvraagSummary');
+        if (!container) return;
+
+        const sections = Object.entries(AANVRAAG_SUMMARY).map(([stepId, fields]) => {
+            const rows = Object.entries(fields)
+                .filter(([name]) => this.data[name] !== undefined && this.data[name] !== '')
+                .map(([name, label]) => `
+                    <div class="summary-row">
+                        <dt>${label}</dt>
+                        <dd>${Utils.escapeHTML(this.formatValue(name, this.data[name]))}</dd>
+                    </div>`).join('');
+
+            const step = this.steps[this.indexOf(stepId)];
+            return `
+                <section class="summary-section">
+                    <header>
+                        <h4>${step.label}</h4>
+                        <button type="button" class="btn-link" data-wizard-action="edit" data-step="${stepId}">Wijzig</button>
+                    </header>
+                    <dl>${rows}</dl>
+                </section>`;
+        }).join('');
+
+        const results = this.calculation && this.calculation.results;
+        const estimate = results ? `
+            <section class="summary-section summary-estimate">
+                <header><h4>Jouw berekening</h4></header>
+                <dl>
+                    <div class="summary-row"><dt>Geschat stroomverbruik</dt><dd>${Utils.formatNumber(results.power)} kWh/jaar</dd></div>
+                    <div class="summary-row"><dt>Geschat gasverbruik</dt><dd>${Utils.formatNumber(results.gas)} m³/jaar</dd></div>
+                    <div class="summary-row"><dt>Maandbedrag</dt><dd>${Utils.formatCurrency(results.monthly)}</dd></div>
+                    ${results.tariffVersion ? `<div class="summary-row"><dt>Tarieven</dt><dd>versie ${Utils.escapeHTML(results.tariffVersion.version)}</dd></div>` : ''}
+                </dl>
+            </section>` : `
+            <p class="summary-note">Je hebt nog geen berekening gemaakt. Je maandbedrag stellen we vast op basis van je verbruik.</p>`;
+
+        container.innerHTML = estimate + sections;
+    }
+
+    // ==================== SUBMIT ====================
+    application() {
+        return {
+            ...this.data,
+            calculation: this.calculation,
+            acceptedTerms: this.form.querySelector('[name="acceptTerms"]')?.checked === true,
+            submittedAt: new Date().toISOString()
+        };
+    }
+
+    async submit() {
+        if (this.submitting) return;
+        this.changed();
+
+        // Every step is checked again; the first invalid one is reopened
+        for (let i = 0; i < this.steps.length; i++) {
+            if (!(await this.validateStep(i))) {
+                this.reached = Math.max(this.reached, i);
+                this.show(i);
+                this.options.notify('Controleer de gemarkeerde velden', 'error');
+                return;
+            }
+        }
+
+        const submitButton = this.form.querySelector('[type="submit"]');
+        const originalText = submitButton ? submitButton.textContent : '';
+        this.submitting = true;
+        if (submitButton) {
+            submitButton.textContent = 'Bezig met versturen...';
+            submitButton.disabled = true;
+        }
+
+        try {
+            const result = this.options.onSubmit ? await this.options.onSubmit(this.application()) : {};
+            this.complete(result || {});
+        } catch (error) {
+            console.error('Application submit failed:', error);
+            if (error.fields && this.showServerErrors(error.fields)) {
+                this.options.notify('Controleer de gemarkeerde velden', 'error');
+            } else {
+                this.options.notify(error.message || 'Versturen mislukt, probeer het opnieuw', 'error');
+            }
+        } finally {
+            this.submitting = false;
+            if (submitButton) {
+                submitButton.textContent = originalText;
+                submitButton.disabled = false;
+            }
+        }
+    }
+
+    // Marks fields the server rejected and reopens the step of the first one
+    showServerErrors(errors) {
+        const validator = this.options.validator;
+        const fields = validator ? validator.showServerErrors(this.form, errors) : [];
+        if (fields.length === 0) return false;
+
+        const step = fields[0].closest('.wizard-step[data-step]');
+        const index = step ? this.indexOf(step.dataset.step) : -1;
+        if (index >= 0) {
+            this.reached = Math.max(this.reached, index);
+            this.show(index);
+        }
+        fields[0].focus();
+        return true;
+    }
+
+    // Forgets everything that was entered, including the saved progress
+    reset() {
+        this.clear();
+        this.data = {};
+        this.touched.clear();
+        this.calculation = null;
+        this.current = 0;
+        this.reached = 0;
+        this.form.reset();
+        if (this.options.validator) {
+            this.form.querySelectorAll('[aria-invalid]').forEach(field => this.options.validator.removeError(field));
+        }
+    }
+
+    complete(result) {
+        this.reset();
+        this.form.hidden = true;
+        if (this.progress) this.progress.hidden = true;
+
+        const confirmation = document.getElementById('aanvraagConfirmation');
+        if (confirmation) {
+            const reference = confirmation.querySelector('[data-reference]');
+            if (reference) reference.textContent = result.reference || '';
+
+            // Offline the application waits in the outbox; there is no reference yet
+            confirmation.querySelector('[data-sent]')?.toggleAttribute('hidden', Boolean(result.queued));
+            confirmation.querySelector('[data-queued]')?.toggleAttribute('hidden', !result.queued);
+            confirmation.hidden = false;
+            confirmation.focus();
+        }
+        this.options.notify(result.queued ?
+            'Je bent offline. We versturen je aanvraag zodra je weer verbinding hebt' :
+            'Je aanvraag is verstuurd!', result.queued ? 'info' : 'success');
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AanvraagWizard, AANVRAAG_STEPS };
+}
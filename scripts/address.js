@@ -0,0 +1,274 @@
+/**
+ * 112Energie Address
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Dutch postcode and house number parsing, and address lookup
+ * (street and city from postcode + house number) through a pluggable
+ * provider. An offline provider backed by data/addresses.json is bundled.
+ */
+
+// ==================== PARSING ====================
+const DutchAddress = {
+    // 4 digits (no leading zero) and 2 letters; SA, SD and SS are never issued
+    POSTCODE_PATTERN: /^([1-9][0-9]{3})\s?(?!SA|SD|SS)([A-Z]{2})$/,
+
+    // '1234ab', '1234 AB' -> '1234 AB'; null when the format is wrong
+    normalizePostcode(value) {
+        const match = String(value || '').trim().toUpperCase().match(this.POSTCODE_PATTERN);
+        return match ? `${match[1]} ${match[2]}` : null;
+    },
+
+    // Key used by lookup providers: '1234AB'
+    postcodeKey(value) {
+        const postcode = this.normalizePostcode(value);
+        return postcode ? postcode.replace(' ', '') : null;
+    },
+
+    /**
+     * Splits a house number into number and toevoeging:
+     * '12' -> { number: 12, addition: '' }, '12a' / '12 A' / '12-A' -> 'A',
+     * '12-2' -> '2', '12 bis' -> 'BIS'. Returns null when there is no number.
+     */
+    parseHouseNumber(value, addition = '') {
+        const match = String(value || '').trim().match(/^(\d{1,5})\s*[-/]?\s*([a-z0-9]{0,6})$/i);
+        if (!match || Number(match[1]) === 0) return null;
+
+        const extra = String(addition || '').trim().replace(/^[-\s]+/, '');
+        if (match[2] && extra) return null; // toevoeging given twice
+
+        const combined = (match[2] || extra).toUpperCase();
+        if (combined && !/^[A-Z0-9]{1,6}$/.test(combined)) return null;
+
+        return { number: Number(match[1]), addition: combined };
+    },
+
+    format(address) {
+        const addition = address.addition ? `-${address.addition}` : '';
+        return `${address.street} ${address.number}${addition}, ${address.postcode} ${address.city}`;
+    }
+};
+
+// ==================== PROVIDERS ====================
+// A provider implements lookup(postcodeKey, number) and resolves to
+// { street, city, additions? }, null when the address does not exist, or
+// undefined when it has no data for that postcode.
+
+// Bundled sample dataset: { postcodes: { "1234AB": { street, city, numbers: [[from, to], ...],
+// additions: { "12": ["", "A", "B"] } } } }. "" in additions means the bare number exists too.
+class OfflineAddressProvider {
+    constructor(url = 'data/addresses.json') {
+        this.url = url;
+        this.dataset = null;
+    }
+
+    async load() {
+        if (!this.dataset) {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`Address dataset unavailable (${response.status})`);
+            }
+            this.dataset = await response.json();
+        }
+        return this.dataset;
+    }
+
+    async lookup(postcodeKey, number) {
+        // The sample only covers some postcodes; elsewhere it cannot tell
+        const entry = (await this.load()).postcodes[postcodeKey];
+        if (!entry) return undefined;
+
+        const inRange = entry.numbers.some(([from, to]) => number >= from && number <= to);
+        if (!inRange) return null;
+
+        return {
+            street: entry.street,
+            city: entry.city,
+            additions: (entry.additions && entry.additions[number]) || []
+        };
+    }
+}
+
+// Backend lookup, e.g. '/api/address?postcode={postcode}&number={number}'
+class HttpAddressProvider {
+    constructor(urlTemplate) {
+        this.urlTemplate = urlTemplate;
+    }
+
+    async lookup(postcodeKey, number) {
+        const url = this.urlTemplate
+            .replace('{postcode}', encodeURIComponent(postcodeKey))
+            .replace('{number}', encodeURIComponent(number));
+
+        const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Address lookup failed (${response.status})`);
+        }
+        return response.json();
+    }
+}
+
+// ==================== LOOKUP ====================
+class AddressLookup {
+    constructor(options = {}) {
+        this.options = {
+            providers: [new OfflineAddressProvider()], // tried in order until one answers
+            ...options
+        };
+        this.cache = new Map();
+    }
+
+    /**
+     * Resolves to { status, address }:
+     *   'found'       address complete, additions listed when the number has them
+     *   'not-found'   postcode and number do not exist
+     *   'invalid'     postcode or house number malformed
+     *   'unavailable' no provider could answer; the user may type the address
+     */
+    async lookup(postcode, houseNumber, addition = '') {
+        const key = DutchAddress.postcodeKey(postcode);
+        const parsed = DutchAddress.parseHouseNumber(houseNumber, addition);
+        if (!key || !parsed) return { status: 'invalid', address: null };
+
+        const cacheKey = `${key}:${parsed.number}`;
+        if (!this.cache.has(cacheKey)) {
+            this.cache.set(cacheKey, this.query(key, parsed.number));
+        }
+
+        const result = await this.cache.get(cacheKey);
+        if (result.status === 'unavailable') this.cache.delete(cacheKey); // retry next time
+        if (result.status !== 'found') return result;
+
+        const additions = result.address.additions || [];
+        if (additions.length > 0 && !additions.includes(parsed.addition)) {
+            return { status: 'not-found', address: { ...result.address, ...parsed }, reason: 'addition' };
+        }
+
+        return { status: 'found', address: { ...result.address, ...parsed, postcode: DutchAddress.normalizePostcode(postcode) } };
+    }
+
+    async query(key, number) {
+        let answered = false;
+
+        for (const provider of this.options.providers) {
+            try {
+                const address = await provider.lookup(key, number);
+                if (address === undefined) continue;
+
+                answered = true;
+                if (address) return { status: 'found', address: address };
+            } catch (error) {
+                console.warn('Address provider failed:', error.message);
+            }
+        }
+
+        return { status: answered ? 'not-found' : 'unavailable', address: null };
+    }
+}
+
+// ==================== FORM AUTOFILL ====================
+// Binds inputs marked data-address="postcode|houseNumber|addition|street|city"
+// inside a container; street and city are filled in once the address resolves.
+class AddressAutofill {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            lookup: new AddressLookup(),
+            validator: null, // FormHandler, for showError/removeError
+            onChange: () => {},
+            ...options
+        };
+
+        this.fields = {};
+        ['postcode', 'houseNumber', 'addition', 'street', 'city'].forEach(name => {
+            this.fields[name] = container.querySelector(`[data-address="${name}"]`);
+        });
+
+        this.result = null;
+        this.pending = null;
+        this.filled = null; // { street, city } as filled in by the last lookup
+        this.init();
+    }
+
+    init() {
+        const { postcode, houseNumber, addition } = this.fields;
+        if (!postcode || !houseNumber) return;
+
+        const schedule = Utils.debounce(() => this.resolve(), 400);
+        [postcode, houseNumber, addition].filter(Boolean).forEach(field => {
+            field.addEventListener('input', schedule);
+        });
+
+        postcode.addEventListener('blur', () => {
+            const normalized = DutchAddress.normalizePostcode(postcode.value);
+            if (normalized) postcode.value = normalized;
+        });
+    }
+
+    // Looks up the current input; safe to call repeatedly, the last call wins
+    resolve() {
+        const { postcode, houseNumber, addition } = this.fields;
+        const request = this.options.lookup.lookup(postcode.value, houseNumber.value, addition ? addition.value : '');
+        this.pending = request;
+
+        return request.then(result => {
+            if (this.pending !== request) return this.pending;
+
+            this.result = result;
+            this.apply(result);
+            return result;
+        });
+    }
+
+    apply(result) {
+        const { street, city } = this.fields;
+        const validator = this.options.validator;
+
+        if (result.status === 'found') {
+            if (street) street.value = result.address.street;
+            if (city) city.value = result.address.city;
+            [street, city].filter(Boolean).forEach(field => {
+                if (validator) validator.removeError(field);
+                field.readOnly = true;
+            });
+            this.filled = { street: result.address.street, city: result.address.city };
+            this.options.onChange(result);
+            return;
+        }
+
+        // A street and city from an earlier lookup belong to another address;
+        // without an answer the address can still be typed in by hand
+        if (this.filled) {
+            if (street && street.value === this.filled.street) street.value = '';
+            if (city && city.value === this.filled.city) city.value = '';
+            this.filled = null;
+        }
+        [street, city].filter(Boolean).forEach(field => {
+            field.readOnly = false;
+        });
+        this.options.onChange(result);
+    }
+
+    // Message for the house number field, or null when the address may be used
+    message(result = this.result) {
+        if (!result) return null;
+
+        switch (result.status) {
+            case 'invalid':
+                return DutchAddress.normalizePostcode(this.fields.postcode.value) ?
+                    'Voer een geldig huisnummer in' :
+                    'Voer een geldige postcode in (bijv. 1234 AB)';
+            case 'not-found':
+                return result.reason === 'addition' ?
+                    `Kies een geldige toevoeging: ${result.address.additions.map(addition => addition || 'geen').join(', ')}` :
+                    'We kunnen dit adres niet vinden. Controleer postcode en huisnummer';
+            default:
+                return null;
+        }
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DutchAddress, OfflineAddressProvider, HttpAddressProvider, AddressLookup, AddressAutofill };
+}
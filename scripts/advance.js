@@ -0,0 +1,282 @@
+/**
+ * 112Energie Advance Advisor
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Compares the monthly advance (voorschot) with what the
+ * customer actually uses. Daily consumption of this year from the monitor
+ * history of the customer's own meter is projected to a full year with seasonal profiles, priced with
+ * CalculatorCore and turned into an expected settlement (refund or
+ * back-payment) and a new monthly amount the customer can accept at once.
+ */
+
+// Browser scripts share one global scope; Node needs explicit requires
+const AdvanceDeps = {
+    get CalculatorCore() {
+        return typeof CalculatorCore !== 'undefined' ? CalculatorCore : require('./calculator.js').CalculatorCore;
+    },
+    get DEFAULT_TARIFF() {
+        return typeof DEFAULT_TARIFF !== 'undefined' ? DEFAULT_TARIFF : require('./calculator.js').DEFAULT_TARIFF;
+    },
+    get SolarSimulator() {
+        return typeof SolarSimulator !== 'undefined' ? SolarSimulator : require('./solar.js').SolarSimulator;
+    }
+};
+
+// ==================== SEASONAL PROFILES ====================
+// Share of a year's volume per calendar month (January first), after the
+// standard profiles for households: stroom (E1), gas (G1) and solar output
+const SEASONAL_PROFILES = {
+    electricity: [0.104, 0.091, 0.091, 0.078, 0.073, 0.067, 0.068, 0.070, 0.075, 0.086, 0.094, 0.103],
+    gas: [0.170, 0.150, 0.130, 0.080, 0.040, 0.020, 0.015, 0.015, 0.030, 0.070, 0.120, 0.160],
+    solar: [0.020, 0.040, 0.080, 0.115, 0.140, 0.145, 0.140, 0.120, 0.090, 0.060, 0.030, 0.020]
+};
+
+// ==================== FORECAST ====================
+const AdvanceForecast = {
+    DAY_MS: 24 * 60 * 60 * 1000,
+    MIN_DAYS: 14, // fewer measured days give no forecast at all
+    RELIABLE_COVERAGE: 0.25, // share of the year's electricity after which the forecast is 'high' confidence
+    MIN_CHANGE: 5, // EUR; smaller differences are not worth a new advance
+    MIN_CHANGE_SHARE: 0.05,
+
+    daysInMonth(date) {
+        return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    },
+
+    // Measured time of a daily rollup in days; a short visit is a fraction of a day
+    measuredDays(day) {
+        return (day.coveredMs || 0) / this.DAY_MS;
+    },
+
+    /**
+     * Measured volume and the share of the yearly profile it covers. Every
+     * measured day counts for its month's share divided by the days in that
+     * month, so a cold January weighs more than a mild May, and only for the
+     * time that was actually measured that day.
+     * @param {Array<{start: number, coveredMs: number}>} days  daily rollups
+     * @param {string} key  importKwh | exportKwh | gasM3
+     * @param {number[]} profile
+     * @returns {{measured: number, coverage: number, yearly: ?number}}
+     */
+    project(days, key, profile) {
+        let measured = 0;
+        let coverage = 0;
+        days.forEach(day => {
+            const date = new Date(day.start);
+            measured += day[key] || 0;
+            coverage += profile[date.getMonth()] / this.daysInMonth(date) * this.measuredDays(day);
+        });
+        return { measured: measured, coverage: coverage, yearly: coverage > 0 ? measured / coverage : null };
+    },
+
+    // Advances charged this year up to date: from the advance invoices when
+    // known, otherwise estimated from the collection day at the current amount
+    charged(advance, date, invoices = null) {
+        if (invoices) {
+            const charged = invoices.filter(invoice => invoice.type === 'advance' &&
+                new Date(invoice.date).getFullYear() === date.getFullYear() && new Date(invoice.date) <= date);
+            return { months: charged.length, amount: charged.reduce((sum, invoice) => sum + invoice.amount, 0) };
+        }
+        const months = date.getMonth() + (date.getDate() >= advance.dayOfMonth ? 1 : 0);
+        return { months: months, amount: months * advance.amount };
+    },
+
+    /**
+     * @param {Object} options
+     * @param {Array} options.days  completed daily rollups of this calendar year
+     * @param {{amount: number, dayOfMonth: number}} options.advance
+     * @param {Array<{type: string, date: string, amount: number}>} [options.invoices]  from GET /me/invoices
+     * @param {string} options.connection  e.g. 3x25A
+     * @param {string} options.gasConnection  G4 ... or none
+     * @param {Date} [options.date]
+     * @param {Object} [tariff]
+     * @returns {?Object} null when less than MIN_DAYS days were measured in total
+     */
+    forecast({ days, advance, invoices = null, connection, gasConnection, date = new Date() }, tariff = AdvanceDeps.DEFAULT_TARIFF) {
+        const core = AdvanceDeps.CalculatorCore;
+        const year = date.getFullYear();
+        const today = new Date(date).setHours(0, 0, 0, 0); // still running, left out
+        // Rollups from before coveredMs was recorded have no known duration
+        const measured = days.filter(day => new Date(day.start).getFullYear() === year && day.start < today &&
+            day.coveredMs > 0);
+        const measuredDays = measured.reduce((sum, day) => sum + this.measuredDays(day), 0);
+        if (measuredDays < this.MIN_DAYS) return null;
+
+        const power = this.project(measured, 'importKwh', SEASONAL_PROFILES.electricity);
+        const feedIn = this.project(measured, 'exportKwh', SEASONAL_PROFILES.solar);
+        const gas = gasConnection === 'none' ? { measured: 0, coverage: 0, yearly: 0 } :
+            this.project(measured, 'gasM3', SEASONAL_PROFILES.gas);
+
+        // Netting (saldering) as the calculator applies it: only the year's
+        // netting share of what is fed in is deducted from what is drawn,
+        // the rest is paid at the feed-in tariff
+        const netted = Math.min(feedIn.yearly, power.yearly) * AdvanceDeps.SolarSimulator.netMeteringShare(year);
+        const usage = {
+            import: Math.round(power.yearly),
+            export: Math.round(feedIn.yearly),
+            net: Math.round(power.yearly - netted),
+            gas: Math.round(gas.yearly)
+        };
+        const solar = feedIn.yearly > 0 ? { unnetted: feedIn.yearly - netted, fedIn: feedIn.yearly, year: year } : null;
+        const costs = core.costs({
+            power: usage.net,
+            gas: usage.gas,
+            connection: connection,
+            gasConnection: gasConnection,
+            solar: solar
+        }, tariff);
+
+        // Charged so far plus the rest of the year at the current amount
+        const charged = this.charged(advance, date, invoices);
+        const remainingMonths = Math.max(0, 12 - charged.months);
+        const advances = core.round(charged.amount + advance.amount * remainingMonths);
+        const settlement = core.round(costs.yearly - advances);
+
+        // A twelfth of the expected costs, in whole euros. Catching up the
+        // whole difference in the last months would make the advance jump
+        // and be too high again next year, so what remains is settled once
+        const suggestion = Math.max(0, Math.ceil(costs.yearly / 12));
+        const threshold = Math.max(this.MIN_CHANGE, advance.amount * this.MIN_CHANGE_SHARE);
+        const recommended = Math.abs(suggestion - advance.amount) >= threshold ? suggestion : null;
+
+        return {
+            year: year,
+            days: Math.floor(measuredDays),
+            coverage: core.round(power.coverage),
+            confidence: power.coverage >= this.RELIABLE_COVERAGE ? 'high' : 'low',
+            measured: { import: power.measured, export: feedIn.measured, gas: gas.measured },
+            usage: usage,
+            yearly: costs.yearly,
+            breakdown: costs.breakdown,
+            current: advance.amount,
+            charged: core.round(charged.amount),
+            advances: advances, // charged plus the rest of the year at the current amount
+            settlement: settlement, // positive: back-payment, negative: refund
+            chargedMonths: charged.months,
+            remainingMonths: remainingMonths,
+            recommended: recommended,
+            // Expected settlement when the recommended amount applies from the next advance
+            settlementAfter: recommended === null ? settlement :
+                core.round(costs.yearly - charged.amount - recommended * remainingMonths)
+        };
+    }
+};
+
+// ==================== ADVISOR ====================
+// Renders the forecast in the dashboard's 'voorschot' section and changes
+// the advance through the customer API
+class AdvanceAdvisor {
+    constructor(options = {}) {
+        this.options = {
+            auth: null, // AuthClient
+            monitor: null, // EnergyMonitor with a HistoryStore
+            tariff: () => AdvanceDeps.DEFAULT_TARIFF, // current calculator tariff
+            path: '/me/advance',
+            ...options
+        };
+    }
+
+    // The contract's electricity meter; the history of the demo meter the
+    // monitor shows to visitors says nothing about this customer
+    static meterId(contract) {
+        const connection = contract.connections.find(item => item.product === 'electricity');
+        return connection ? connection.ean : null;
+    }
+
+    // Daily rollups of this year for the customer's own meter
+    async days(meterId, date = new Date()) {
+        const monitor = this.options.monitor;
+        if (!meterId || !monitor || !monitor.history) return [];
+
+        try {
+            return await monitor.history.query(meterId, new Date(date.getFullYear(), 0, 1), date, 'day');
+        } catch (error) {
+            console.warn('Usage history unavailable:', error.message);
+            return [];
+        }
+    }
+
+    async forecast(contract, advance, invoices = null, date = new Date()) {
+        const capacity = (product) => {
+            const connection = contract.connections.find(item => item.product === product);
+            return connection ? connection.capacity : 'none';
+        };
+
+        return AdvanceForecast.forecast({
+            days: await this.days(AdvanceAdvisor.meterId(contract), date),
+            advance: advance,
+            invoices: invoices,
+            connection: capacity('electricity'),
+            gasConnection: capacity('gas'),
+            date: date
+        }, this.options.tariff());
+    }
+
+    async render({ contract, advance, invoices }) {
+        const forecast = await this.forecast(contract, advance, invoices);
+        const current = `
+            <section class="summary-section">
+                <header><h4>Je voorschot</h4></header>
+                <dl>
+                    <div class="summary-row"><dt>Maandbedrag</dt><dd>${Utils.formatCurrency(advance.amount)}</dd></div>
+                    <div class="summary-row"><dt>Per jaar</dt><dd>${Utils.formatCurrency(advance.amount * 12)}</dd></div>
+                    ${forecast ? `<div class="summary-row"><dt>In rekening gebracht in ${forecast.year}</dt><dd>${Utils.formatCurrency(forecast.charged)} (${forecast.chargedMonths} ${forecast.chargedMonths === 1 ? 'maand' : 'maanden'})</dd></div>` : ''}
+                </dl>
+            </section>`;
+
+        if (!forecast) {
+            return `${current}
+                <p class="dashboard-empty">Voor een advies hebben we minimaal ${AdvanceForecast.MIN_DAYS} dagen verbruik van dit jaar nodig. De energiemonitor houdt je verbruik bij zodra hij metingen van je eigen meter ontvangt.</p>`;
+        }
+
+        const refund = forecast.settlement < 0;
+        const usage = forecast.usage;
+
+        return `${current}
+            <div class="dashboard-cards">
+                <div class="dashboard-card">
+                    <h3>Verwachte kosten ${forecast.year}</h3>
+                    <p class="dashboard-figure">${Utils.formatCurrency(forecast.yearly)}</p>
+                    <p>${Utils.formatCurrency(forecast.yearly / 12)} per maand</p>
+                </div>
+                <div class="dashboard-card${refund ? '' : ' attention'}">
+                    <h3>Jaarafrekening</h3>
+                    <p class="dashboard-figure">${Utils.formatCurrency(Math.abs(forecast.settlement))}</p>
+                    <p>${refund ? 'Verwacht terug te krijgen' : 'Verwacht bij te betalen'} met je huidige voorschot</p>
+                </div>
+            </div>
+            ${forecast.recommended === null ? `
+            <p class="advance-advice">Je voorschot past bij je verbruik. Je hoeft niets te doen.</p>` : `
+            <div class="advance-advice">
+                <p>We adviseren een voorschot van <strong>${Utils.formatCurrency(forecast.recommended)}</strong> per maand.
+                ${forecast.recommended > forecast.current ? 'Zo voorkom je een hoge rekening bij de jaarafrekening.' : 'Zo betaal je niet meer dan nodig.'}
+                ${forecast.remainingMonths > 0 ? `Met dit bedrag vanaf de volgende afschrijving ${forecast.settlementAfter < 0 ? `krijg je over ${forecast.year} naar verwachting ${Utils.formatCurrency(-forecast.settlementAfter)} terug` : `betaal je over ${forecast.year} naar verwachting ${Utils.formatCurrency(forecast.settlementAfter)} bij`}.` : ''}</p>
+                <button type="button" class="btn-primary" data-advance-action="accept" data-advance-amount="${forecast.recommended}">Voorschot aanpassen naar ${Utils.formatCurrency(forecast.recommended)}</button>
+            </div>`}
+            <details class="advance-basis">
+                <summary>Waar is dit op gebaseerd?</summary>
+                <p>${forecast.days} dagen gemeten verbruik van dit jaar, doorgerekend naar een heel jaar met het gebruikelijke verloop over de seizoenen:
+                ${Utils.formatNumber(usage.import)} kWh stroom${usage.export > 0 ? `, ${Utils.formatNumber(usage.export)} kWh teruggeleverd` : ''} en ${Utils.formatNumber(usage.gas)} m³ gas.</p>
+                ${forecast.confidence === 'low' ? '<p>We hebben nog maar een klein deel van het jaar gemeten, dus het advies kan nog flink veranderen.</p>' : ''}
+            </details>`;
+    }
+
+    // Resolves to the new advance from the server
+    async accept(amount) {
+        const response = await this.options.auth.fetch(this.options.path, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ amount: amount })
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error((payload.error && payload.error.message) || `Aanpassen mislukt (${response.status})`);
+        }
+        return payload;
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AdvanceForecast, AdvanceAdvisor, SEASONAL_PROFILES };
+}
@@ -0,0 +1,241 @@
+/**
+ * 112Energie Anti-Spam
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Bot mitigation for public forms without third-party services:
+ * a honeypot field, a minimum fill time, a SHA-256 proof-of-work computed in
+ * a Web Worker (scripts/pow-worker.js) and a per-browser rate limit. The
+ * results travel with the submission as `antispam` so the server can verify
+ * them; the honeypot is only judged there, bots get no hint.
+ */
+
+// ==================== PROOF OF WORK ====================
+// Find a nonce so that SHA-256("<salt>:<nonce>") starts with `difficulty` zero bits
+const ProofOfWork = {
+    async hash(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return new Uint8Array(digest);
+    },
+
+    leadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            bits += Math.clz32(byte) - 24;
+            break;
+        }
+        return bits;
+    },
+
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    // Used when the challenge endpoint cannot be reached; the server checks the timestamp
+    localChallenge(difficulty) {
+        const random = this.toHex(crypto.getRandomValues(new Uint8Array(8)));
+        return { salt: `local.${Date.now()}.${random}`, difficulty: difficulty, signature: null };
+    },
+
+    async solve(challenge) {
+        // On average 2^difficulty attempts; give up far beyond that
+        const limit = Math.pow(2, challenge.difficulty + 6);
+        const started = Date.now();
+
+        for (let nonce = 0; nonce < limit; nonce++) {
+            const hash = await this.hash(`${challenge.salt}:${nonce}`);
+            if (this.leadingZeroBits(hash) >= challenge.difficulty) {
+                return { ...challenge, nonce: nonce, hash: this.toHex(hash), duration: Date.now() - started };
+            }
+        }
+        throw new Error(`No proof-of-work solution within ${limit} attempts`);
+    },
+
+    async verify(solution) {
+        const hash = await this.hash(`${solution.salt}:${solution.nonce}`);
+        return this.leadingZeroBits(hash) >= solution.difficulty;
+    },
+
+    // Solves off the main thread when workers are available
+    run(challenge, workerUrl) {
+        if (typeof Worker === 'undefined' || !workerUrl) {
+            return this.solve(challenge);
+        }
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(workerUrl);
+            worker.onmessage = (e) => {
+                worker.terminate();
+                if (e.data.error) reject(new Error(e.data.error));
+                else resolve(e.data.solution);
+            };
+            worker.onerror = (e) => {
+                worker.terminate();
+                reject(new Error(e.message || 'Proof-of-work worker failed'));
+            };
+            worker.postMessage(challenge);
+        });
+    }
+};
+
+// ==================== RATE LIMIT ====================
+// Submissions per form in a sliding window, remembered in this browser
+class SubmissionRateLimit {
+    constructor(options = {}) {
+        this.options = {
+            storage: window.localStorage,
+            storageKey: '112energie_submissions',
+            limit: 5,
+            window: 10 * 60 * 1000,
+            ...options
+        };
+    }
+
+    read(now = Date.now()) {
+        try {
+            const log = JSON.parse(this.options.storage.getItem(this.options.storageKey) || '{}');
+            Object.keys(log).forEach(name => {
+                log[name] = log[name].filter(ts => now - ts < this.options.window);
+            });
+            return log;
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Milliseconds until the form may be sent again; 0 when it may be sent now
+    wait(name, now = Date.now()) {
+        const times = this.read(now)[name] || [];
+        if (times.length < this.options.limit) return 0;
+        return times[times.length - this.options.limit] + this.options.window - now;
+    }
+
+    record(name, now = Date.now()) {
+        const log = this.read(now);
+        log[name] = [...(log[name] || []), now];
+        try {
+            this.options.storage.setItem(this.options.storageKey, JSON.stringify(log));
+        } catch (error) {
+            console.warn('Could not store submission log:', error);
+        }
+    }
+}
+
+// ==================== FORM GUARD ====================
+class FormGuard {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.options = {
+            name: form.id || 'form', // rate limit and challenge key
+            challengeUrl: null, // GET, answers { salt, difficulty, signature }
+            workerUrl: 'scripts/pow-worker.js',
+            difficulty: 16, // when the challenge has to be made locally
+            minFillTime: 3000,
+            honeypotName: 'website',
+            rateLimit: new SubmissionRateLimit(),
+            ...options
+        };
+
+        this.startedAt = Date.now();
+        this.solution = null;
+        this.honeypot = this.addHoneypot();
+
+        // Work starts once a person engages with the form, so it is usually done by submit
+        form.addEventListener('focusin', () => {
+            this.prepare().catch(error => console.warn('Proof of work failed:', error.message));
+        }, { once: true });
+    }
+
+    // Looks like a normal field to bots; hidden from people and assistive technology
+    addHoneypot() {
+        const existing = this.form.querySelector(`[name="${this.options.honeypotName}"]`);
+        if (existing) return existing;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-trap';
+        wrapper.setAttribute('aria-hidden', 'true');
+        wrapper.innerHTML = `
+            <label>Laat dit veld leeg
+                <input type="text" name="${this.options.honeypotName}" tabindex="-1" autocomplete="off" data-persist="false">
+            </label>`;
+        this.form.appendChild(wrapper);
+        return wrapper.querySelector('input');
+    }
+
+    async challenge() {
+        if (this.options.challengeUrl) {
+            try {
+                const url = `${this.options.challengeUrl}?form=${encodeURIComponent(this.options.name)}`;
+                const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+                if (response.ok) return await response.json();
+            } catch (error) {
+                console.warn('Challenge unavailable, solving a local one:', error.message);
+            }
+        }
+        return ProofOfWork.localChallenge(this.options.difficulty);
+    }
+
+    prepare() {
+        if (!this.solution) {
+            this.solution = this.challenge()
+                .then(challenge => ProofOfWork.run(challenge, this.options.workerUrl))
+                .catch(error => {
+                    this.solution = null;
+                    throw error;
+                });
+        }
+        return this.solution;
+    }
+
+    // Dutch message when this browser should not submit yet, otherwise null
+    check(now = Date.now()) {
+        const wait = this.options.rateLimit ? this.options.rateLimit.wait(this.options.name, now) : 0;
+        if (wait > 0) {
+            const minutes = Math.ceil(wait / 60000);
+            return `Je hebt dit formulier al een paar keer verstuurd. Probeer het over ${minutes} ${minutes === 1 ? 'minuut' : 'minuten'} opnieuw`;
+        }
+        if (now - this.startedAt < this.options.minFillTime) {
+            return 'Dat ging wel erg snel. Controleer je gegevens en verstuur het formulier opnieuw';
+        }
+        return null;
+    }
+
+    /**
+     * Adds the anti-spam evidence to a payload. Rejects with a Dutch message
+     * when the rate limit or fill time says no.
+     */
+    async seal(payload) {
+        const now = Date.now();
+        const message = this.check(now);
+        if (message) throw new Error(message);
+
+        const pow = await this.prepare();
+        if (this.options.rateLimit) this.options.rateLimit.record(this.options.name, now);
+
+        const data = { ...payload };
+        delete data[this.options.honeypotName];
+        return {
+            ...data,
+            antispam: {
+                honeypot: this.honeypot.value,
+                startedAt: new Date(this.startedAt).toISOString(),
+                elapsed: now - this.startedAt,
+                pow: pow
+            }
+        };
+    }
+
+    // A solution is good for one submission
+    reset() {
+        this.startedAt = Date.now();
+        this.solution = null;
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProofOfWork, SubmissionRateLimit, FormGuard };
+}
@@ -0,0 +1,229 @@
+/**
+ * 112Energie Payment Arrangement
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Betalingsregeling for customers who cannot pay an outstanding
+ * amount at once. PaymentPlan splits the amount into monthly instalments
+ * within the minimum instalment and maximum term; PaymentArrangementForm
+ * shows the schedule and attaches the chosen plan when the form goes
+ * through the regular form pipeline (FormHandler).
+ */
+
+// ==================== RULES ====================
+const ARRANGEMENT_RULES = {
+    minAmount: 50, // smaller amounts are paid in one go
+    maxAmount: 2500, // larger debts are arranged with the klantenservice
+    minInstalment: 25, // EUR per month
+    minTerm: 2, // months
+    maxTerm: 12,
+    dayOfMonth: 28, // instalments are collected with the monthly advance
+    noticeDays: 10 // the first instalment is at least this far ahead
+};
+
+// ==================== PAYMENT PLAN ====================
+const PaymentPlan = {
+    // Message for an amount no arrangement is possible for, null otherwise
+    validateAmount(amount, rules = ARRANGEMENT_RULES) {
+        if (typeof amount !== 'number' || isNaN(amount) || amount <= 0) return 'Vul het openstaande bedrag in';
+        // amount * 100 is rarely an exact integer in floating point (64.01 * 100 = 6400.999…)
+        if (Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) return 'Vul een bedrag in euro\'s en centen in';
+        if (amount < rules.minAmount) {
+            return `Voor bedragen onder ${Utils.formatCurrency(rules.minAmount, 0)} is geen betalingsregeling nodig. Je kunt het in één keer betalen`;
+        }
+        if (amount > rules.maxAmount) {
+            return `Voor bedragen boven ${Utils.formatCurrency(rules.maxAmount, 0)} maken we samen een regeling. Bel onze klantenservice`;
+        }
+        return null;
+    },
+
+    // Terms in months that keep every instalment at or above the minimum
+    terms(amount, rules = ARRANGEMENT_RULES) {
+        if (this.validateAmount(amount, rules)) return [];
+        const longest = Math.min(rules.maxTerm, Math.floor(amount / rules.minInstalment));
+        const terms = [];
+        for (let months = rules.minTerm; months <= longest; months++) terms.push(months);
+        return terms;
+    },
+
+    validate(amount, months, rules = ARRANGEMENT_RULES) {
+        const error = this.validateAmount(amount, rules);
+        if (error) return error;
+        if (!this.terms(amount, rules).includes(months)) {
+            return `Kies een looptijd van ${rules.minTerm} tot ${rules.maxTerm} maanden met termijnen van minimaal ${Utils.formatCurrency(rules.minInstalment, 0)}`;
+        }
+        return null;
+    },
+
+    // First collection day that leaves the customer enough notice
+    firstDate(date = new Date(), rules = ARRANGEMENT_RULES) {
+        const earliest = new Date(date.getFullYear(), date.getMonth(), date.getDate() + rules.noticeDays);
+        const first = new Date(earliest.getFullYear(), earliest.getMonth(), rules.dayOfMonth);
+        if (first < earliest) first.setMonth(first.getMonth() + 1);
+        return first;
+    },
+
+    isoDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Equal instalments in whole cents; the cents that do not divide evenly
+     * go on the first one, so no instalment is below the minimum.
+     * @returns {{amount: number, months: number, instalment: number,
+     *            instalments: Array<{number: number, date: string, amount: number}>}}
+     */
+    schedule(amount, months, { date = new Date(), rules = ARRANGEMENT_RULES } = {}) {
+        const error = this.validate(amount, months, rules);
+        if (error) throw new RangeError(error);
+
+        const cents = Math.round(amount * 100);
+        const regular = Math.floor(cents / months);
+        const first = this.firstDate(date, rules);
+        const instalments = [];
+        for (let i = 0; i < months; i++) {
+            // Day 28 exists in every month, so setMonth never overflows
+            const due = new Date(first.getFullYear(), first.getMonth() + i, first.getDate());
+            instalments.push({
+                number: i + 1,
+                date: this.isoDate(due),
+                amount: (i === 0 ? cents - regular * (months - 1) : regular) / 100
+            });
+        }
+
+        return { amount: amount, months: months, instalment: regular / 100, instalments: instalments };
+    }
+};
+
+// ==================== FORM ====================
+// The form posts through FormHandler (data-endpoint); this class keeps the
+// term choices and the schedule in step with the amount
+class PaymentArrangementForm {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.options = {
+            rules: ARRANGEMENT_RULES,
+            now: () => new Date(),
+            ...options
+        };
+
+        this.plan = null;
+        this.init();
+    }
+
+    init() {
+        this.field('amount').addEventListener('input', () => this.update());
+        this.field('months').addEventListener('change', () => this.update());
+        this.form.addEventListener('reset', () => setTimeout(() => this.update(), 0));
+        this.update();
+    }
+
+    field(name) {
+        return this.form.elements[name];
+    }
+
+    amount() {
+        return FormValidator.toNumber(this.field('amount').value);
+    }
+
+    // Rebuilds the term options, keeping the choice when it is still allowed;
+    // the longest term is the default, it has the lowest instalments
+    renderTerms(amount) {
+        const select = this.field('months');
+        const terms = PaymentPlan.terms(amount, this.options.rules);
+        const chosen = Number(select.value);
+
+        select.innerHTML = terms.length === 0 ?
+            '<option value="">Vul eerst het bedrag in</option>' :
+            terms.map(months => `<option value="${months}">${months} maanden, ${Utils.formatCurrency(Math.floor(amount * 100 / months) / 100)} per maand</option>`).join('');
+        select.disabled = terms.length === 0;
+        if (terms.length > 0) select.value = String(terms.includes(chosen) ? chosen : terms[terms.length - 1]);
+    }
+
+    update() {
+        const amount = this.amount();
+        this.renderTerms(amount);
+
+        const months = Number(this.field('months').value);
+        this.plan = PaymentPlan.validate(amount, months, this.options.rules) ? null :
+            PaymentPlan.schedule(amount, months, { date: this.options.now(), rules: this.options.rules });
+        this.renderSchedule();
+    }
+
+    renderSchedule() {
+        const container = this.form.querySelector('[data-arrangement-schedule]');
+        if (!container) return;
+        if (!this.plan) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const formatDate = (value) => new Date(value).toLocaleDateString('nl-NL', { day: 'numeric', month: 'long', year: 'numeric' });
+        const instalments = this.plan.instalments;
+        container.innerHTML = `
+            <table class="dashboard-table arrangement-schedule">
+                <caption>Je betaalschema: ${instalments.length} termijnen van ${formatDate(instalments[0].date)} t/m ${formatDate(instalments[instalments.length - 1].date)}</caption>
+                <thead><tr><th scope="col">Termijn</th><th scope="col">Datum</th><th scope="col">Bedrag</th></tr></thead>
+                <tbody>
+                    ${instalments.map(item => `
+                    <tr><th scope="row">${item.number}</th><td>${formatDate(item.date)}</td><td class="amount">${Utils.formatCurrency(item.amount)}</td></tr>`).join('')}
+                </tbody>
+                <tfoot><tr><th scope="row" colspan="2">Totaal</th><td class="amount">${Utils.formatCurrency(this.plan.amount)}</td></tr></tfoot>
+            </table>
+            <p class="arrangement-note">De termijnen komen bovenop je maandelijkse voorschot. Er komen geen kosten of rente bij.</p>`;
+    }
+
+    // ==================== SUBMISSION ====================
+    // FormHandler payload hook: the form values with the chosen plan attached
+    payload(values) {
+        if (!this.plan) throw new Error('Kies een bedrag en looptijd voor je betalingsregeling');
+        return {
+            ...values,
+            amount: this.plan.amount,
+            months: this.plan.months,
+            plan: { rules: { ...this.options.rules }, ...this.plan }
+        };
+    }
+
+    // FormHandler hook after a successful (or queued) submission
+    submitted(response) {
+        const confirmation = this.form.parentElement.querySelector('[data-arrangement-confirmation]');
+        if (!confirmation) return;
+
+        confirmation.querySelector('[data-sent]').hidden = response.queued;
+        confirmation.querySelector('[data-queued]').hidden = !response.queued;
+        if (!response.queued) confirmation.querySelector('[data-reference]').textContent = response.result.reference;
+
+        this.form.hidden = true;
+        confirmation.hidden = false;
+        confirmation.focus();
+    }
+
+    // Back to an empty form, e.g. after logout or for a new request
+    reset() {
+        this.form.reset();
+        this.form.hidden = false;
+        const confirmation = this.form.parentElement.querySelector('[data-arrangement-confirmation]');
+        if (confirmation) confirmation.hidden = true;
+        this.update();
+    }
+
+    // Logged-in customers: their details and what is still open
+    prefill(user, outstanding = null) {
+        const set = (name, value) => {
+            const field = this.field(name);
+            if (field && !field.value && value) field.value = value;
+        };
+        if (user) {
+            set('customerNumber', user.customerNumber);
+            set('name', `${user.firstName} ${user.lastName}`);
+            set('email', user.email);
+        }
+        if (outstanding > 0) set('amount', Utils.formatNumber(outstanding, 2).replace(/\./g, ''));
+        this.update();
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PaymentPlan, PaymentArrangementForm, ARRANGEMENT_RULES };
+}
@@ -0,0 +1,370 @@
+/**
+ * 112Energie Auth
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Customer login against the API. The short-lived access token
+ * is kept in memory only; the refresh token is kept in sessionStorage, or in
+ * localStorage when the customer chooses to stay logged in. Refresh tokens
+ * rotate on every use. AuthClient.fetch adds the bearer token and refreshes
+ * it when it has expired.
+ *
+ * Accounts with two-factor authentication get a second step after the
+ * password (or magic link): login() then resolves to { mfa } and verifyMfa()
+ * finishes it with a TOTP or backup code.
+ */
+
+// ==================== ERRORS ====================
+class AuthError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = details.status || 0;
+        this.code = details.code || 'NETWORK'; // INVALID_CREDENTIALS, ACCOUNT_LOCKED, SESSION_EXPIRED, ...
+        this.attemptsLeft = details.attemptsLeft ?? null;
+        this.lockedUntil = details.lockedUntil || null; // ISO date
+    }
+
+    // Dutch message for the login form
+    static fromResponse(status, error = {}) {
+        switch (error.code) {
+            case 'INVALID_CREDENTIALS': {
+                const warning = error.attemptsLeft > 0 && error.attemptsLeft <= 3 ?
+                    ` Nog ${error.attemptsLeft} ${error.attemptsLeft === 1 ? 'poging' : 'pogingen'} voordat je account tijdelijk wordt geblokkeerd.` : '';
+                return new AuthError(`E-mailadres of wachtwoord klopt niet.${warning}`, { status, ...error });
+            }
+            case 'ACCOUNT_LOCKED': {
+                const until = error.lockedUntil ?
+                    ` tot ${new Date(error.lockedUntil).toLocaleTimeString('nl-NL', { hour: '2-digit', minute: '2-digit' })}` : '';
+                return new AuthError(`Je account is${until} geblokkeerd na te veel mislukte pogingen. Neem contact met ons op als je je wachtwoord kwijt bent.`, { status, ...error });
+            }
+            case 'ACCOUNT_DISABLED':
+                return new AuthError('Dit account is niet actief. Neem contact op met de klantenservice.', { status, ...error });
+            case 'INVALID_CODE': {
+                const warning = error.attemptsLeft > 0 && error.attemptsLeft <= 2 ?
+                    ` Nog ${error.attemptsLeft} ${error.attemptsLeft === 1 ? 'poging' : 'pogingen'}.` : '';
+                return new AuthError(`Deze code klopt niet. Controleer de tijd op je telefoon of gebruik een back-upcode.${warning}`, { status, ...error });
+            }
+            case 'MFA_EXPIRED':
+                return new AuthError('De verificatie is verlopen. Log opnieuw in.', { status, ...error });
+            case 'INVALID_TOKEN':
+                return new AuthError('Deze link is verlopen of al gebruikt. Vraag een nieuwe aan.', { status, ...error });
+            case 'WEAK_PASSWORD':
+                return new AuthError('Kies een wachtwoord van minimaal 10 tekens met letters en cijfers.', { status, ...error });
+            case 'NOT_FOUND':
+                return new AuthError('Dit hebben we niet kunnen vinden. Misschien is de link niet meer geldig.', { status, ...error });
+            case 'SESSION_EXPIRED':
+            case 'INVALID_REFRESH_TOKEN':
+                return new AuthError('Je sessie is verlopen, log opnieuw in.', { status, ...error, code: 'SESSION_EXPIRED' });
+            default:
+                return new AuthError(status === 429 ?
+                    'Te veel inlogpogingen, probeer het over een paar minuten opnieuw.' :
+                    'Inloggen is nu niet mogelijk, probeer het later opnieuw.', { status, ...error });
+        }
+    }
+}
+
+// ==================== CLIENT ====================
+class AuthClient {
+    constructor(options = {}) {
+        this.options = {
+            endpoint: '',
+            storageKey: '112energie_session',
+            lockName: '112energie-refresh', // held across tabs while the refresh token rotates
+            refreshMargin: 30000, // refresh this long before the access token expires
+            timeout: 15000,
+            ...options
+        };
+
+        this.accessToken = null;
+        this.expiresAt = 0;
+        this.user = null;
+        this.refreshing = null;
+        this.pendingMfa = null; // { token, methods, remember } between password and code
+        this.listeners = new Set();
+    }
+
+    get isAuthenticated() {
+        return this.user !== null;
+    }
+
+    url(path) {
+        return `${this.options.endpoint.replace(/\/$/, '')}/${path.replace(/^\//, '')}`;
+    }
+
+    // Called with the user after login/restore and with (null, reason) after logout
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(reason = null) {
+        this.listeners.forEach(listener => listener(this.user, reason));
+    }
+
+    // ==================== STORAGE ====================
+    readSession() {
+        for (const storage of [sessionStorage, localStorage]) {
+            try {
+                const session = JSON.parse(storage.getItem(this.options.storageKey) || 'null');
+                if (session && session.refreshToken) return session;
+            } catch (error) {
+                console.warn('Stored session unreadable:', error);
+            }
+        }
+        return null;
+    }
+
+    writeSession(refreshToken, remember) {
+        const storage = remember ? localStorage : sessionStorage;
+        const other = remember ? sessionStorage : localStorage;
+        other.removeItem(this.options.storageKey);
+        storage.setItem(this.options.storageKey, JSON.stringify({
+            refreshToken: refreshToken,
+            user: this.user,
+            remember: remember
+        }));
+    }
+
+    clearSession() {
+        sessionStorage.removeItem(this.options.storageKey);
+        localStorage.removeItem(this.options.storageKey);
+        this.accessToken = null;
+        this.expiresAt = 0;
+        this.user = null;
+        this.pendingMfa = null;
+    }
+
+    // ==================== REQUESTS ====================
+    async post(path, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+        let response;
+        try {
+            response = await fetch(this.url(path), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new AuthError('Geen verbinding met de server. Controleer je internetverbinding.');
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw AuthError.fromResponse(response.status, payload.error);
+        }
+        return payload;
+    }
+
+    // { accessToken, expiresIn (s), refreshToken, user }
+    accept(tokens, remember) {
+        this.accessToken = tokens.accessToken;
+        this.expiresAt = Date.now() + tokens.expiresIn * 1000;
+        this.user = tokens.user || this.user;
+        this.writeSession(tokens.refreshToken, remember);
+    }
+
+    /**
+     * Resolves to { user } when logged in, or to { mfa: { methods } } when
+     * the account asks for a second factor; verifyMfa() continues from there.
+     */
+    async login(email, password, { remember = false } = {}) {
+        return this.complete(await this.post('/auth/login', { email: email.trim(), password: password }), remember);
+    }
+
+    complete(response, remember) {
+        if (response.mfaRequired) {
+            this.pendingMfa = { token: response.mfaToken, methods: response.methods || ['totp'], remember: remember };
+            return { mfa: { methods: this.pendingMfa.methods } };
+        }
+
+        this.pendingMfa = null;
+        this.accept(response, remember);
+        this.emit('login');
+        return { user: this.user };
+    }
+
+    // Six-digit TOTP code or a backup code
+    async verifyMfa(code) {
+        if (!this.pendingMfa) {
+            throw AuthError.fromResponse(401, { code: 'MFA_EXPIRED' });
+        }
+
+        try {
+            const tokens = await this.post('/auth/mfa/verify', { mfaToken: this.pendingMfa.token, code: code.trim() });
+            return this.complete(tokens, this.pendingMfa.remember);
+        } catch (error) {
+            if (error.code === 'MFA_EXPIRED') this.pendingMfa = null;
+            throw error;
+        }
+    }
+
+    // ==================== LINKS ====================
+    // The server answers the same whether or not the address has an account
+    async requestPasswordReset(email) {
+        await this.post('/auth/password/forgot', { email: email.trim() });
+    }
+
+    // token from the ?reset_token= link; existing sessions end on the server
+    async resetPassword(token, password) {
+        await this.post('/auth/password/reset', { token: token, password: password });
+    }
+
+    async requestMagicLink(email) {
+        await this.post('/auth/magic-link', { email: email.trim() });
+    }
+
+    // token from the ?login_token= link; may still ask for a second factor
+    async loginWithMagicLink(token, { remember = false } = {}) {
+        return this.complete(await this.post('/auth/magic-link/verify', { token: token }), remember);
+    }
+
+    // ==================== TWO-FACTOR ====================
+    // { secret, otpauthUrl } for a new authenticator app; active after confirmTotpEnrollment()
+    async startTotpEnrollment() {
+        return this.json(await this.fetch('/auth/mfa/totp/setup', { method: 'POST' }));
+    }
+
+    // Resolves to the one-time backup codes, shown once
+    async confirmTotpEnrollment(code) {
+        const response = await this.fetch('/auth/mfa/totp/confirm', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code: code.trim() })
+        });
+        const result = await this.json(response);
+        this.user = result.user || this.user;
+        const session = this.readSession();
+        if (session) this.writeSession(session.refreshToken, session.remember);
+        this.emit('update');
+        return result.backupCodes;
+    }
+
+    async json(response) {
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw AuthError.fromResponse(response.status, payload.error);
+        }
+        return payload;
+    }
+
+    // Concurrent callers share one refresh, so a rotated token is never used
+    // twice. Tabs share the stored token too: a Web Lock makes them take
+    // turns, and refreshTokens() reads the token only once it holds the lock,
+    // so a tab that waited sends the token the other tab just stored
+    refresh() {
+        if (!this.refreshing) {
+            const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+            const run = locks ?
+                locks.request(this.options.lockName, () => this.refreshTokens()) :
+                this.refreshTokens();
+            this.refreshing = run.finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async refreshTokens() {
+        const session = this.readSession();
+        if (!session) {
+            throw new AuthError('Je bent niet ingelogd.', { code: 'SESSION_EXPIRED', status: 401 });
+        }
+
+        try {
+            this.accept(await this.post('/auth/refresh', { refreshToken: session.refreshToken }), session.remember);
+            return this.accessToken;
+        } catch (error) {
+            if (error.code === 'SESSION_EXPIRED') this.expire();
+            throw error;
+        }
+    }
+
+    // Picks up a stored session after a page load
+    async restore() {
+        const session = this.readSession();
+        if (!session) return null;
+
+        try {
+            await this.refresh();
+        } catch (error) {
+            if (error.code === 'SESSION_EXPIRED') return null;
+
+            // Offline or server trouble: show the stored user; the next request refreshes again
+            this.user = session.user || null;
+        }
+        this.emit('restore');
+        return this.user;
+    }
+
+    async logout() {
+        const session = this.readSession();
+        const accessToken = this.accessToken;
+        this.clearSession();
+        this.emit('logout');
+
+        if (session) {
+            try {
+                await fetch(this.url('/auth/logout'), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {})
+                    },
+                    body: JSON.stringify({ refreshToken: session.refreshToken })
+                });
+            } catch (error) {
+                console.warn('Logout request failed:', error.message);
+            }
+        }
+    }
+
+    expire() {
+        const wasLoggedIn = this.isAuthenticated;
+        this.clearSession();
+        if (wasLoggedIn) this.emit('expired');
+    }
+
+    async token() {
+        if (!this.accessToken || Date.now() > this.expiresAt - this.options.refreshMargin) {
+            await this.refresh();
+        }
+        return this.accessToken;
+    }
+
+    /**
+     * fetch() for the customer API: path relative to the endpoint, bearer
+     * token added, one refresh and retry on 401. Rejects with AuthError
+     * SESSION_EXPIRED when the session cannot be renewed.
+     */
+    async fetch(path, options = {}) {
+        const send = async () => fetch(this.url(path), {
+            ...options,
+            headers: {
+                'Accept': 'application/json',
+                ...options.headers,
+                'Authorization': `Bearer ${await this.token()}`
+            }
+        });
+
+        let response = await send();
+        if (response.status === 401) {
+            this.accessToken = null;
+            response = await send();
+            if (response.status === 401) {
+                this.expire();
+                throw AuthError.fromResponse(401, { code: 'SESSION_EXPIRED' });
+            }
+        }
+        return response;
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuthClient, AuthError };
+}
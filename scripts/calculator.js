@@ -0,0 +1,482 @@
+/**
+ * 112Energie Calculation Core
+ * Version: 2.0
+ * Updated: 2025
+ * Description: DOM-free quote calculation. Takes an input object and a tariff
+ * configuration and returns an itemised yearly/monthly quote. Used by the
+ * EnergyCalculator binding in 112energie.js and runnable under Node.
+ */
+
+// Browser scripts share one global scope; Node needs explicit requires
+const CalculatorDeps = {
+    get getTaxYear() {
+        return typeof getTaxYear !== 'undefined' ? getTaxYear : require('./tariffs.js').getTaxYear;
+    },
+    get SolarSimulator() {
+        return typeof SolarSimulator !== 'undefined' ? SolarSimulator : require('./solar.js').SolarSimulator;
+    }
+};
+
+/**
+ * @typedef {Object} CalculatorInput
+ * @property {number} householdSize  1-5 (5 means 5 or more)
+ * @property {string} homeType       apartment | row-house | corner-house | detached
+ * @property {boolean} hasSolar
+ * @property {string} connection     electricity connection, e.g. 3x25A
+ * @property {string} gasConnection  G4 ... G25, or none
+ * @property {{panels?: number, kWp?: number, orientation?: string, tilt?: number}} solarSystem
+ */
+
+/**
+ * @typedef {Object} QuoteLine
+ * @property {string} key
+ * @property {string} label
+ * @property {number} amount  EUR per year excluding VAT; credits are negative
+ */
+
+/**
+ * @typedef {Object} Quote
+ * @property {number} power    estimated kWh per year
+ * @property {number} gas      estimated m³ per year
+ * @property {number} monthly  rounded monthly amount incl. VAT
+ * @property {number} yearly   EUR per year incl. VAT
+ * @property {Object|null} solar
+ * @property {{version: string, validFrom: ?string, validUntil: ?string, source: string}} tariffVersion
+ * @property {{lines: QuoteLine[], subtotal: number, vat: number, vatRate: number}} breakdown
+ */
+
+// ==================== DEFAULT TARIFF ====================
+const DEFAULT_TARIFF = {
+    // Supplier rates, excluding energy tax and VAT
+    rates: {
+        electricity: 0.135, // EUR per kWh
+        gas: 0.62, // EUR per m³
+        fixedElectricity: 6.95, // vaste leveringskosten, EUR per month
+        fixedGas: 6.95, // vaste leveringskosten, EUR per month
+        feedInTariff: 0.05, // terugleververgoeding for kWh that are not netted
+        feedInCost: 0.09 // terugleverkosten per kWh fed in
+    },
+
+    // Netbeheerkosten per year excluding VAT, by connection capacity
+    gridFees: {
+        electricity: {
+            '1x25A': 331,
+            '3x25A': 331,
+            '3x35A': 760,
+            '3x50A': 1120,
+            '3x63A': 1450,
+            '3x80A': 1800
+        },
+        gas: {
+            'none': 0,
+            'G4': 205,
+            'G6': 205,
+            'G10': 600,
+            'G16': 900,
+            'G25': 1250
+        }
+    },
+
+    consumption: {
+        1: { power: 1800, gas: 800 },
+        2: { power: 2800, gas: 1200 },
+        3: { power: 3500, gas: 1400 },
+        4: { power: 4200, gas: 1600 },
+        5: { power: 5000, gas: 1800 }
+    },
+
+    homeTypeMultiplier: {
+        'apartment': 0.8,
+        'row-house': 1.0,
+        'corner-house': 1.1,
+        'detached': 1.3
+    },
+
+    projectionYears: 6,
+
+    // Energy tax brackets, VAT and tax credit; null uses DUTCH_TAXES for today
+    taxes: null,
+
+    // Shown with every quote; the JSON configuration replaces this
+    meta: { version: 'ingebouwd', validFrom: null, validUntil: null, source: 'builtin' }
+};
+
+// ==================== TARIFF CONFIGURATION ====================
+// Tariffs are published as a versioned JSON document (data/tariffs.json):
+// { schema: 1, tarieven: [{ versie, geldigVanaf, geldigTot, rates, gridFees,
+//   consumption, homeTypeMultiplier, taxes? }] }
+const TariffConfig = {
+    SCHEMA: 1,
+    STORAGE_KEY: '112energie_tariffs_lkg',
+
+    RATE_KEYS: ['electricity', 'gas', 'fixedElectricity', 'fixedGas', 'feedInTariff', 'feedInCost'],
+
+    // Returns a list of problems; an empty list means the document is usable
+    validate(doc) {
+        const errors = [];
+        const isNumber = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+        const isDate = (value) => typeof value === 'string' && !isNaN(Date.parse(value));
+        const checkTable = (table, path) => {
+            if (!table || typeof table !== 'object' || Object.keys(table).length === 0) {
+                errors.push(`${path} ontbreekt`);
+                return;
+            }
+            Object.entries(table).forEach(([key, value]) => {
+                if (!isNumber(value)) errors.push(`${path}.${key} is geen geldig getal`);
+            });
+        };
+        const checkBrackets = (brackets, path) => {
+            if (!Array.isArray(brackets) || brackets.length === 0) {
+                errors.push(`${path} ontbreekt`);
+                return;
+            }
+            brackets.forEach((bracket, index) => {
+                const last = index === brackets.length - 1;
+                if (!isNumber(bracket.rate)) errors.push(`${path}[${index}].rate is geen geldig getal`);
+                if (!(last && bracket.upTo === null) && !isNumber(bracket.upTo)) {
+                    errors.push(`${path}[${index}].upTo is geen geldig getal`);
+                }
+                if (index > 0 && bracket.upTo !== null && bracket.upTo <= brackets[index - 1].upTo) {
+                    errors.push(`${path} schijven lopen niet op`);
+                }
+            });
+        };
+
+        if (!doc || doc.schema !== this.SCHEMA) {
+            return [`Onbekend schema: ${doc && doc.schema}`];
+        }
+        if (!Array.isArray(doc.tarieven) || doc.tarieven.length === 0) {
+            return ['Geen tariefversies gevonden'];
+        }
+
+        doc.tarieven.forEach((version, index) => {
+            const path = `tarieven[${index}]`;
+
+            if (typeof version.versie !== 'string' || !version.versie) errors.push(`${path}.versie ontbreekt`);
+            if (!isDate(version.geldigVanaf)) errors.push(`${path}.geldigVanaf is geen datum`);
+            if (version.geldigTot !== null && version.geldigTot !== undefined) {
+                if (!isDate(version.geldigTot)) {
+                    errors.push(`${path}.geldigTot is geen datum`);
+                } else if (Date.parse(version.geldigTot) < Date.parse(version.geldigVanaf)) {
+                    errors.push(`${path}.geldigTot ligt voor geldigVanaf`);
+                }
+            }
+
+            const rates = version.rates || {};
+            this.RATE_KEYS.forEach(key => {
+                if (!isNumber(rates[key])) errors.push(`${path}.rates.${key} is geen geldig getal`);
+            });
+
+            checkTable(version.gridFees && version.gridFees.electricity, `${path}.gridFees.electricity`);
+            checkTable(version.gridFees && version.gridFees.gas, `${path}.gridFees.gas`);
+            checkTable(version.homeTypeMultiplier, `${path}.homeTypeMultiplier`);
+
+            [1, 2, 3, 4, 5].forEach(size => {
+                const profile = version.consumption && version.consumption[size];
+                if (!profile || !isNumber(profile.power) || !isNumber(profile.gas)) {
+                    errors.push(`${path}.consumption.${size} is ongeldig`);
+                }
+            });
+
+            if (version.taxes) {
+                const taxes = version.taxes;
+                if (!isNumber(taxes.vat) || taxes.vat >= 1) errors.push(`${path}.taxes.vat is ongeldig`);
+                if (!isNumber(taxes.taxCredit)) errors.push(`${path}.taxes.taxCredit is geen geldig getal`);
+                checkTable(taxes.surcharge, `${path}.taxes.surcharge`);
+                checkBrackets(taxes.electricity, `${path}.taxes.electricity`);
+                checkBrackets(taxes.gas, `${path}.taxes.gas`);
+            }
+        });
+
+        return errors;
+    },
+
+    // Version valid on the given date (geldigTot is inclusive)
+    selectVersion(doc, date = new Date()) {
+        const day = new Date(date).setHours(0, 0, 0, 0);
+        const active = doc.tarieven.filter(version => {
+            const from = new Date(version.geldigVanaf).setHours(0, 0, 0, 0);
+            const until = version.geldigTot ? new Date(version.geldigTot).setHours(0, 0, 0, 0) : Infinity;
+            return from <= day && day <= until;
+        });
+
+        // Overlapping versions: the one that started last wins
+        return active.sort((a, b) => Date.parse(b.geldigVanaf) - Date.parse(a.geldigVanaf))[0] || null;
+    },
+
+    // Converts a document version into the tariff shape CalculatorCore expects
+    toTariff(version, source) {
+        const brackets = (list) => list.map(bracket => ({
+            upTo: bracket.upTo === null ? Infinity : bracket.upTo,
+            rate: bracket.rate
+        }));
+
+        return {
+            ...DEFAULT_TARIFF,
+            rates: { ...version.rates },
+            gridFees: version.gridFees,
+            consumption: version.consumption,
+            homeTypeMultiplier: version.homeTypeMultiplier,
+            taxes: version.taxes ? {
+                ...version.taxes,
+                electricity: brackets(version.taxes.electricity),
+                gas: brackets(version.taxes.gas)
+            } : null,
+            meta: {
+                version: version.versie,
+                validFrom: version.geldigVanaf,
+                validUntil: version.geldigTot || null,
+                source: source
+            }
+        };
+    },
+
+    // Tariff from a parsed document, or null with the reason in errors
+    fromDocument(doc, source, date = new Date()) {
+        const errors = this.validate(doc);
+        if (errors.length > 0) return { tariff: null, errors };
+
+        const version = this.selectVersion(doc, date);
+        if (!version) return { tariff: null, errors: ['Geen tariefversie geldig op deze datum'] };
+
+        return { tariff: this.toTariff(version, source), errors: [] };
+    },
+
+    // A full or unavailable storage (private mode) only costs the offline copy
+    remember(doc, storage) {
+        if (!storage) return;
+        try {
+            storage.setItem(this.STORAGE_KEY, JSON.stringify(doc));
+        } catch (error) {
+            console.warn('Could not store tariff configuration:', error);
+        }
+    },
+
+    /**
+     * Loads the published tariffs. A valid download becomes the new last known
+     * good copy; otherwise the stored copy, and finally DEFAULT_TARIFF, is used.
+     */
+    async load(url, storage = null, date = new Date()) {
+        let problems = [];
+
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const doc = await response.json();
+            const { tariff, errors } = this.fromDocument(doc, 'remote', date);
+            if (tariff) {
+                this.remember(doc, storage);
+                return tariff;
+            }
+            problems = errors;
+        } catch (error) {
+            problems = [error.message];
+        }
+
+        console.warn('Tariff configuration rejected, using fallback:', problems);
+
+        try {
+            const cached = storage && storage.getItem(this.STORAGE_KEY);
+            if (cached) {
+                const { tariff } = this.fromDocument(JSON.parse(cached), 'cache', date);
+                if (tariff) return tariff;
+            }
+        } catch (error) {
+            console.warn('Cached tariff configuration unreadable:', error);
+        }
+
+        return DEFAULT_TARIFF;
+    }
+};
+
+// ==================== CALCULATOR CORE ====================
+const CalculatorCore = {
+    DEFAULT_INPUT: {
+        householdSize: 2,
+        homeType: 'row-house',
+        hasSolar: false,
+        connection: '3x25A',
+        gasConnection: 'G4',
+        solarSystem: { panels: 10, kWp: null, orientation: 'S', tilt: 30 }
+    },
+
+    // Fills in defaults and rejects values the tariff does not know
+    normalizeInput(input = {}, tariff = DEFAULT_TARIFF) {
+        const normalized = {
+            ...this.DEFAULT_INPUT,
+            ...input,
+            solarSystem: { ...this.DEFAULT_INPUT.solarSystem, ...(input.solarSystem || {}) }
+        };
+
+        const size = parseInt(normalized.householdSize, 10);
+        if (isNaN(size) || size < 1) {
+            throw new RangeError(`Invalid household size: ${input.householdSize}`);
+        }
+        normalized.householdSize = Math.min(size, 5);
+
+        if (!(normalized.homeType in tariff.homeTypeMultiplier)) {
+            throw new RangeError(`Unknown home type: ${normalized.homeType}`);
+        }
+        if (!(normalized.connection in tariff.gridFees.electricity)) {
+            throw new RangeError(`Unknown electricity connection: ${normalized.connection}`);
+        }
+        if (!(normalized.gasConnection in tariff.gridFees.gas)) {
+            throw new RangeError(`Unknown gas connection: ${normalized.gasConnection}`);
+        }
+
+        // A negative size from a half-typed field counts as no panels
+        ['panels', 'kWp'].forEach(key => {
+            if (Number(normalized.solarSystem[key]) < 0) normalized.solarSystem[key] = 0;
+        });
+
+        normalized.hasSolar = Boolean(normalized.hasSolar);
+        return normalized;
+    },
+
+    // Energy tax over the annual volume, bracket by bracket
+    bracketTax(volume, brackets) {
+        let remaining = volume;
+        let lower = 0;
+        let tax = 0;
+
+        for (const bracket of brackets) {
+            if (remaining <= 0) break;
+            const inBracket = Math.min(remaining, bracket.upTo - lower);
+            tax += inBracket * bracket.rate;
+            remaining -= inBracket;
+            lower = bracket.upTo;
+        }
+
+        return tax;
+    },
+
+    round(amount) {
+        return Math.round(amount * 100) / 100;
+    },
+
+    /**
+     * @param {Partial<CalculatorInput>} input
+     * @param {Object} [tariff]
+     * @returns {Quote}
+     */
+    calculate(input, tariff = DEFAULT_TARIFF) {
+        const quoteInput = this.normalizeInput(input, tariff);
+        const { rates } = tariff;
+        const taxes = tariff.taxes || CalculatorDeps.getTaxYear();
+
+        // Get base consumption
+        const baseConsumption = tariff.consumption[quoteInput.householdSize];
+        const multiplier = tariff.homeTypeMultiplier[quoteInput.homeType];
+
+        // Calculate adjusted consumption
+        const powerConsumption = baseConsumption.power * multiplier;
+        const gasConsumption = quoteInput.gasConnection === 'none' ? 0 : baseConsumption.gas * multiplier;
+
+        // Solar: only what is drawn from the grid and not netted gets billed
+        let solar = null;
+        let billedPower = powerConsumption;
+        if (quoteInput.hasSolar) {
+            const simulator = new (CalculatorDeps.SolarSimulator)();
+            const solarRates = {
+                supply: rates.electricity,
+                energyTax: taxes.electricity[0].rate,
+                vat: taxes.vat,
+                feedInTariff: rates.feedInTariff,
+                feedInCost: rates.feedInCost
+            };
+            const projection = simulator.project(quoteInput.solarSystem, powerConsumption, solarRates, tariff.projectionYears);
+            solar = {
+                kWp: this.round(simulator.systemSize(quoteInput.solarSystem)),
+                ...projection[0],
+                projection: projection
+            };
+            billedPower = solar.billedConsumption;
+        }
+
+        const costs = this.costs({
+            power: billedPower,
+            gas: gasConsumption,
+            connection: quoteInput.connection,
+            gasConnection: quoteInput.gasConnection,
+            solar: solar
+        }, tariff);
+
+        // A large tax credit can exceed the bill for very low usage
+        const monthlyAmount = Math.max(0, costs.yearly) / 12;
+
+        return {
+            power: Math.round(powerConsumption),
+            gas: Math.round(gasConsumption),
+            monthly: Math.round(monthlyAmount),
+            yearly: costs.yearly,
+            solar: solar,
+            tariffVersion: { ...(tariff.meta || DEFAULT_TARIFF.meta) },
+            breakdown: costs.breakdown
+        };
+    },
+
+    /**
+     * Yearly bill for known volumes. Also used with measured consumption
+     * (see scripts/advance.js), so it does not estimate anything itself.
+     * @param {{power: number, gas: number, connection: string, gasConnection: string,
+     *          solar?: ?{unnetted: number, fedIn: number, year?: number}}} usage  billed kWh and m³ per year
+     * @param {Object} [tariff]
+     * @returns {{yearly: number, breakdown: {lines: QuoteLine[], subtotal: number, vat: number, vatRate: number}}}
+     */
+    costs(usage, tariff = DEFAULT_TARIFF) {
+        const { rates, gridFees } = tariff;
+        const taxes = tariff.taxes || CalculatorDeps.getTaxYear();
+        const { power, gas, solar } = usage;
+
+        // Annual amounts excluding VAT; the tax credit is a negative line
+        const lines = [
+            { key: 'electricitySupply', label: 'Levering stroom', amount: power * rates.electricity },
+            { key: 'electricityFixed', label: 'Vaste leveringskosten stroom', amount: rates.fixedElectricity * 12 },
+            { key: 'electricityTax', label: 'Energiebelasting stroom', amount: this.bracketTax(power, taxes.electricity) },
+            { key: 'electricitySurcharge', label: 'Opslag duurzame energie stroom', amount: power * taxes.surcharge.electricity },
+            { key: 'electricityGrid', label: `Netbeheerkosten stroom (${usage.connection})`, amount: gridFees.electricity[usage.connection] }
+        ];
+
+        if (solar) {
+            const feedInTariff = CalculatorDeps.SolarSimulator.feedInTariff(solar.year || new Date().getFullYear(), {
+                supply: rates.electricity,
+                feedInTariff: rates.feedInTariff
+            });
+            lines.push(
+                { key: 'feedInCompensation', label: 'Terugleververgoeding', amount: -solar.unnetted * feedInTariff },
+                { key: 'feedInCosts', label: 'Terugleverkosten', amount: solar.fedIn * rates.feedInCost }
+            );
+        }
+
+        if (usage.gasConnection !== 'none') {
+            lines.push(
+                { key: 'gasSupply', label: 'Levering gas', amount: gas * rates.gas },
+                { key: 'gasFixed', label: 'Vaste leveringskosten gas', amount: rates.fixedGas * 12 },
+                { key: 'gasTax', label: 'Energiebelasting gas', amount: this.bracketTax(gas, taxes.gas) },
+                { key: 'gasSurcharge', label: 'Opslag duurzame energie gas', amount: gas * taxes.surcharge.gas },
+                { key: 'gasGrid', label: `Netbeheerkosten gas (${usage.gasConnection})`, amount: gridFees.gas[usage.gasConnection] }
+            );
+        }
+
+        lines.push({ key: 'taxCredit', label: 'Vermindering energiebelasting', amount: -taxes.taxCredit });
+
+        const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+        const vat = subtotal * taxes.vat;
+
+        return {
+            yearly: this.round(subtotal + vat),
+            breakdown: {
+                lines: lines.map(line => ({ ...line, amount: this.round(line.amount) })),
+                subtotal: this.round(subtotal),
+                vat: this.round(vat),
+                vatRate: taxes.vat
+            }
+        };
+    }
+};
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CalculatorCore, DEFAULT_TARIFF, TariffConfig };
+}
@@ -0,0 +1,629 @@
+/**
+ * 112Energie Energy Chart
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Canvas chart for the energy monitor. Line mode for live power
+ * (kW), stacked bar mode for aggregates (kWh, m³), auto-scaling axes with
+ * Dutch time labels, hover/touch tooltips, wheel/pinch zoom, drag pan and
+ * HiDPI rendering that follows the size of the container.
+ */
+
+// ==================== RANGES ====================
+const CHART_RANGES = {
+    live: { label: 'Live', resolution: 'live', bucket: 0 },
+    day: { label: 'Dag', resolution: 'hour', bucket: 3600000 },
+    week: { label: 'Week', resolution: 'day', bucket: 86400000 },
+    month: { label: 'Maand', resolution: 'day', bucket: 86400000 },
+    year: { label: 'Jaar', resolution: 'month', bucket: 0 }
+};
+
+// Period boundaries and bucket starts (local time) for a range ending at now
+function chartRangeBounds(range, now = new Date()) {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    const starts = [];
+
+    if (range === 'day') {
+        for (let hour = 0; hour < 24; hour++) {
+            starts.push(new Date(start.getFullYear(), start.getMonth(), start.getDate(), hour).getTime());
+        }
+    } else if (range === 'week') {
+        for (let day = 6; day >= 0; day--) {
+            starts.push(new Date(start.getFullYear(), start.getMonth(), start.getDate() - day).getTime());
+        }
+    } else if (range === 'month') {
+        const days = new Date(start.getFullYear(), start.getMonth() + 1, 0).getDate();
+        for (let day = 1; day <= days; day++) {
+            starts.push(new Date(start.getFullYear(), start.getMonth(), day).getTime());
+        }
+    } else if (range === 'year') {
+        for (let month = 0; month < 12; month++) {
+            starts.push(new Date(start.getFullYear(), month, 1).getTime());
+        }
+    }
+
+    const last = starts[starts.length - 1];
+    const to = range === 'year' ?
+        new Date(start.getFullYear() + 1, 0, 1).getTime() :
+        range === 'day' ? last + 3600000 : new Date(last).setDate(new Date(last).getDate() + 1);
+
+    return { from: starts[0], to: to, starts: starts, resolution: CHART_RANGES[range].resolution };
+}
+
+const CHART_TIME_FORMATS = {
+    live: { hour: '2-digit', minute: '2-digit', second: '2-digit' },
+    hour: { hour: '2-digit', minute: '2-digit' },
+    day: { weekday: 'short', day: 'numeric', month: 'short' },
+    month: { month: 'short', year: 'numeric' }
+};
+
+// ==================== ENERGY CHART ====================
+class EnergyChart {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.options = {
+            padding: { top: 32, right: 16, bottom: 28, left: 48 },
+            gridColor: 'rgba(255, 255, 255, 0.1)',
+            textColor: 'rgba(255, 255, 255, 0.6)',
+            tooltipBackground: 'rgba(26, 26, 26, 0.92)',
+            font: '11px Inter, sans-serif',
+            locale: 'nl-NL',
+            ...options
+        };
+
+        this.points = [];
+        this.series = [];
+        this.mode = 'line';
+        this.resolution = 'live';
+        this.bucket = 0;
+        this.units = { left: 'kW', right: '' };
+        this.view = null; // { from, to } in ms; null follows the full domain
+        this.hover = null;
+        this.pointers = new Map();
+        this.width = 0;
+        this.height = 0;
+        this.frame = null;
+
+        this.resize();
+        this.bindEvents();
+    }
+
+    // points: [{ t, [series.key]: value }], series: [{ key, label, color, type, axis, negative }]
+    setData({ points, series, mode = 'line', resolution = 'live', bucket = 0, units = {} }) {
+        const modeChanged = mode !== this.mode || resolution !== this.resolution;
+
+        this.points = points.slice().sort((a, b) => a.t - b.t);
+        this.series = series;
+        this.mode = mode;
+        this.resolution = resolution;
+        this.bucket = bucket;
+        this.units = { left: '', right: '', ...units };
+
+        if (modeChanged) {
+            this.view = null;
+            this.hover = null;
+        }
+        this.render();
+    }
+
+    // ==================== SIZING ====================
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+
+        this.width = rect.width || this.canvas.width;
+        this.height = rect.height || this.canvas.height;
+
+        // Backing store in device pixels, drawing in CSS pixels
+        this.canvas.width = Math.round(this.width * dpr);
+        this.canvas.height = Math.round(this.height * dpr);
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+        this.render();
+    }
+
+    bindEvents() {
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver(Utils.debounce(() => this.resize(), 100));
+            this.resizeObserver.observe(this.canvas);
+        } else {
+            this.handleResize = Utils.debounce(() => this.resize(), 100);
+            window.addEventListener('resize', this.handleResize);
+        }
+
+        this.canvas.style.touchAction = 'none';
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointerleave', (e) => {
+            if (e.pointerType === 'mouse') {
+                this.hover = null;
+                this.render();
+            }
+        });
+        this.canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+        this.canvas.addEventListener('dblclick', () => this.resetZoom());
+    }
+
+    // ==================== GEOMETRY ====================
+    get plot() {
+        const { padding } = this.options;
+        const hasRight = this.series.some(series => series.axis === 'right');
+        const right = hasRight ? Math.max(padding.right, 48) : padding.right;
+
+        return {
+            left: padding.left,
+            top: padding.top,
+            width: Math.max(0, this.width - padding.left - right),
+            height: Math.max(0, this.height - padding.top - padding.bottom)
+        };
+    }
+
+    // Calendar arithmetic keeps days and months right across DST changes
+    bucketEnd(t) {
+        const date = new Date(t);
+        if (this.resolution === 'month') {
+            return new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime();
+        }
+        if (this.resolution === 'day') {
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+        }
+        return t + this.bucket;
+    }
+
+    get domain() {
+        if (this.points.length === 0) return { from: 0, to: 1 };
+
+        const from = this.points[0].t;
+        const last = this.points[this.points.length - 1].t;
+        const to = this.mode === 'bar' ? this.bucketEnd(last) : last;
+        return { from, to: Math.max(to, from + 1) };
+    }
+
+    get currentView() {
+        return this.view || this.domain;
+    }
+
+    xFor(t) {
+        const { left, width } = this.plot;
+        const { from, to } = this.currentView;
+        return left + (t - from) / (to - from) * width;
+    }
+
+    tFor(x) {
+        const { left, width } = this.plot;
+        const { from, to } = this.currentView;
+        return from + (x - left) / width * (to - from);
+    }
+
+    visiblePoints() {
+        const { from, to } = this.currentView;
+        return this.points.filter(point => {
+            const end = this.mode === 'bar' ? this.bucketEnd(point.t) : point.t;
+            return end >= from && point.t <= to;
+        });
+    }
+
+    // Rounds a raw step up to 1, 2 or 5 × 10^n
+    static niceStep(range, ticks = 5) {
+        const raw = range / ticks;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const normalized = raw / magnitude;
+        const step = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+        return step * magnitude;
+    }
+
+    scaleFor(axis, points) {
+        let max = 0;
+        let min = 0;
+
+        points.forEach(point => {
+            let positive = 0;
+            let negative = 0;
+            this.series.filter(series => (series.axis || 'left') === axis).forEach(series => {
+                const value = (point[series.key] || 0) * (series.negative ? -1 : 1);
+                if (this.mode === 'bar' && series.type !== 'line') {
+                    if (value >= 0) positive += value; else negative += value;
+                } else {
+                    max = Math.max(max, value);
+                    min = Math.min(min, value);
+                }
+            });
+            max = Math.max(max, positive);
+            min = Math.min(min, negative);
+        });
+
+        if (max === min) max = min + 1;
+
+        const step = EnergyChart.niceStep(max - min);
+        return {
+            min: Math.floor(min / step) * step,
+            max: Math.ceil(max / step) * step,
+            step: step
+        };
+    }
+
+    yFor(value, scale) {
+        const { top, height } = this.plot;
+        return top + height - (value - scale.min) / (scale.max - scale.min) * height;
+    }
+
+    // ==================== RENDERING ====================
+    render() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    draw() {
+        const { ctx } = this;
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.font = this.options.font;
+
+        const points = this.visiblePoints();
+        const scales = {
+            left: this.scaleFor('left', points),
+            right: this.scaleFor('right', points)
+        };
+
+        this.drawGrid(scales);
+        this.drawTimeAxis();
+        this.drawLegend();
+
+        if (points.length === 0) {
+            this.drawEmpty();
+            return;
+        }
+
+        const { left, top, width, height } = this.plot;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, width, height);
+        ctx.clip();
+
+        if (this.mode === 'bar') {
+            this.drawBars(points, scales);
+        }
+        this.series
+            .filter(series => this.mode === 'line' || series.type === 'line')
+            .forEach(series => this.drawLine(points, series, scales[series.axis || 'left']));
+
+        ctx.restore();
+
+        if (this.hover) {
+            this.drawTooltip(scales);
+        }
+    }
+
+    drawGrid(scales) {
+        const { ctx } = this;
+        const { left, top, width } = this.plot;
+        const hasRight = this.series.some(series => series.axis === 'right');
+
+        ctx.strokeStyle = this.options.gridColor;
+        ctx.fillStyle = this.options.textColor;
+        ctx.lineWidth = 1;
+        ctx.textBaseline = 'middle';
+
+        const scale = scales.left;
+        for (let value = scale.min; value <= scale.max + scale.step / 2; value += scale.step) {
+            const y = Math.round(this.yFor(value, scale)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + width, y);
+            ctx.stroke();
+
+            ctx.textAlign = 'right';
+            ctx.fillText(this.formatValue(value, scale.step), left - 6, y);
+
+            if (hasRight) {
+                // Right axis shares the grid lines, with its own values
+                const ratio = (value - scale.min) / (scale.max - scale.min);
+                const rightValue = scales.right.min + ratio * (scales.right.max - scales.right.min);
+                ctx.textAlign = 'left';
+                ctx.fillText(this.formatValue(rightValue, scales.right.step), left + width + 6, y);
+            }
+        }
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(this.units.left, 4, top - 4);
+        if (hasRight) {
+            ctx.textAlign = 'right';
+            ctx.fillText(this.units.right, this.width - 4, top - 4);
+        }
+
+        // Zero line stands out when export is drawn below it
+        if (scale.min < 0) {
+            const y = Math.round(this.yFor(0, scale)) + 0.5;
+            ctx.strokeStyle = this.options.textColor;
+            ctx.beginPath();
+            ctx.moveTo(left, y);
+            ctx.lineTo(left + width, y);
+            ctx.stroke();
+        }
+    }
+
+    drawTimeAxis() {
+        const { ctx } = this;
+        const { left, top, width, height } = this.plot;
+        const { from, to } = this.currentView;
+        const labelWidth = this.resolution === 'day' || this.resolution === 'live' ? 90 : 60;
+        const count = Math.max(2, Math.floor(width / labelWidth));
+
+        ctx.fillStyle = this.options.textColor;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        for (let i = 0; i <= count; i++) {
+            const t = from + (to - from) * i / count;
+            const x = left + width * i / count;
+            ctx.fillText(this.formatTime(t), Math.min(Math.max(x, left + 20), left + width - 20), top + height + 8);
+        }
+    }
+
+    drawLegend() {
+        const { ctx } = this;
+        let x = this.plot.left;
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        this.series.forEach(series => {
+            ctx.fillStyle = series.color;
+            ctx.fillRect(x, 8, 10, 10);
+            ctx.fillStyle = this.options.textColor;
+            ctx.fillText(series.label, x + 14, 13);
+            x += ctx.measureText(series.label).width + 30;
+        });
+    }
+
+    drawEmpty() {
+        const { ctx } = this;
+        const { left, top, width, height } = this.plot;
+        ctx.fillStyle = this.options.textColor;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('Nog geen gegevens voor deze periode', left + width / 2, top + height / 2);
+    }
+
+    drawLine(points, series, scale) {
+        const { ctx } = this;
+        const offset = this.mode === 'bar' ? (t) => (this.xFor(t) + this.xFor(this.bucketEnd(t))) / 2 : (t) => this.xFor(t);
+
+        ctx.strokeStyle = series.color;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+
+        let lastY = null;
+        points.forEach(point => {
+            if (point[series.key] === undefined || point[series.key] === null) return;
+            const x = offset(point.t);
+            const y = this.yFor(point[series.key] * (series.negative ? -1 : 1), scale);
+            if (lastY === null) {
+                ctx.moveTo(x, y);
+            } else if (series.step) {
+                ctx.lineTo(x, lastY);
+                ctx.lineTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+            lastY = y;
+        });
+        ctx.stroke();
+
+        if (series.fill && this.mode === 'line' && points.length > 1) {
+            const base = this.yFor(Math.max(0, scale.min), scale);
+            ctx.lineTo(offset(points[points.length - 1].t), base);
+            ctx.lineTo(offset(points[0].t), base);
+            ctx.closePath();
+            ctx.fillStyle = series.fill;
+            ctx.fill();
+        }
+    }
+
+    drawBars(points, scales) {
+        const { ctx } = this;
+        const barSeries = this.series.filter(series => series.type !== 'line');
+        const stacks = [...new Set(barSeries.map(series => series.axis || 'left'))];
+
+        points.forEach(point => {
+            const x0 = this.xFor(point.t);
+            const x1 = this.xFor(this.bucketEnd(point.t));
+            const slot = (x1 - x0) * 0.8;
+            const barWidth = Math.max(1, slot / stacks.length);
+
+            stacks.forEach((axis, stackIndex) => {
+                const scale = scales[axis];
+                let positive = 0;
+                let negative = 0;
+
+                barSeries.filter(series => (series.axis || 'left') === axis).forEach(series => {
+                    const value = (point[series.key] || 0) * (series.negative ? -1 : 1);
+                    if (!value) return;
+
+                    const base = value >= 0 ? positive : negative;
+                    const yTop = this.yFor(base + value, scale);
+                    const yBase = this.yFor(base, scale);
+
+                    ctx.fillStyle = series.color;
+                    ctx.fillRect(x0 + (x1 - x0) * 0.1 + stackIndex * barWidth, Math.min(yTop, yBase), barWidth - 1, Math.abs(yBase - yTop));
+
+                    if (value >= 0) positive += value; else negative += value;
+                });
+            });
+        });
+    }
+
+    drawTooltip(scales) {
+        const point = this.pointAt(this.hover.x);
+        if (!point) return;
+
+        const { ctx } = this;
+        const { top, height } = this.plot;
+        const x = this.mode === 'bar' ? (this.xFor(point.t) + this.xFor(this.bucketEnd(point.t))) / 2 : this.xFor(point.t);
+
+        ctx.strokeStyle = this.options.textColor;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(Math.round(x) + 0.5, top);
+        ctx.lineTo(Math.round(x) + 0.5, top + height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        const lines = [this.formatTime(point.t, true)];
+        this.series.forEach(series => {
+            if (point[series.key] === undefined || point[series.key] === null) return;
+            const unit = series.unit || this.units[series.axis || 'left'];
+            lines.push(`${series.label}: ${this.formatValue(point[series.key], 0.01)} ${unit}`);
+        });
+
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+        const boxHeight = lines.length * 16 + 8;
+        const boxX = x + boxWidth + 12 > this.width ? x - boxWidth - 8 : x + 8;
+        const boxY = top + 4;
+
+        ctx.fillStyle = this.options.tooltipBackground;
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, index) => ctx.fillText(line, boxX + 8, boxY + 6 + index * 16));
+    }
+
+    pointAt(x) {
+        const t = this.tFor(x);
+        const points = this.visiblePoints();
+
+        if (this.mode === 'bar') {
+            return points.find(point => t >= point.t && t < this.bucketEnd(point.t)) || null;
+        }
+
+        let nearest = null;
+        points.forEach(point => {
+            if (!nearest || Math.abs(point.t - t) < Math.abs(nearest.t - t)) nearest = point;
+        });
+        return nearest;
+    }
+
+    // ==================== FORMATTING ====================
+    formatValue(value, step) {
+        const decimals = step >= 1 ? 0 : step >= 0.1 ? 1 : 2;
+        return new Intl.NumberFormat(this.options.locale, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }).format(value);
+    }
+
+    formatTime(t, detailed = false) {
+        let format = CHART_TIME_FORMATS[this.resolution] || CHART_TIME_FORMATS.live;
+        if (detailed && this.resolution === 'hour') {
+            format = { weekday: 'short', day: 'numeric', month: 'short', ...format };
+        }
+        return new Intl.DateTimeFormat(this.options.locale, format).format(new Date(t));
+    }
+
+    // ==================== INTERACTION ====================
+    localX(e) {
+        return e.clientX - this.canvas.getBoundingClientRect().left;
+    }
+
+    onPointerDown(e) {
+        this.canvas.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: this.localX(e), startView: { ...this.currentView } });
+        this.hover = { x: this.localX(e) };
+        this.render();
+    }
+
+    onPointerMove(e) {
+        const x = this.localX(e);
+        const pointer = this.pointers.get(e.pointerId);
+
+        if (!pointer) {
+            // Plain hover
+            this.hover = { x };
+            this.render();
+            return;
+        }
+
+        if (this.pointers.size === 2) {
+            this.onPinch(e.pointerId, x);
+            return;
+        }
+
+        // Drag pans the view
+        const { width } = this.plot;
+        const { from, to } = pointer.startView;
+        const shift = (pointer.x - x) / width * (to - from);
+        if (Math.abs(pointer.x - x) > 3) {
+            this.setView(from + shift, to + shift);
+        }
+        this.hover = { x };
+        this.render();
+    }
+
+    onPinch(pointerId, x) {
+        const [a, b] = [...this.pointers.entries()];
+        const startDistance = Math.abs(a[1].x - b[1].x);
+        const current = {
+            [a[0]]: pointerId === a[0] ? x : a[1].lastX ?? a[1].x,
+            [b[0]]: pointerId === b[0] ? x : b[1].lastX ?? b[1].x
+        };
+        this.pointers.get(pointerId).lastX = x;
+
+        const distance = Math.abs(current[a[0]] - current[b[0]]);
+        if (startDistance < 10 || distance < 10) return;
+
+        const { from, to } = a[1].startView;
+        const center = this.tFor((current[a[0]] + current[b[0]]) / 2);
+        const factor = startDistance / distance;
+        this.setView(center - (center - from) * factor, center + (to - center) * factor);
+    }
+
+    onPointerUp(e) {
+        this.pointers.delete(e.pointerId);
+        // Restart pan/pinch from the current view for the remaining pointer
+        this.pointers.forEach(pointer => {
+            pointer.startView = { ...this.currentView };
+            pointer.x = pointer.lastX ?? pointer.x;
+        });
+        if (e.pointerType !== 'mouse') {
+            this.hover = null;
+            this.render();
+        }
+    }
+
+    onWheel(e) {
+        e.preventDefault();
+        const { from, to } = this.currentView;
+        const center = this.tFor(this.localX(e));
+        const factor = e.deltaY > 0 ? 1.2 : 1 / 1.2;
+        this.setView(center - (center - from) * factor, center + (to - center) * factor);
+    }
+
+    setView(from, to) {
+        const domain = this.domain;
+        const minSpan = this.mode === 'bar' ? (this.bucket || 86400000) * 3 : 10000;
+        const span = Math.max(minSpan, Math.min(to - from, domain.to - domain.from));
+
+        from = Math.max(domain.from, Math.min(from, domain.to - span));
+        this.view = span >= domain.to - domain.from ? null : { from, to: from + span };
+        this.render();
+    }
+
+    resetZoom() {
+        this.view = null;
+        this.render();
+    }
+
+    destroy() {
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        if (this.handleResize) window.removeEventListener('resize', this.handleResize);
+        if (this.frame) cancelAnimationFrame(this.frame);
+    }
+}
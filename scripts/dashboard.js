@@ -0,0 +1,523 @@
+/**
+ * 112Energie Customer Dashboard
+ * Version: 2.0
+ * Updated: 2025
+ * Description: "Mijn 112Energie" for logged-in customers: contract, monthly
+ * advance (voorschot), recent consumption from the energy monitor, invoices
+ * and messages. Sections are routed client-side as #mijn/<section>, a single
+ * invoice as #mijn/facturen/<id>; data comes from the customer API through
+ * AuthClient.fetch.
+ */
+
+// ==================== SECTIONS ====================
+// Each section is a [data-dashboard-panel="id"] in the dashboard and loads
+// the API paths listed here before it renders. With an id in the route
+// (#mijn/facturen/<id>) it loads `detail` instead
+const DASHBOARD_SECTIONS = [
+    { id: 'overzicht', label: 'Overzicht', load: ['/me/contract', '/me/advance', '/me/invoices', '/me/messages'] },
+    { id: 'contract', label: 'Contract', load: ['/me/contract', '/me/advance'] },
+    { id: 'voorschot', label: 'Voorschot', load: ['/me/contract', '/me/advance', '/me/invoices'] },
+    { id: 'verbruik', label: 'Verbruik', load: [] },
+    { id: 'meterstanden', label: 'Meterstanden', load: ['/me/readings'] },
+    { id: 'facturen', label: 'Facturen', load: ['/me/invoices'], detail: '/me/invoices/{id}' },
+    { id: 'berichten', label: 'Berichten', load: ['/me/messages'] }
+];
+
+const DASHBOARD_LABELS = {
+    invoiceStatus: { open: 'Open', overdue: 'Te laat', paid: 'Betaald' },
+    invoiceType: { advance: 'Voorschot', annual: 'Jaarafrekening' },
+    product: { electricity: 'Stroom', gas: 'Gas' },
+    paymentMethod: { incasso: 'Automatische incasso', manual: 'Zelf overmaken' }
+};
+
+// ==================== DASHBOARD ====================
+class CustomerDashboard {
+    constructor(root, options = {}) {
+        this.root = root;
+        this.options = {
+            auth: null, // AuthClient
+            monitor: null, // EnergyMonitor, for recent consumption
+            basePath: 'mijn', // routes are #mijn and #mijn/<section>
+            sections: DASHBOARD_SECTIONS,
+            requireLogin: () => {}, // a route was opened while logged out
+            onRender: () => {}, // (section, data) after a section has rendered
+            invoiceViewer: null, // InvoiceViewer, for #mijn/facturen/<id>
+            advanceAdvisor: null, // AdvanceAdvisor, for #mijn/voorschot
+            notify: () => {},
+            ...options
+        };
+
+        this.cache = new Map(); // API path -> Promise of the parsed body
+        this.section = null;
+        this.id = null; // invoice shown in the section, if any
+        this.handleRoute = () => this.route();
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('hashchange', this.handleRoute);
+
+        this.root.addEventListener('click', (e) => {
+            const refresh = e.target.closest('[data-dashboard-action="refresh"]');
+            if (refresh) this.refresh();
+
+            const message = e.target.closest('[data-message-id]');
+            if (message) this.markRead(message.dataset.messageId);
+
+            const pdf = e.target.closest('[data-invoice-action="pdf"]');
+            if (pdf) this.downloadInvoice(pdf.dataset.invoiceId);
+
+            const accept = e.target.closest('[data-advance-action="accept"]');
+            if (accept) this.acceptAdvance(accept);
+        });
+    }
+
+    // ==================== ROUTING ====================
+    // '#mijn/facturen' -> 'facturen'; null when the hash is not a dashboard route
+    parse(hash = window.location.hash) {
+        const [base, section] = hash.replace(/^#/, '').split('/');
+        if (base !== this.options.basePath) return null;
+        return this.options.sections.some(item => item.id === section) ? section : this.options.sections[0].id;
+    }
+
+    // '#mijn/facturen/inv-1' -> 'inv-1', for sections that have a detail view
+    parseId(hash = window.location.hash) {
+        const [, section, id] = hash.replace(/^#/, '').split('/');
+        const definition = this.options.sections.find(item => item.id === section);
+        return definition && definition.detail && id ? decodeURIComponent(id) : null;
+    }
+
+    href(section, id = null) {
+        if (id) return `#${this.options.basePath}/${section}/${encodeURIComponent(id)}`;
+        return `#${this.options.basePath}${section === this.options.sections[0].id ? '' : `/${section}`}`;
+    }
+
+    isActive() {
+        return this.section !== null;
+    }
+
+    route() {
+        const section = this.parse();
+        if (!section) {
+            this.hide();
+            return;
+        }
+        if (!this.options.auth.isAuthenticated) {
+            this.hide();
+            this.options.requireLogin();
+            return;
+        }
+        this.show(section, this.parseId());
+    }
+
+    navigate(section, id = null) {
+        window.location.hash = this.href(section, id);
+    }
+
+    show(section, id = null) {
+        const opening = !this.isActive();
+        this.section = section;
+        this.id = id;
+        this.root.hidden = false;
+        document.body.classList.add('dashboard-open');
+
+        this.root.querySelectorAll('[data-dashboard-panel]').forEach(panel => {
+            panel.hidden = panel.dataset.dashboardPanel !== section;
+        });
+        this.root.querySelectorAll('[data-dashboard-nav] a').forEach(link => {
+            if (link.getAttribute('href') === this.href(section)) {
+                link.setAttribute('aria-current', 'page');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        const name = this.root.querySelector('[data-dashboard-name]');
+        if (name) name.textContent = this.options.auth.user.firstName;
+
+        if (opening || id) window.scrollTo(0, 0);
+        this.load(section, id);
+    }
+
+    hide() {
+        if (!this.isActive()) return;
+        this.section = null;
+        this.id = null;
+        this.root.hidden = true;
+        document.body.classList.remove('dashboard-open');
+    }
+
+    // ==================== DATA ====================
+    get(path) {
+        if (!this.cache.has(path)) {
+            const request = this.options.auth.fetch(path)
+                .then(response => this.options.auth.json(response))
+                .catch(error => {
+                    this.cache.delete(path);
+                    throw error;
+                });
+            this.cache.set(path, request);
+        }
+        return this.cache.get(path);
+    }
+
+    detailPath(definition, id) {
+        return definition.detail.replace('{id}', encodeURIComponent(id));
+    }
+
+    async load(section, id = null) {
+        const panel = this.root.querySelector(`[data-dashboard-panel="${section}"]`);
+        const content = panel && panel.querySelector('[data-dashboard-content]');
+        if (!content) return;
+
+        const definition = this.options.sections.find(item => item.id === section);
+        content.setAttribute('aria-busy', 'true');
+        if (!content.hasChildNodes()) content.innerHTML = '<p class="dashboard-loading">Gegevens laden...</p>';
+
+        try {
+            const data = {};
+            if (id) {
+                data.detail = await this.get(this.detailPath(definition, id));
+            } else {
+                const results = await Promise.all(definition.load.map(path => this.get(path)));
+                definition.load.forEach((path, i) => {
+                    data[path.split('/').pop()] = results[i];
+                });
+            }
+
+            // The customer may have moved on while this was loading
+            if (this.section !== section || this.id !== id) return;
+            content.innerHTML = await this.render(section, data);
+            this.renderBadges();
+            this.options.onRender(section, data);
+        } catch (error) {
+            console.warn(`Dashboard section '${section}' failed:`, error.code || error.message);
+            if (error.code === 'SESSION_EXPIRED') return;
+            content.innerHTML = `
+                <div class="dashboard-error" role="alert">
+                    <p>${Utils.escapeHTML(error.message)}</p>
+                    <button type="button" class="btn-link" data-dashboard-action="refresh">Opnieuw proberen</button>
+                </div>`;
+        } finally {
+            content.removeAttribute('aria-busy');
+        }
+    }
+
+    // Data changed on the server; loaded again on the next visit
+    invalidate(path) {
+        this.cache.delete(path);
+    }
+
+    refresh() {
+        this.cache.clear();
+        if (this.isActive()) this.load(this.section, this.id);
+    }
+
+    // Logout or session end: nothing of the previous customer may stay behind
+    reset() {
+        this.cache.clear();
+        this.root.querySelectorAll('[data-dashboard-content]').forEach(content => {
+            content.innerHTML = '';
+        });
+        this.root.querySelectorAll('[data-dashboard-badge]').forEach(badge => {
+            badge.hidden = true;
+        });
+
+        if (this.isActive()) {
+            this.hide();
+            history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}`);
+        }
+    }
+
+    async markRead(id) {
+        const messages = await this.get('/me/messages').catch(() => []);
+        const message = messages.find(item => item.id === id);
+        if (!message || message.read) return;
+
+        try {
+            const response = await this.options.auth.fetch(`/me/messages/${encodeURIComponent(id)}/read`, { method: 'POST' });
+            if (!response.ok) throw new Error(`Status ${response.status}`);
+            message.read = true;
+            this.root.querySelector(`[data-message-id="${id}"]`)?.classList.remove('unread');
+            this.renderBadges();
+        } catch (error) {
+            console.warn('Could not mark message as read:', error.message);
+        }
+    }
+
+    // ==================== RENDERING ====================
+    formatDate(value) {
+        return new Date(value).toLocaleDateString('nl-NL', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    render(section, data) {
+        switch (section) {
+            case 'overzicht': return this.renderOverview(data);
+            case 'contract': return this.renderContract(data);
+            case 'voorschot': return this.renderAdvance(data);
+            case 'verbruik': return this.renderUsage();
+            case 'meterstanden': return this.renderReadings(data);
+            case 'facturen': return data.detail ? this.renderInvoice(data.detail) : this.renderInvoices(data);
+            case 'berichten': return this.renderMessages(data);
+        }
+        return '';
+    }
+
+    // Unread messages and unpaid invoices in the section navigation
+    renderBadges() {
+        const counts = {
+            berichten: this.cache.has('/me/messages') ? this.get('/me/messages').then(list => list.filter(item => !item.read).length) : null,
+            facturen: this.cache.has('/me/invoices') ? this.get('/me/invoices').then(list => this.openInvoices(list).length) : null
+        };
+
+        Object.entries(counts).forEach(async ([section, count]) => {
+            const badge = this.root.querySelector(`[data-dashboard-badge="${section}"]`);
+            if (!badge || count === null) return;
+            const value = await count.catch(() => 0);
+            badge.textContent = value;
+            badge.hidden = value === 0;
+        });
+    }
+
+    openInvoices(invoices) {
+        return invoices.filter(invoice => invoice.status !== 'paid');
+    }
+
+    renderOverview({ contract, advance, invoices, messages }) {
+        const open = this.openInvoices(invoices);
+        const openAmount = open.reduce((sum, invoice) => sum + invoice.amount, 0);
+        const overdue = open.some(invoice => invoice.status === 'overdue');
+        const unread = messages.filter(message => !message.read);
+        const usage = this.currentUsage();
+
+        return `
+            <div class="dashboard-cards">
+                <a class="dashboard-card" href="${this.href('contract')}">
+                    <h3>Contract</h3>
+                    <p class="dashboard-figure">${Utils.escapeHTML(contract.product)}</p>
+                    <p>Loopt tot ${this.formatDate(contract.endDate)}</p>
+                </a>
+                <a class="dashboard-card" href="${this.href('voorschot')}">
+                    <h3>Maandbedrag</h3>
+                    <p class="dashboard-figure">${Utils.formatCurrency(advance.amount)}</p>
+                    <p>Voorschot, rond de ${advance.dayOfMonth}e van de maand</p>
+                </a>
+                <a class="dashboard-card" href="${this.href('verbruik')}">
+                    <h3>Nu</h3>
+                    <p class="dashboard-figure">${usage === null ? '-' : `${Utils.formatNumber(usage, 2)} kW`}</p>
+                    <p>Vandaag ${this.formatCost(this.todayCost())}</p>
+                </a>
+                <a class="dashboard-card${overdue ? ' attention' : ''}" href="${this.href('facturen')}">
+                    <h3>Openstaand</h3>
+                    <p class="dashboard-figure">${Utils.formatCurrency(openAmount)}</p>
+                    <p>${open.length === 0 ? 'Alles is betaald' : `${open.length} ${open.length === 1 ? 'factuur' : 'facturen'}${overdue ? ', waarvan te laat' : ''}`}</p>
+                </a>
+                <a class="dashboard-card" href="${this.href('berichten')}">
+                    <h3>Berichten</h3>
+                    <p class="dashboard-figure">${unread.length}</p>
+                    <p>${unread.length === 1 ? 'Ongelezen bericht' : 'Ongelezen berichten'}</p>
+                </a>
+            </div>`;
+    }
+
+    renderContract({ contract, advance }) {
+        const address = contract.address;
+        const connections = contract.connections.map(connection => `
+            <div class="summary-row"><dt>EAN ${DASHBOARD_LABELS.product[connection.product].toLowerCase()}</dt><dd>${Utils.escapeHTML(connection.ean)}</dd></div>
+            <div class="summary-row"><dt>Meternummer ${DASHBOARD_LABELS.product[connection.product].toLowerCase()}</dt><dd>${Utils.escapeHTML(connection.meterNumber)} (${Utils.escapeHTML(connection.capacity)})</dd></div>`).join('');
+
+        return `
+            <section class="summary-section">
+                <header><h4>Contract ${Utils.escapeHTML(contract.number)}</h4></header>
+                <dl>
+                    <div class="summary-row"><dt>Product</dt><dd>${Utils.escapeHTML(contract.product)}${contract.greenEnergy ? ', groene stroom' : ''}</dd></div>
+                    <div class="summary-row"><dt>Looptijd</dt><dd>${this.formatDate(contract.startDate)} t/m ${this.formatDate(contract.endDate)}</dd></div>
+                    <div class="summary-row"><dt>Leveringsadres</dt><dd>${Utils.escapeHTML(`${address.street} ${address.houseNumber}, ${address.postcode} ${address.city}`)}</dd></div>
+                    ${connections}
+                </dl>
+            </section>
+            <section class="summary-section">
+                <header><h4>Tarieven (incl. btw)</h4></header>
+                <dl>
+                    <div class="summary-row"><dt>Stroom</dt><dd>${Utils.formatCurrency(contract.tariffs.electricity, 4)} per kWh</dd></div>
+                    <div class="summary-row"><dt>Gas</dt><dd>${Utils.formatCurrency(contract.tariffs.gas, 4)} per m³</dd></div>
+                    <div class="summary-row"><dt>Vaste leveringskosten</dt><dd>${Utils.formatCurrency(contract.tariffs.standingCharge)} per maand</dd></div>
+                </dl>
+            </section>
+            <section class="summary-section">
+                <header><h4>Voorschot</h4></header>
+                <dl>
+                    <div class="summary-row"><dt>Maandbedrag</dt><dd>${Utils.formatCurrency(advance.amount)}</dd></div>
+                    <div class="summary-row"><dt>Waarvan stroom / gas</dt><dd>${Utils.formatCurrency(advance.electricity)} / ${Utils.formatCurrency(advance.gas)}</dd></div>
+                    <div class="summary-row"><dt>Betaalwijze</dt><dd>${DASHBOARD_LABELS.paymentMethod[contract.paymentMethod] || Utils.escapeHTML(contract.paymentMethod)}</dd></div>
+                    <div class="summary-row"><dt>Rekening</dt><dd>${Utils.escapeHTML(contract.iban)}</dd></div>
+                </dl>
+            </section>`;
+    }
+
+    // Forecast of the settlement and advice, see scripts/advance.js
+    renderAdvance(data) {
+        if (!this.options.advanceAdvisor) return this.renderContract(data);
+        return this.options.advanceAdvisor.render(data);
+    }
+
+    async acceptAdvance(button) {
+        const amount = Number(button.dataset.advanceAmount);
+        button.disabled = true;
+        try {
+            const advance = await this.options.advanceAdvisor.accept(amount);
+            this.cache.set('/me/advance', Promise.resolve(advance));
+            this.invalidate('/me/messages');
+            this.options.notify(`Je voorschot is aangepast naar ${Utils.formatCurrency(advance.amount)} per maand`, 'success');
+            if (this.isActive()) this.load(this.section, this.id);
+        } catch (error) {
+            console.warn('Advance not changed:', error.message);
+            this.options.notify(error.message, 'error');
+            button.disabled = false;
+        }
+    }
+
+    // ==================== CONSUMPTION ====================
+    // The monitor once it follows the customer's meter; until then it shows
+    // the demo meter, whose figures are not this customer's
+    customerMonitor() {
+        const monitor = this.options.monitor;
+        return monitor && !monitor.isDemo ? monitor : null;
+    }
+
+    currentUsage() {
+        const monitor = this.customerMonitor();
+        return monitor && monitor.latest ? monitor.latest.power : null;
+    }
+
+    todayCost() {
+        const monitor = this.customerMonitor();
+        return monitor ? monitor.todayCost.amount : null;
+    }
+
+    formatCost(amount) {
+        return amount === null ? '-' : Utils.formatCurrency(amount);
+    }
+
+    // Daily rollups of the last week from the monitor history
+    async renderUsage() {
+        const monitor = this.customerMonitor();
+        let days = [];
+        if (monitor && monitor.history) {
+            const from = new Date();
+            from.setHours(0, 0, 0, 0);
+            from.setDate(from.getDate() - 6);
+            try {
+                days = await monitor.history.query(monitor.meterId, from, Date.now(), 'day');
+            } catch (error) {
+                console.warn('Usage history unavailable:', error.message);
+            }
+        }
+
+        const usage = this.currentUsage();
+        const rows = days.map(day => `
+            <tr>
+                <th scope="row">${new Date(day.start).toLocaleDateString('nl-NL', { weekday: 'short', day: 'numeric', month: 'short' })}</th>
+                <td>${Utils.formatNumber(day.importKwh, 1)} kWh</td>
+                <td>${Utils.formatNumber(day.exportKwh, 1)} kWh</td>
+                <td>${Utils.formatNumber(day.gasM3, 2)} m³</td>
+                <td>${Utils.formatCurrency(day.cost)}</td>
+            </tr>`).join('');
+
+        return `
+            <div class="dashboard-cards">
+                <div class="dashboard-card">
+                    <h3>Nu</h3>
+                    <p class="dashboard-figure">${usage === null ? '-' : `${Utils.formatNumber(usage, 2)} kW`}</p>
+                </div>
+                <div class="dashboard-card">
+                    <h3>Kosten vandaag</h3>
+                    <p class="dashboard-figure">${this.formatCost(this.todayCost())}</p>
+                </div>
+            </div>
+            ${!monitor ? '<p class="dashboard-empty">De energiemonitor is nog niet met je meter verbonden.</p>' : days.length === 0 ? '<p class="dashboard-empty">Nog geen verbruik opgeslagen. De energiemonitor bewaart je verbruik vanaf het moment dat hij metingen ontvangt.</p>' : `
+            <table class="dashboard-table">
+                <caption>Verbruik afgelopen week</caption>
+                <thead><tr><th scope="col">Dag</th><th scope="col">Stroom</th><th scope="col">Teruggeleverd</th><th scope="col">Gas</th><th scope="col">Kosten</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`}`;
+    }
+
+    // The form itself is static markup, see scripts/meterreading.js
+    renderReadings({ readings }) {
+        const previous = readings.previous;
+        return previous ?
+            `<p>Je vorige meterstanden zijn van ${this.formatDate(previous.date)}. Geef de standen door bij een verhuizing, een overstap of als we je erom vragen.</p>` :
+            '<p>Geef de standen door bij een verhuizing, een overstap of als we je erom vragen.</p>';
+    }
+
+    // ==================== INVOICES & MESSAGES ====================
+    renderInvoices({ invoices }) {
+        if (invoices.length === 0) return '<p class="dashboard-empty">Er zijn nog geen facturen.</p>';
+
+        // Unpaid first, then newest first
+        const sorted = [...invoices].sort((a, b) =>
+            (a.status === 'paid') - (b.status === 'paid') || b.date.localeCompare(a.date));
+        const rows = sorted.map(invoice => `
+            <tr data-invoice-id="${Utils.escapeHTML(invoice.id)}">
+                <th scope="row"><a href="${this.href('facturen', invoice.id)}" data-route>${Utils.escapeHTML(invoice.description)}</a><br><small>${Utils.escapeHTML(invoice.number)}</small></th>
+                <td>${DASHBOARD_LABELS.invoiceType[invoice.type] || Utils.escapeHTML(invoice.type)}</td>
+                <td>${this.formatDate(invoice.dueDate)}</td>
+                <td class="amount">${Utils.formatCurrency(invoice.amount)}</td>
+                <td><span class="invoice-status invoice-${Utils.escapeHTML(invoice.status)}">${DASHBOARD_LABELS.invoiceStatus[invoice.status] || Utils.escapeHTML(invoice.status)}</span></td>
+            </tr>`).join('');
+
+        return `
+            <table class="dashboard-table">
+                <caption>Facturen</caption>
+                <thead><tr><th scope="col">Omschrijving</th><th scope="col">Soort</th><th scope="col">Vervaldatum</th><th scope="col">Bedrag</th><th scope="col">Status</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>${this.openInvoices(invoices).length > 0 ? `
+            <p class="arrangement-note">Kun je het openstaande bedrag niet in één keer betalen? <a href="#betalingsregeling">Vraag een betalingsregeling aan</a>.</p>` : ''}`;
+    }
+
+    // Itemised invoice or annual statement, see scripts/invoice.js
+    renderInvoice(detail) {
+        const back = `<p><a href="${this.href('facturen')}" class="btn-link" data-route>&larr; Alle facturen</a></p>`;
+        if (!this.options.invoiceViewer) return back;
+        return `${back}${this.options.invoiceViewer.render(detail)}`;
+    }
+
+    async downloadInvoice(id) {
+        const definition = this.options.sections.find(item => item.id === 'facturen');
+        try {
+            const detail = await this.get(this.detailPath(definition, id));
+            this.options.invoiceViewer.download(detail);
+        } catch (error) {
+            console.warn('Invoice PDF failed:', error.code || error.message);
+            this.options.notify('De pdf kon niet worden gemaakt. Probeer het later opnieuw', 'error');
+        }
+    }
+
+    renderMessages({ messages }) {
+        if (messages.length === 0) return '<p class="dashboard-empty">Je hebt geen berichten.</p>';
+
+        return `
+            <ul class="dashboard-messages">
+                ${messages.map(message => `
+                <li>
+                    <details class="${message.read ? '' : 'unread'}" data-message-id="${Utils.escapeHTML(message.id)}">
+                        <summary>
+                            <span class="message-subject">${Utils.escapeHTML(message.subject)}</span>
+                            <time datetime="${Utils.escapeHTML(message.date)}">${this.formatDate(message.date)}</time>
+                        </summary>
+                        <p>${Utils.escapeHTML(message.body)}</p>
+                    </details>
+                </li>`).join('')}
+            </ul>`;
+    }
+
+    destroy() {
+        window.removeEventListener('hashchange', this.handleRoute);
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CustomerDashboard, DASHBOARD_SECTIONS };
+}
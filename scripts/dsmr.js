@@ -0,0 +1,333 @@
+/**
+ * 112Energie DSMR P1 Telegram Parser
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Parses DSMR 4.x/5.0 smart-meter telegrams (P1 port) into the
+ * EnergyMonitor data model. Telegrams can come from a P1 cable (Web Serial)
+ * or from recorded telegram files.
+ */
+
+// ==================== OBIS REFERENCES ====================
+const DSMR_OBIS = {
+    '1-3:0.2.8': 'version',
+    '0-0:1.0.0': 'timestamp',
+    '0-0:96.1.1': 'equipmentId',
+    '1-0:1.8.1': 'importT1',
+    '1-0:1.8.2': 'importT2',
+    '1-0:2.8.1': 'exportT1',
+    '1-0:2.8.2': 'exportT2',
+    '0-0:96.14.0': 'tariff',
+    '1-0:1.7.0': 'powerImport',
+    '1-0:2.7.0': 'powerExport',
+    '1-0:21.7.0': 'powerImportL1',
+    '1-0:41.7.0': 'powerImportL2',
+    '1-0:61.7.0': 'powerImportL3',
+    '1-0:22.7.0': 'powerExportL1',
+    '1-0:42.7.0': 'powerExportL2',
+    '1-0:62.7.0': 'powerExportL3',
+    '1-0:32.7.0': 'voltageL1',
+    '1-0:52.7.0': 'voltageL2',
+    '1-0:72.7.0': 'voltageL3',
+    '1-0:31.7.0': 'currentL1',
+    '1-0:51.7.0': 'currentL2',
+    '1-0:71.7.0': 'currentL3'
+};
+
+// M-Bus device type reported on 0-n:24.1.0 for a gas meter
+const DSMR_GAS_DEVICE_TYPE = '003';
+
+// ==================== CRC16 ====================
+const DSMR_CRC = {
+    // CRC16/ARC (polynomial 0x8005, reflected as 0xA001), initial value 0
+    compute(text) {
+        let crc = 0;
+        for (let i = 0; i < text.length; i++) {
+            crc ^= text.charCodeAt(i) & 0xFF;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = (crc & 1) ? (crc >>> 1) ^ 0xA001 : crc >>> 1;
+            }
+        }
+        return crc;
+    },
+
+    format(crc) {
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+};
+
+// ==================== TELEGRAM PARSER ====================
+class DSMRParser {
+    constructor(options = {}) {
+        this.options = {
+            requireCrc: false, // DSMR 2.2/3.0 telegrams carry no CRC
+            ...options
+        };
+    }
+
+    // Split a recording (or serial buffer) into complete telegrams
+    static split(text) {
+        const telegrams = [];
+        const pattern = /\/[^/!]*![0-9A-Fa-f]{0,4}/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            telegrams.push(match[0]);
+        }
+
+        return telegrams;
+    }
+
+    parse(raw) {
+        const start = raw.indexOf('/');
+        const end = raw.indexOf('!', start);
+
+        if (start === -1 || end === -1) {
+            throw new Error('Onvolledig P1-telegram: begin (/) of einde (!) ontbreekt');
+        }
+
+        const crcText = raw.slice(end + 1, end + 5).trim();
+        const crcValid = this.verifyCrc(raw.slice(start, end + 1), crcText);
+
+        if (crcValid === false) {
+            throw new Error(`P1-telegram CRC ongeldig (verwacht ${crcText})`);
+        }
+        if (crcValid === null && this.options.requireCrc) {
+            throw new Error('P1-telegram bevat geen CRC');
+        }
+
+        const lines = raw.slice(start, end).split(/\r?\n/);
+        const telegram = {
+            header: lines[0].slice(1).trim(),
+            crcValid: crcValid,
+            gas: null,
+            raw: {}
+        };
+        const mbus = {};
+
+        lines.slice(1).forEach(line => {
+            const match = line.trim().match(/^(\d+-\d+:\d+\.\d+\.\d+)((?:\([^)]*\))+)$/);
+            if (!match) return;
+
+            const obis = match[1];
+            const values = match[2].slice(1, -1).split(')(');
+            telegram.raw[obis] = values;
+
+            const mbusMatch = obis.match(/^0-(\d):24\.(1\.0|2\.1)$/);
+            if (mbusMatch) {
+                const channel = mbusMatch[1];
+                mbus[channel] = mbus[channel] || {};
+                if (mbusMatch[2] === '1.0') {
+                    mbus[channel].deviceType = values[0];
+                } else {
+                    mbus[channel].timestamp = this.parseTimestamp(values[0]);
+                    mbus[channel].value = this.parseNumber(values[1]);
+                }
+                return;
+            }
+
+            const key = DSMR_OBIS[obis];
+            if (!key) return;
+
+            if (key === 'timestamp') {
+                telegram.timestamp = this.parseTimestamp(values[0]);
+            } else if (key === 'version' || key === 'equipmentId') {
+                telegram[key] = values[0];
+            } else if (key === 'tariff') {
+                telegram.tariff = parseInt(values[0], 10);
+            } else {
+                telegram[key] = this.parseNumber(values[0]);
+            }
+        });
+
+        // Prefer the channel that reports itself as a gas meter
+        const gasChannel = Object.keys(mbus).find(channel => mbus[channel].deviceType === DSMR_GAS_DEVICE_TYPE) ||
+            Object.keys(mbus).find(channel => mbus[channel].value !== undefined);
+
+        if (gasChannel && mbus[gasChannel].value !== undefined) {
+            telegram.gas = {
+                value: mbus[gasChannel].value,
+                timestamp: mbus[gasChannel].timestamp
+            };
+        }
+
+        return telegram;
+    }
+
+    // Returns true/false, or null when the telegram has no CRC (DSMR < 4)
+    verifyCrc(body, crcText) {
+        if (!crcText) return null;
+
+        const expected = parseInt(crcText, 16);
+        if (DSMR_CRC.compute(body) === expected) return true;
+
+        // Recordings saved on Unix systems lose the \r of the CRLF line endings
+        const normalized = body.replace(/\r?\n/g, '\r\n');
+        return DSMR_CRC.compute(normalized) === expected;
+    }
+
+    // "*kWh" / "*kW" / "*m3" / "*V" / "*A" units are stripped
+    parseNumber(value) {
+        if (value === undefined) return undefined;
+        const number = parseFloat(value.split('*')[0]);
+        return isNaN(number) ? undefined : number;
+    }
+
+    // YYMMDDhhmmssX where X is S (summer, CEST) or W (winter, CET)
+    parseTimestamp(value) {
+        const match = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})([SW])?$/.exec(value || '');
+        if (!match) return null;
+
+        const [, yy, mm, dd, hh, mi, ss, dst] = match;
+        const offset = dst === 'S' ? '+02:00' : '+01:00';
+        return new Date(`20${yy}-${mm}-${dd}T${hh}:${mi}:${ss}${offset}`);
+    }
+}
+
+// ==================== MONITOR ADAPTER ====================
+class P1Adapter {
+    constructor(parser = new DSMRParser()) {
+        this.parser = parser;
+        this.dayStart = null;
+    }
+
+    // Convert a raw telegram into the EnergyMonitor data model
+    toMonitorData(raw) {
+        const telegram = this.parser.parse(raw);
+        const timestamp = telegram.timestamp || new Date();
+
+        const imported = (telegram.importT1 || 0) + (telegram.importT2 || 0);
+        const exported = (telegram.exportT1 || 0) + (telegram.exportT2 || 0);
+        const gas = telegram.gas ? telegram.gas.value : 0;
+
+        // Meter totals at the first telegram of the day act as the baseline
+        const day = timestamp.toDateString();
+        if (!this.dayStart || this.dayStart.day !== day) {
+            this.dayStart = { day, imported, exported, gas };
+        }
+
+        return {
+            timestamp: timestamp,
+            currentUsage: telegram.powerImport || 0,
+            solarProduction: telegram.powerExport || 0,
+            phases: [1, 2, 3].map(phase => ({
+                import: telegram[`powerImportL${phase}`],
+                export: telegram[`powerExportL${phase}`],
+                voltage: telegram[`voltageL${phase}`],
+                current: telegram[`currentL${phase}`]
+            })).filter(phase => phase.import !== undefined),
+            meter: {
+                importT1: telegram.importT1,
+                importT2: telegram.importT2,
+                exportT1: telegram.exportT1,
+                exportT2: telegram.exportT2,
+                gas: telegram.gas,
+                tariff: telegram.tariff
+            },
+            today: {
+                imported: imported - this.dayStart.imported,
+                exported: exported - this.dayStart.exported,
+                gas: gas - this.dayStart.gas
+            },
+            source: 'p1'
+        };
+    }
+}
+
+// ==================== P1 SOURCES ====================
+class P1SerialReader {
+    constructor(onTelegram) {
+        this.onTelegram = onTelegram;
+        this.port = null;
+        this.reader = null;
+        this.buffer = '';
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serial' in navigator;
+    }
+
+    // DSMR 4.x/5.0 meters send at 115200 baud, 8N1
+    async connect() {
+        this.port = await navigator.serial.requestPort();
+        await this.port.open({ baudRate: 115200, dataBits: 8, parity: 'none', stopBits: 1 });
+
+        const decoder = new TextDecoderStream();
+        this.port.readable.pipeTo(decoder.writable).catch(() => {});
+        this.reader = decoder.readable.getReader();
+
+        this.read();
+    }
+
+    async read() {
+        try {
+            while (this.reader) {
+                const { value, done } = await this.reader.read();
+                if (done) break;
+                this.push(value);
+            }
+        } catch (error) {
+            console.error('P1 serial read failed:', error);
+        }
+    }
+
+    push(chunk) {
+        this.buffer += chunk;
+
+        // A telegram is complete once the CRC line after "!" has arrived
+        const pattern = /\/[^/!]*![0-9A-Fa-f]{0,4}\r?\n/g;
+        let match;
+        let consumed = 0;
+
+        while ((match = pattern.exec(this.buffer)) !== null) {
+            this.onTelegram(match[0]);
+            consumed = pattern.lastIndex;
+        }
+
+        this.buffer = this.buffer.slice(consumed);
+    }
+
+    async disconnect() {
+        if (this.reader) {
+            const reader = this.reader;
+            this.reader = null;
+            await reader.cancel().catch(() => {});
+        }
+        if (this.port) {
+            await this.port.close().catch(() => {});
+            this.port = null;
+        }
+    }
+}
+
+class P1Replay {
+    constructor(text, onTelegram, interval = 1000) {
+        this.telegrams = DSMRParser.split(text);
+        this.onTelegram = onTelegram;
+        this.interval = interval;
+        this.index = 0;
+        this.timer = null;
+    }
+
+    start() {
+        this.stop();
+        this.timer = setInterval(() => {
+            if (this.index >= this.telegrams.length) {
+                this.stop();
+                return;
+            }
+            this.onTelegram(this.telegrams[this.index++]);
+        }, this.interval);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// Export for Node (recorded telegram tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DSMRParser, P1Adapter, P1SerialReader, P1Replay, DSMR_CRC };
+}
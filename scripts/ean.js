@@ -0,0 +1,106 @@
+/**
+ * 112Energie EAN Codes
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Validation of the 18-digit EAN codes that identify an
+ * electricity or gas connection (GS1 check digit, Dutch grid operator
+ * prefixes) and of meter numbers.
+ */
+
+// ==================== GRID OPERATORS ====================
+// Code ranges issued by the regional grid operators. An operator uses the
+// same range for electricity and gas, so the code does not tell which of
+// the two it is; swapped codes are caught by comparing both fields
+// (data-differs on the gas EAN).
+const GRID_OPERATOR_PREFIXES = [
+    { prefix: '871687', operator: 'Liander' },
+    { prefix: '871689', operator: 'Enexis' },
+    { prefix: '871691', operator: 'Stedin' },
+    { prefix: '871690', operator: 'Westland Infra' },
+    { prefix: '871688', operator: 'Coteq' },
+    { prefix: '871685', operator: 'RENDO' }
+];
+
+// ==================== EAN CODE ====================
+const EANCode = {
+    LENGTH: 18,
+    COUNTRY_PREFIX: '871', // GS1 Netherlands
+
+    normalize(value) {
+        return String(value || '').replace(/[\s.-]/g, '');
+    },
+
+    // GS1 mod 10: weights 3 and 1 alternate, starting with 3 next to the check digit
+    checkDigit(digits) {
+        let sum = 0;
+        for (let i = digits.length - 1, weight = 3; i >= 0; i--, weight = 4 - weight) {
+            sum += Number(digits[i]) * weight;
+        }
+        return (10 - (sum % 10)) % 10;
+    },
+
+    // Longest matching prefix wins
+    operator(ean) {
+        return GRID_OPERATOR_PREFIXES
+            .filter(entry => ean.startsWith(entry.prefix))
+            .sort((a, b) => b.prefix.length - a.prefix.length)[0] || null;
+    },
+
+    /**
+     * Validates an electricity or gas EAN.
+     * Returns { valid, ean, operator, error } with a Dutch error message.
+     */
+    validate(value) {
+        const ean = this.normalize(value);
+        const reject = (error) => ({ valid: false, ean: ean, operator: null, error: error });
+
+        if (!/^\d+$/.test(ean)) {
+            return reject('Een EAN-code bestaat alleen uit cijfers');
+        }
+        if (ean.length !== this.LENGTH) {
+            return reject(`Een EAN-code heeft ${this.LENGTH} cijfers, je hebt er ${ean.length} ingevuld`);
+        }
+        if (!ean.startsWith(this.COUNTRY_PREFIX)) {
+            return reject('Nederlandse EAN-codes beginnen met 871. Je vindt de code op je jaarafrekening');
+        }
+        if (this.checkDigit(ean.slice(0, -1)) !== Number(ean.slice(-1))) {
+            return reject('Deze EAN-code bevat een typefout, controleer de cijfers nog eens');
+        }
+
+        const match = this.operator(ean);
+        return { valid: true, ean: ean, operator: match ? match.operator : null, error: null };
+    }
+};
+
+// ==================== METER NUMBER ====================
+// Smart meters carry an equipment number that starts with E (electricity)
+// or G (gas); older meters have a plain serial number.
+const MeterNumber = {
+    normalize(value) {
+        return String(value || '').replace(/[\s.-]/g, '').toUpperCase();
+    },
+
+    validate(value, product = null) {
+        const number = this.normalize(value);
+        const reject = (error) => ({ valid: false, number: number, error: error });
+
+        if (!/^[A-Z0-9]{6,20}$/.test(number)) {
+            return reject('Een meternummer heeft 6 tot 20 letters en cijfers');
+        }
+
+        const prefix = number[0];
+        if (product === 'electricity' && prefix === 'G') {
+            return reject('Dit lijkt het nummer van je gasmeter');
+        }
+        if (product === 'gas' && prefix === 'E') {
+            return reject('Dit lijkt het nummer van je elektriciteitsmeter');
+        }
+
+        return { valid: true, number: number, error: null };
+    }
+};
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EANCode, MeterNumber, GRID_OPERATOR_PREFIXES };
+}
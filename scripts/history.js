@@ -0,0 +1,289 @@
+/**
+ * 112Energie Monitor History
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Local time-series store in IndexedDB. Every reading is kept as
+ * a raw sample for a retention window and rolled up into hourly, daily and
+ * monthly aggregates (kWh imported/exported, m³ gas, cost).
+ */
+
+// ==================== INDEXEDDB HELPERS ====================
+const IDB = {
+    open(name, version, upgrade) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, version);
+            request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion, request.transaction);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`IndexedDB ${name} is blocked by another tab`));
+        });
+    },
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    done(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+};
+
+// ==================== HISTORY STORE ====================
+class HistoryStore {
+    constructor(options = {}) {
+        this.options = {
+            dbName: '112energie-history',
+            retentionDays: 7, // raw samples; rollups are kept forever
+            maxGap: 15 * 60 * 1000, // longer gaps are not integrated from power
+            cost: null, // (delta, timestamp) => EUR for one interval
+            ...options
+        };
+
+        this.db = null;
+        this.lastSample = new Map(); // meterId -> last stored sample
+        this.opening = null;
+        this.queue = Promise.resolve();
+        this.pruneTimer = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    static get PERIODS() {
+        return ['hour', 'day', 'month'];
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = this.openDatabase().catch(error => {
+                this.opening = null;
+                throw error;
+            });
+        }
+        return this.opening;
+    }
+
+    async openDatabase() {
+        this.db = await IDB.open(this.options.dbName, 1, (db) => {
+            const samples = db.createObjectStore('samples', { keyPath: ['meterId', 'ts'] });
+            samples.createIndex('ts', 'ts');
+            db.createObjectStore('rollups', { keyPath: ['meterId', 'period', 'start'] });
+        });
+
+        await this.prune();
+        this.pruneTimer = setInterval(() => this.prune(), 60 * 60 * 1000);
+        return this;
+    }
+
+    // Local-time start of the hour, day or month containing ts
+    static periodStart(period, ts) {
+        const date = new Date(ts);
+        date.setMinutes(0, 0, 0);
+        if (period === 'day' || period === 'month') date.setHours(0);
+        if (period === 'month') date.setDate(1);
+        return date.getTime();
+    }
+
+    async getLastSample(meterId) {
+        if (this.lastSample.has(meterId)) return this.lastSample.get(meterId);
+
+        const store = this.db.transaction('samples').objectStore('samples');
+        const range = IDBKeyRange.bound([meterId, -Infinity], [meterId, Infinity]);
+        const cursor = await IDB.request(store.openCursor(range, 'prev'));
+        const sample = cursor ? cursor.value : null;
+
+        this.lastSample.set(meterId, sample);
+        return sample;
+    }
+
+    // Energy since the previous sample: meter counters when both samples have
+    // them (P1), otherwise the average power integrated over the interval.
+    // coveredMs is the part of that interval the energy was actually measured for
+    static delta(previous, sample, maxGap) {
+        const delta = { importKwh: 0, exportKwh: 0, gasM3: 0, coveredMs: 0 };
+        if (!previous) return delta;
+
+        const counterDelta = (key) => {
+            if (typeof sample[key] !== 'number' || typeof previous[key] !== 'number') return null;
+            return Math.max(0, sample[key] - previous[key]);
+        };
+
+        const hours = (sample.ts - previous.ts) / 3600000;
+        const integrate = (key) => hours > 0 && sample.ts - previous.ts <= maxGap ?
+            (previous[key] + sample[key]) / 2 * hours : 0;
+
+        const counted = counterDelta('importTotal');
+        delta.importKwh = counted ?? integrate('power');
+        delta.exportKwh = counterDelta('exportTotal') ?? integrate('export');
+        delta.gasM3 = counterDelta('gasTotal') ?? 0;
+        if (counted !== null || sample.ts - previous.ts <= maxGap) {
+            delta.coveredMs = Math.max(0, sample.ts - previous.ts);
+        }
+        return delta;
+    }
+
+    // data is the EnergyMonitor data model ({ currentUsage, solarProduction, meter? })
+    record(meterId, data, timestamp = new Date()) {
+        // Serialized, so every reading sees the previous one as its predecessor
+        this.queue = this.queue
+            .catch(() => {})
+            .then(() => this.writeSample(meterId, data, timestamp));
+        return this.queue;
+    }
+
+    async writeSample(meterId, data, timestamp) {
+        await this.open();
+
+        const meter = data.meter || {};
+        const sample = {
+            meterId: meterId,
+            ts: new Date(timestamp).getTime(),
+            power: data.currentUsage || 0,
+            export: data.solarProduction || 0,
+            importTotal: meter.importT1 !== undefined ? (meter.importT1 || 0) + (meter.importT2 || 0) : undefined,
+            exportTotal: meter.exportT1 !== undefined ? (meter.exportT1 || 0) + (meter.exportT2 || 0) : undefined,
+            gasTotal: meter.gas ? meter.gas.value : undefined
+        };
+
+        const previous = await this.getLastSample(meterId);
+
+        // Replayed readings older than the last sample are stored but not rolled up twice
+        const isNewer = !previous || sample.ts > previous.ts;
+        const delta = isNewer ? HistoryStore.delta(previous, sample, this.options.maxGap) :
+            { importKwh: 0, exportKwh: 0, gasM3: 0, coveredMs: 0 };
+        delta.cost = this.options.cost ? this.options.cost(delta, sample.ts) : 0;
+        Object.assign(sample, delta);
+
+        const transaction = this.db.transaction(['samples', 'rollups'], 'readwrite');
+        transaction.objectStore('samples').put(sample);
+
+        if (isNewer) {
+            const rollups = transaction.objectStore('rollups');
+            HistoryStore.PERIODS.forEach(period => {
+                const key = [meterId, period, HistoryStore.periodStart(period, sample.ts)];
+                const request = rollups.get(key);
+                request.onsuccess = () => {
+                    const rollup = request.result || {
+                        meterId: meterId,
+                        period: period,
+                        start: key[2],
+                        importKwh: 0,
+                        exportKwh: 0,
+                        gasM3: 0,
+                        cost: 0,
+                        peakPower: 0,
+                        samples: 0,
+                        coveredMs: 0
+                    };
+                    rollup.importKwh += delta.importKwh;
+                    rollup.exportKwh += delta.exportKwh;
+                    rollup.gasM3 += delta.gasM3;
+                    rollup.cost += delta.cost;
+                    rollup.peakPower = Math.max(rollup.peakPower, sample.power);
+                    rollup.samples++;
+                    rollup.coveredMs = (rollup.coveredMs || 0) + delta.coveredMs;
+                    rollups.put(rollup);
+                };
+            });
+            this.lastSample.set(meterId, sample);
+        }
+
+        await IDB.done(transaction);
+        return sample;
+    }
+
+    // resolution: 'raw' | 'hour' | 'day' | 'month'
+    async query(meterId, from, to, resolution = 'raw') {
+        await this.open();
+
+        const fromTs = new Date(from).getTime();
+        const toTs = new Date(to).getTime();
+
+        if (resolution === 'raw') {
+            const store = this.db.transaction('samples').objectStore('samples');
+            return IDB.request(store.getAll(IDBKeyRange.bound([meterId, fromTs], [meterId, toTs])));
+        }
+
+        if (!HistoryStore.PERIODS.includes(resolution)) {
+            throw new Error(`Unknown history resolution: ${resolution}`);
+        }
+
+        const store = this.db.transaction('rollups').objectStore('rollups');
+        return IDB.request(store.getAll(IDBKeyRange.bound(
+            [meterId, resolution, HistoryStore.periodStart(resolution, fromTs)],
+            [meterId, resolution, toTs]
+        )));
+    }
+
+    // Most recent raw samples, oldest first
+    async latest(meterId, count) {
+        await this.open();
+
+        const store = this.db.transaction('samples').objectStore('samples');
+        const range = IDBKeyRange.bound([meterId, -Infinity], [meterId, Infinity]);
+        const samples = [];
+
+        return new Promise((resolve, reject) => {
+            const request = store.openCursor(range, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && samples.length < count) {
+                    samples.unshift(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(samples);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async prune() {
+        const cutoff = Date.now() - this.options.retentionDays * 24 * 60 * 60 * 1000;
+        const transaction = this.db.transaction('samples', 'readwrite');
+        const index = transaction.objectStore('samples').index('ts');
+
+        const request = index.openCursor(IDBKeyRange.upperBound(cutoff));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+
+        await IDB.done(transaction);
+    }
+
+    // Wipe everything, e.g. when a customer signs out on a shared device
+    async clear() {
+        await this.open();
+        const transaction = this.db.transaction(['samples', 'rollups'], 'readwrite');
+        transaction.objectStore('samples').clear();
+        transaction.objectStore('rollups').clear();
+        this.lastSample.clear();
+        await IDB.done(transaction);
+    }
+
+    close() {
+        clearInterval(this.pruneTimer);
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.opening = null;
+    }
+}
+
+// Export for Node (tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HistoryStore, IDB };
+}
@@ -0,0 +1,335 @@
+/**
+ * 112Energie Invoices
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Itemised view of a monthly advance invoice or the annual
+ * statement (jaarafrekening): supply, grid fees, energy tax, the tax credit
+ * and VAT, compared with the previous period, and the same document as a
+ * PDF made in the browser (scripts/pdf.js).
+ */
+
+// ==================== CATEGORIES ====================
+// Line categories from GET /me/invoices/:id, in the order they are shown.
+// Paid advances ('advance') are not a line group but part of the totals
+const INVOICE_CATEGORIES = {
+    supply: 'Levering',
+    grid: 'Netbeheer',
+    tax: 'Energiebelasting',
+    credit: 'Heffingskorting',
+    'advance-electricity': 'Voorschot',
+    'advance-gas': 'Voorschot'
+};
+
+const INVOICE_TITLES = {
+    advance: 'Factuur',
+    annual: 'Jaarafrekening'
+};
+
+// ==================== INVOICE VIEWER ====================
+class InvoiceViewer {
+    constructor(options = {}) {
+        this.options = {
+            company: {
+                name: '112Energie',
+                address: 'Postbus 112, 1000 AA Amsterdam',
+                contact: 'klantenservice@112energie.nl | 088 112 0000'
+            },
+            ...options
+        };
+    }
+
+    // ==================== FIGURES ====================
+    // Lines grouped per label, keeping the order of INVOICE_CATEGORIES
+    groups(detail) {
+        const groups = [];
+        Object.keys(INVOICE_CATEGORIES).forEach(category => {
+            const lines = detail.lines.filter(line => line.category === category);
+            if (lines.length === 0) return;
+
+            const label = INVOICE_CATEGORIES[category];
+            let group = groups.find(item => item.label === label);
+            if (!group) {
+                group = { label: label, lines: [], subtotal: 0 };
+                groups.push(group);
+            }
+            group.lines.push(...lines);
+            group.subtotal = Math.round((group.subtotal + lines.reduce((sum, line) => sum + line.amount, 0)) * 100) / 100;
+        });
+        return groups;
+    }
+
+    // Paid advances on an annual statement
+    advances(detail) {
+        return detail.lines.filter(line => line.category === 'advance');
+    }
+
+    // Tariffs keep the decimals they have, with at least cents: € 0,137 / € 0,10154
+    rateDecimals(rate) {
+        for (let decimals = 2; decimals < 5; decimals++) {
+            const scaled = rate * 10 ** decimals;
+            if (Math.abs(scaled - Math.round(scaled)) < 1e-6) return decimals;
+        }
+        return 5;
+    }
+
+    quantity(line) {
+        const decimals = Number.isInteger(line.quantity) ? 0 : 2;
+        return `${Utils.formatNumber(line.quantity, decimals)} ${line.unit}`;
+    }
+
+    // Per kWh, per m³, per dag ('dagen' -> 'dag', 'maanden' -> 'maand')
+    rate(line) {
+        return `${Utils.formatCurrency(line.rate, this.rateDecimals(line.rate))} / ${line.unit.replace(/en$/, '')}`;
+    }
+
+    formatDate(value) {
+        return new Date(value).toLocaleDateString('nl-NL', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    period(period) {
+        return period ? `${this.formatDate(period.from)} t/m ${this.formatDate(period.to)}` : '';
+    }
+
+    // Negative balance: paid back to the customer
+    balance(detail) {
+        const amount = detail.totals.balance;
+        return { label: amount < 0 ? 'Terug te ontvangen' : 'Te betalen', amount: Math.abs(amount) };
+    }
+
+    // Rows of [label, this period, previous period, difference]; usage only
+    // when both periods have meter data (annual statements)
+    comparison(detail) {
+        const previous = detail.previous;
+        if (!previous) return [];
+
+        const signed = (value, format) => `${value > 0 ? '+' : ''}${format(value)}`;
+        const usageRow = (label, current, before, unit) => {
+            const change = before ? ` (${signed(Math.round((current - before) / before * 100), n => Utils.formatNumber(n))}%)` : '';
+            return [
+                label,
+                `${Utils.formatNumber(current)} ${unit}`,
+                `${Utils.formatNumber(before)} ${unit}`,
+                `${signed(current - before, n => Utils.formatNumber(n))} ${unit}${change}`
+            ];
+        };
+
+        const rows = [];
+        if (detail.usage && previous.usage) {
+            rows.push(usageRow('Stroom verbruikt', detail.usage.electricity.import, previous.usage.electricity.import, 'kWh'));
+            rows.push(usageRow('Stroom teruggeleverd', detail.usage.electricity.export, previous.usage.electricity.export, 'kWh'));
+            rows.push(usageRow('Gas', detail.usage.gas, previous.usage.gas, 'm³'));
+        }
+        rows.push([
+            'Totaal incl. btw',
+            Utils.formatCurrency(detail.totals.total),
+            Utils.formatCurrency(previous.total),
+            signed(Math.round((detail.totals.total - previous.total) * 100) / 100, n => Utils.formatCurrency(n))
+        ]);
+        return rows;
+    }
+
+    // ==================== HTML ====================
+    render(detail) {
+        const totals = detail.totals;
+        const balance = this.balance(detail);
+        const address = detail.customer.address;
+
+        const groups = this.groups(detail).map(group => `
+            <tbody>
+                <tr class="invoice-group"><th scope="rowgroup" colspan="4">${Utils.escapeHTML(group.label)}</th></tr>
+                ${group.lines.map(line => `
+                <tr>
+                    <th scope="row">${Utils.escapeHTML(line.description)}</th>
+                    <td>${Utils.escapeHTML(this.quantity(line))}</td>
+                    <td>${Utils.escapeHTML(this.rate(line))}</td>
+                    <td class="amount">${Utils.formatCurrency(line.amount)}</td>
+                </tr>`).join('')}
+                ${group.lines.length > 1 ? `
+                <tr class="invoice-subtotal"><th scope="row" colspan="3">Subtotaal ${Utils.escapeHTML(group.label.toLowerCase())}</th><td class="amount">${Utils.formatCurrency(group.subtotal)}</td></tr>` : ''}
+            </tbody>`).join('');
+
+        const advances = this.advances(detail).map(line => `
+                    <div class="summary-row"><dt>${Utils.escapeHTML(line.description)} (${Utils.escapeHTML(this.quantity(line))})</dt><dd>${Utils.formatCurrency(line.amount)}</dd></div>`).join('');
+
+        const comparison = this.comparison(detail);
+
+        return `
+            <article class="invoice-detail">
+                <header class="invoice-header">
+                    <div>
+                        <h3>${Utils.escapeHTML(detail.description)}</h3>
+                        <p>${INVOICE_TITLES[detail.type] || 'Factuur'} ${Utils.escapeHTML(detail.number)} van ${this.formatDate(detail.date)}</p>
+                        <p>Periode ${this.period(detail.period)}</p>
+                    </div>
+                    <button type="button" class="btn-secondary" data-invoice-action="pdf" data-invoice-id="${Utils.escapeHTML(detail.id)}">Download pdf</button>
+                </header>
+                <p class="invoice-customer">
+                    ${Utils.escapeHTML(detail.customer.name)}, klantnummer ${Utils.escapeHTML(detail.customer.customerNumber)}<br>
+                    ${Utils.escapeHTML(`${address.street} ${address.houseNumber}, ${address.postcode} ${address.city}`)}
+                </p>
+                <table class="dashboard-table invoice-lines">
+                    <caption>Specificatie (bedragen excl. btw)</caption>
+                    <thead><tr><th scope="col">Omschrijving</th><th scope="col">Hoeveelheid</th><th scope="col">Tarief</th><th scope="col">Bedrag</th></tr></thead>
+                    ${groups}
+                </table>
+                <section class="summary-section invoice-totals">
+                    <header><h4>Totaal</h4></header>
+                    <dl>
+                        <div class="summary-row"><dt>Totaal excl. btw</dt><dd>${Utils.formatCurrency(totals.subtotal)}</dd></div>
+                        <div class="summary-row"><dt>Btw ${Utils.formatNumber(totals.vatRate * 100)}%</dt><dd>${Utils.formatCurrency(totals.vat)}</dd></div>
+                        <div class="summary-row"><dt>Totaal incl. btw</dt><dd>${Utils.formatCurrency(totals.total)}</dd></div>
+                        ${advances}
+                        <div class="summary-row invoice-balance"><dt>${balance.label}</dt><dd>${Utils.formatCurrency(balance.amount)}</dd></div>
+                    </dl>
+                </section>
+                ${comparison.length === 0 ? '' : `
+                <table class="dashboard-table invoice-comparison">
+                    <caption>Vergeleken met ${Utils.escapeHTML(detail.previous.description.charAt(0).toLowerCase() + detail.previous.description.slice(1))}</caption>
+                    <thead><tr><th scope="col"></th><th scope="col">Deze periode</th><th scope="col">Vorige periode</th><th scope="col">Verschil</th></tr></thead>
+                    <tbody>
+                        ${comparison.map(([label, ...cells]) => `
+                        <tr><th scope="row">${Utils.escapeHTML(label)}</th>${cells.map(cell => `<td>${Utils.escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}
+                    </tbody>
+                </table>`}
+            </article>`;
+    }
+
+    // ==================== PDF ====================
+    pdf(detail) {
+        const doc = new PdfDocument({ title: `${detail.description} ${detail.number}` });
+        const { width, height } = doc.options;
+        const margin = 50;
+        const right = width - margin;
+        const bottom = height - 70;
+        const columns = { quantity: 330, rate: 440, amount: right };
+        const company = this.options.company;
+        const totals = detail.totals;
+        const address = detail.customer.address;
+        let y;
+
+        const tableHeader = () => {
+            doc.rect(margin, y - 12, right - margin, 18);
+            doc.text('Omschrijving', margin + 6, y, { bold: true, size: 9 });
+            doc.text('Hoeveelheid', columns.quantity, y, { bold: true, size: 9, align: 'right' });
+            doc.text('Tarief', columns.rate, y, { bold: true, size: 9, align: 'right' });
+            doc.text('Bedrag', columns.amount - 6, y, { bold: true, size: 9, align: 'right' });
+            y += 20;
+        };
+        // Continue on a new page when the next rows would not fit
+        const room = (needed, header = false) => {
+            if (y + needed <= bottom) return;
+            doc.addPage();
+            y = margin + 20;
+            if (header) tableHeader();
+        };
+        const row = (label, value, options = {}) => {
+            room(16);
+            doc.text(label, columns.rate - 100, y, { bold: options.bold });
+            doc.text(value, columns.amount - 6, y, { bold: options.bold, align: 'right' });
+            y += 16;
+        };
+
+        // Letterhead, customer and invoice details
+        doc.text(company.name, margin, 70, { size: 20, bold: true, color: '#0077e6' });
+        doc.text(company.address, right, 60, { size: 8, align: 'right', color: '#6b7280' });
+        doc.text(company.contact, right, 72, { size: 8, align: 'right', color: '#6b7280' });
+
+        y = 130;
+        [detail.customer.name, `${address.street} ${address.houseNumber}`, `${address.postcode} ${address.city}`].forEach(text => {
+            doc.text(text, margin, y);
+            y += 14;
+        });
+
+        y = 130;
+        [
+            ['Klantnummer', detail.customer.customerNumber],
+            ['Factuurnummer', detail.number],
+            ['Factuurdatum', this.formatDate(detail.date)],
+            ['Vervaldatum', this.formatDate(detail.dueDate)]
+        ].forEach(([label, value]) => {
+            doc.text(label, 340, y, { size: 9, color: '#6b7280' });
+            doc.text(value, right, y, { size: 9, align: 'right' });
+            y += 14;
+        });
+
+        y = 220;
+        doc.text(detail.description, margin, y, { size: 14, bold: true });
+        y += 18;
+        doc.text(`Periode ${this.period(detail.period)}`, margin, y, { size: 9, color: '#6b7280' });
+        y += 28;
+
+        // Lines
+        tableHeader();
+        this.groups(detail).forEach(group => {
+            room(36, true);
+            doc.text(group.label, margin + 6, y, { bold: true });
+            y += 16;
+            group.lines.forEach(line => {
+                room(16, true);
+                doc.text(line.description, margin + 6, y, { size: 9 });
+                doc.text(this.quantity(line), columns.quantity, y, { size: 9, align: 'right' });
+                doc.text(this.rate(line), columns.rate, y, { size: 9, align: 'right' });
+                doc.text(Utils.formatCurrency(line.amount), columns.amount - 6, y, { size: 9, align: 'right' });
+                y += 14;
+            });
+            if (group.lines.length > 1) {
+                doc.text(Utils.formatCurrency(group.subtotal), columns.amount - 6, y, { size: 9, bold: true, align: 'right' });
+                y += 14;
+            }
+            y += 6;
+        });
+
+        // Totals
+        room(120);
+        doc.line(columns.rate - 100, y - 6, right, y - 6);
+        y += 8;
+        row('Totaal excl. btw', Utils.formatCurrency(totals.subtotal));
+        row(`Btw ${Utils.formatNumber(totals.vatRate * 100)}%`, Utils.formatCurrency(totals.vat));
+        row('Totaal incl. btw', Utils.formatCurrency(totals.total), { bold: true });
+        this.advances(detail).forEach(line => row(line.description, Utils.formatCurrency(line.amount)));
+        const balance = this.balance(detail);
+        doc.line(columns.rate - 100, y - 10, right, y - 10);
+        y += 4;
+        row(balance.label, Utils.formatCurrency(balance.amount), { bold: true });
+
+        // Comparison with the previous period
+        const comparison = this.comparison(detail);
+        if (comparison.length > 0) {
+            y += 20;
+            room(40 + comparison.length * 14);
+            doc.text(`Vergeleken met ${detail.previous.description.charAt(0).toLowerCase()}${detail.previous.description.slice(1)}`, margin, y, { bold: true });
+            y += 18;
+            [['', 'Deze periode', 'Vorige periode', 'Verschil'], ...comparison].forEach((cells, i) => {
+                const options = { size: 9, bold: i === 0 };
+                doc.text(cells[0], margin, y, options);
+                doc.text(cells[1], 300, y, { ...options, align: 'right' });
+                doc.text(cells[2], 400, y, { ...options, align: 'right' });
+                doc.text(cells[3], right, y, { ...options, align: 'right' });
+                y += 14;
+            });
+        }
+
+        // Footer on every page
+        const pages = doc.pages.length;
+        for (let i = 0; i < pages; i++) {
+            doc.setPage(i);
+            doc.line(margin, height - 50, right, height - 50);
+            doc.text(`${company.name} | ${detail.number}`, margin, height - 36, { size: 8, color: '#6b7280' });
+            doc.text(`Pagina ${i + 1} van ${pages}`, right, height - 36, { size: 8, align: 'right', color: '#6b7280' });
+        }
+        return doc;
+    }
+
+    filename(detail) {
+        return `112energie-${detail.number.toLowerCase().replace(/[^a-z0-9-]+/g, '-')}.pdf`;
+    }
+
+    download(detail) {
+        this.pdf(detail).download(this.filename(detail));
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InvoiceViewer, INVOICE_CATEGORIES };
+}
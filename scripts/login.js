@@ -0,0 +1,293 @@
+/**
+ * 112Energie Login
+ * Version: 2.0
+ * Updated: 2025
+ * Description: The login modal. Besides email and password it handles the
+ * second step for accounts with two-factor authentication, a forgotten
+ * password, login by email link (magic link) and setting up an authenticator
+ * app with backup codes. Links from the emails arrive as ?reset_token= and
+ * ?login_token= and are removed from the address bar once read.
+ */
+
+// ==================== LOGIN DIALOG ====================
+// Views are [data-login-view="name"] inside the modal; buttons with
+// data-login-show="name" switch between them
+class LoginDialog {
+    constructor(modal, options = {}) {
+        this.modal = modal;
+        this.options = {
+            auth: null, // AuthClient
+            validator: null, // FormHandler
+            notify: () => {},
+            open: () => {}, // show the modal
+            close: () => {},
+            ...options
+        };
+
+        this.view = 'password';
+        this.resetToken = null;
+        this.backupCodes = [];
+        this.init();
+    }
+
+    init() {
+        this.modal.querySelectorAll('[data-login-form]').forEach(form => {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submit(form);
+            });
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-login-show]');
+            if (button) {
+                e.preventDefault();
+                this.show(button.dataset.loginShow);
+            }
+
+            const action = e.target.closest('[data-login-action]');
+            if (action) this.action(action.dataset.loginAction);
+        });
+    }
+
+    get auth() {
+        return this.options.auth;
+    }
+
+    // ==================== VIEWS ====================
+    open(view = 'password') {
+        this.show(view);
+        this.options.open();
+    }
+
+    close() {
+        this.options.close();
+        this.show('password', false);
+    }
+
+    show(view, focus = true) {
+        this.view = view;
+        this.modal.querySelectorAll('[data-login-view]').forEach(element => {
+            element.hidden = element.dataset.loginView !== view;
+        });
+        this.modal.querySelectorAll('[data-login-error]').forEach(error => {
+            error.hidden = true;
+        });
+
+        const current = this.modal.querySelector(`[data-login-view="${view}"]`);
+        if (current && focus) {
+            const first = current.querySelector('input:not([type="hidden"]):not([type="checkbox"]), button');
+            if (first) setTimeout(() => first.focus(), 0);
+        }
+    }
+
+    showError(form, message) {
+        const error = form.querySelector('[data-login-error]');
+        if (error) {
+            error.textContent = message;
+            error.hidden = false;
+        }
+    }
+
+    // ==================== FORMS ====================
+    async submit(form) {
+        const name = form.dataset.loginForm;
+        const fields = form.elements;
+        const error = form.querySelector('[data-login-error]');
+        if (error) error.hidden = true;
+
+        if (this.options.validator && !(await this.options.validator.validateForm(form))) return;
+
+        const submitBtn = form.querySelector('[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Bezig...';
+        submitBtn.disabled = true;
+
+        try {
+            switch (name) {
+                case 'password':
+                    await this.finish(await this.auth.login(fields.email.value, fields.password.value, {
+                        remember: fields.remember ? fields.remember.checked : false
+                    }));
+                    break;
+                case 'mfa':
+                    await this.finish(await this.auth.verifyMfa(fields.code.value));
+                    break;
+                case 'forgot':
+                    await this.auth.requestPasswordReset(fields.email.value);
+                    this.sent(fields.email.value);
+                    break;
+                case 'magic':
+                    await this.auth.requestMagicLink(fields.email.value);
+                    this.sent(fields.email.value);
+                    break;
+                case 'reset':
+                    await this.auth.resetPassword(this.resetToken, fields.password.value);
+                    this.resetToken = null;
+                    this.show('password');
+                    this.options.notify('Je wachtwoord is gewijzigd. Log in met je nieuwe wachtwoord', 'success');
+                    break;
+                case 'totp':
+                    this.showBackupCodes(await this.auth.confirmTotpEnrollment(fields.code.value));
+                    this.options.notify('Tweestapsverificatie staat aan', 'success');
+                    break;
+            }
+            form.reset();
+        } catch (failure) {
+            console.warn(`Login step '${name}' failed:`, failure.code);
+            if (failure.code === 'MFA_EXPIRED') {
+                this.show('password');
+                this.showError(this.modal.querySelector('[data-login-form="password"]'), failure.message);
+                return;
+            }
+            this.showError(form, failure.message);
+
+            const retry = fields.code || fields.password;
+            if (retry) {
+                retry.value = '';
+                retry.focus();
+            }
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    // login() and verifyMfa() resolve to { user } or { mfa }
+    async finish(result) {
+        if (result.mfa) {
+            this.show('mfa');
+            return;
+        }
+        this.close();
+        this.options.notify(`Welkom terug, ${result.user.firstName}!`, 'success');
+    }
+
+    // Same message whether or not the address is known
+    sent(email) {
+        const address = this.modal.querySelector('[data-login-sent-to]');
+        if (address) address.textContent = email.trim();
+        this.show('sent');
+    }
+
+    action(name) {
+        switch (name) {
+            case 'copy-codes':
+                this.copyBackupCodes();
+                break;
+            case 'download-codes':
+                this.downloadBackupCodes();
+                break;
+            case 'close':
+                this.close();
+                break;
+        }
+    }
+
+    // ==================== EMAIL LINKS ====================
+    // Reads ?reset_token= / ?login_token= and strips them, so they do not end
+    // up in the history, bookmarks or the Referer of outgoing links
+    async handleLinks(location = window.location) {
+        const params = new URLSearchParams(location.search);
+        const resetToken = params.get('reset_token');
+        const loginToken = params.get('login_token');
+        if (!resetToken && !loginToken) return;
+
+        params.delete('reset_token');
+        params.delete('login_token');
+        const query = params.toString();
+        history.replaceState(history.state, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+
+        if (resetToken) {
+            this.resetToken = resetToken;
+            this.open('reset');
+            return;
+        }
+
+        try {
+            const result = await this.auth.loginWithMagicLink(loginToken);
+            if (result.mfa) {
+                this.open('mfa');
+            } else {
+                this.options.notify(`Welkom, ${result.user.firstName}!`, 'success');
+            }
+        } catch (error) {
+            console.warn('Magic link rejected:', error.code);
+            this.open('magic');
+            this.showError(this.modal.querySelector('[data-login-form="magic"]'), error.message);
+        }
+    }
+
+    // ==================== TWO-FACTOR SETUP ====================
+    async startTotpSetup() {
+        let enrollment;
+        try {
+            enrollment = await this.auth.startTotpEnrollment();
+        } catch (error) {
+            console.warn('TOTP setup failed:', error.code);
+            this.options.notify(error.message, 'error');
+            return;
+        }
+
+        const qr = this.modal.querySelector('[data-totp-qr]');
+        if (qr) {
+            try {
+                qr.innerHTML = new QRCode(enrollment.otpauthUrl).toSVG({ scale: 4, label: 'QR-code voor je authenticator-app' });
+            } catch (error) {
+                // The secret below can still be typed in
+                console.warn('QR code not rendered:', error.message);
+                qr.innerHTML = '';
+            }
+        }
+        const secret = this.modal.querySelector('[data-totp-secret]');
+        if (secret) secret.textContent = enrollment.secret.replace(/(.{4})(?=.)/g, '$1 ');
+
+        this.open('totp-setup');
+    }
+
+    showBackupCodes(codes) {
+        this.backupCodes = codes || [];
+        const list = this.modal.querySelector('[data-backup-codes]');
+        if (list) {
+            list.innerHTML = '';
+            this.backupCodes.forEach(code => {
+                const item = document.createElement('li');
+                item.textContent = code;
+                list.appendChild(item);
+            });
+        }
+        this.show('backup-codes');
+    }
+
+    async copyBackupCodes() {
+        try {
+            await navigator.clipboard.writeText(this.backupCodes.join('\n'));
+            this.options.notify('Back-upcodes gekopieerd', 'success');
+        } catch (error) {
+            this.options.notify('Kopiëren lukt niet, schrijf de codes over of download ze', 'error');
+        }
+    }
+
+    downloadBackupCodes() {
+        const text = [
+            '112Energie back-upcodes',
+            'Elke code werkt één keer als je je authenticator-app niet bij de hand hebt.',
+            '',
+            ...this.backupCodes
+        ].join('\n');
+
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = '112energie-backupcodes.txt';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LoginDialog };
+}
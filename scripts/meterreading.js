@@ -0,0 +1,419 @@
+/**
+ * 112Energie Meter Readings
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Submitting meter readings at a move, a switch or on request.
+ * Covers single and dual tariff electricity (import and export registers)
+ * and gas. A reading lower than the previous one is refused; a reading far
+ * above the expected consumption has to be confirmed and is reviewed by
+ * the server. A photo of the meter can be attached and the customer gets a
+ * receipt to keep.
+ */
+
+// ==================== REGISTERS ====================
+// Field names follow the DSMR registers (1.8.1 = T1 low, 1.8.2 = T2 normal)
+const METER_REGISTERS = {
+    importT1: { label: 'Stroom laag tarief (T1)', single: 'Stroom', unit: 'kWh', product: 'electricity' },
+    importT2: { label: 'Stroom normaal tarief (T2)', unit: 'kWh', product: 'electricity', dual: true },
+    exportT1: { label: 'Teruglevering laag tarief (T1)', single: 'Teruglevering', unit: 'kWh', product: 'electricity', export: true },
+    exportT2: { label: 'Teruglevering normaal tarief (T2)', unit: 'kWh', product: 'electricity', export: true, dual: true },
+    gas: { label: 'Gas', unit: 'm³', product: 'gas' }
+};
+
+// ==================== CHECKS ====================
+const MeterReading = {
+    PLAUSIBLE_FACTOR: 3, // more than 3x the expected consumption asks for confirmation
+    SLACK_DAYS: 14, // plus two weeks of consumption, so short periods are not flagged
+
+    // Comma or dot as the decimal separator; meters show no thousands separators
+    parse(value) {
+        const text = String(value).trim();
+        return /^\d+([.,]\d+)?$/.test(text) ? Number(text.replace(',', '.')) : NaN;
+    },
+
+    // As many decimals as the reading has, at most 3
+    format(value, unit) {
+        const decimals = Math.min(3, (String(value).split('.')[1] || '').length);
+        return `${Utils.formatNumber(value, decimals)} ${unit}`;
+    },
+
+    formatDate(value) {
+        return new Date(value).toLocaleDateString('nl-NL', { day: 'numeric', month: 'long', year: 'numeric' });
+    },
+
+    days(from, to) {
+        return Math.max(1, Math.round((new Date(to) - new Date(from)) / 86400000));
+    },
+
+    /**
+     * Hard checks. context: { previous, previousDate, unit }.
+     * Returns { value, error } with error null when the reading is acceptable.
+     */
+    validate(input, context = {}) {
+        const value = this.parse(input);
+        const unit = context.unit || 'kWh';
+        if (isNaN(value)) {
+            return { value: null, error: 'Vul de stand in zoals op de meter, alleen cijfers (en eventueel een komma)' };
+        }
+        if ((String(input).split(/[.,]/)[1] || '').length > 3) {
+            return { value: value, error: 'Gebruik maximaal 3 cijfers achter de komma' };
+        }
+
+        const previous = context.previous === undefined || context.previous === '' || context.previous === null ?
+            null : Number(context.previous);
+        if (previous !== null && value < previous) {
+            const since = context.previousDate ? ` op ${this.formatDate(context.previousDate)}` : '';
+            return {
+                value: value,
+                error: `Deze stand is lager dan de vorige (${this.format(previous, unit)}${since}). Controleer de meter; is hij vervangen, neem dan contact met ons op`
+            };
+        }
+        return { value: value, error: null };
+    },
+
+    /**
+     * Soft check: a Dutch warning when the consumption since the previous
+     * reading is far above what the customer normally uses, otherwise null.
+     */
+    plausibility({ value, previous, previousDate, date, expectedPerDay, unit }) {
+        if (previous === null || previous === undefined || !expectedPerDay || !previousDate) return null;
+
+        const days = this.days(previousDate, date);
+        const used = value - previous;
+        const expected = expectedPerDay * days;
+        const limit = expected * this.PLAUSIBLE_FACTOR + expectedPerDay * this.SLACK_DAYS;
+        if (used <= limit) return null;
+
+        return `${this.format(used, unit)} in ${days} ${days === 1 ? 'dag' : 'dagen'}, terwijl we ongeveer ${this.format(Math.round(expected), unit)} verwachtten`;
+    }
+};
+
+// ==================== FORM ====================
+class MeterReadingForm {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.options = {
+            auth: null, // AuthClient
+            validator: null, // FormHandler
+            notify: () => {},
+            path: '/me/readings',
+            maxPhotoSize: 15 * 1024 * 1024, // bytes, before resizing
+            maxUploadSize: 12 * 1024 * 1024, // request body limit of the readings API
+            photoDimension: 1600, // longest side after resizing
+            onSubmitted: () => {}, // (receipt)
+            ...options
+        };
+
+        this.context = null; // { meter, previous, expectedPerDay } from the API
+        this.key = null; // idempotency key, kept until the reading is accepted
+        this.receipt = null;
+        this.receiptElement = form.parentElement.querySelector('[data-reading-receipt]');
+        this.init();
+    }
+
+    init() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        // A changed reading is a new submission and may need a new confirmation
+        this.form.addEventListener('input', (e) => {
+            if (e.target.name in METER_REGISTERS || e.target.name === 'readingDate') {
+                this.key = null;
+                this.showWarnings([]);
+            }
+        });
+
+        if (this.receiptElement) {
+            this.receiptElement.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-reading-action]');
+                if (!action) return;
+                if (action.dataset.readingAction === 'download') this.downloadReceipt();
+                if (action.dataset.readingAction === 'again') this.again();
+            });
+        }
+    }
+
+    field(name) {
+        return this.form.elements[name];
+    }
+
+    // { meter: { dualTariff, export, gas }, previous: { date, importT1, ... }, expectedPerDay: { importT1, ... } }
+    setContext(context) {
+        this.context = context;
+        const meter = context.meter || {};
+        const previous = context.previous || {};
+
+        Object.entries(METER_REGISTERS).forEach(([name, register]) => {
+            const input = this.field(name);
+            if (!input) return;
+
+            const used = (register.product === 'gas' ? meter.gas : true) &&
+                (!register.dual || meter.dualTariff) &&
+                (!register.export || meter.export);
+            const group = input.closest('.form-group');
+            if (group) group.hidden = !used;
+            input.disabled = !used;
+
+            const label = group && group.querySelector('label');
+            if (label) label.textContent = meter.dualTariff || !register.single ? register.label : register.single;
+
+            if (previous[name] !== undefined) {
+                input.dataset.previous = previous[name];
+                input.dataset.previousDate = previous.date;
+            } else {
+                delete input.dataset.previous;
+            }
+            input.dataset.unit = register.unit;
+
+            const hint = group && group.querySelector('[data-reading-previous]');
+            if (hint) {
+                hint.textContent = previous[name] !== undefined ?
+                    `Vorige stand: ${MeterReading.format(previous[name], register.unit)} (${MeterReading.formatDate(previous.date)})` : '';
+            }
+        });
+
+        const date = this.field('readingDate');
+        if (date && previous.date) date.dataset.minDate = previous.date.slice(0, 10);
+    }
+
+    // Registers whose consumption is out of the ordinary
+    warnings() {
+        if (!this.context) return [];
+        const previous = this.context.previous || {};
+        const expected = this.context.expectedPerDay || {};
+        const date = this.field('readingDate').value || new Date().toISOString().slice(0, 10);
+
+        return Object.entries(METER_REGISTERS)
+            .filter(([name]) => this.field(name) && !this.field(name).disabled && this.field(name).value.trim() !== '')
+            .map(([name, register]) => ({
+                name: name,
+                label: this.field(name).closest('.form-group').querySelector('label').textContent,
+                message: MeterReading.plausibility({
+                    value: MeterReading.parse(this.field(name).value),
+                    previous: previous[name],
+                    previousDate: previous.date,
+                    date: date,
+                    expectedPerDay: expected[name],
+                    unit: register.unit
+                })
+            }))
+            .filter(warning => warning.message);
+    }
+
+    showWarnings(warnings) {
+        const container = this.form.querySelector('[data-reading-warnings]');
+        const confirm = this.field('confirmUnusual');
+        if (container) {
+            container.hidden = warnings.length === 0;
+            const list = container.querySelector('ul');
+            if (list) {
+                list.innerHTML = warnings.map(warning =>
+                    `<li><strong>${Utils.escapeHTML(warning.label)}:</strong> ${Utils.escapeHTML(warning.message)}</li>`).join('');
+            }
+        }
+        if (confirm) {
+            confirm.disabled = warnings.length === 0;
+            confirm.required = warnings.length > 0;
+            if (warnings.length === 0) confirm.checked = false;
+        }
+    }
+
+    // ==================== PHOTO ====================
+    // Largest photo that still fits the request when it cannot be resized:
+    // base64 turns every 3 bytes into 4, and the readings need some room too
+    get maxOriginalSize() {
+        return Math.floor((this.options.maxUploadSize - 64 * 1024) * 3 / 4);
+    }
+
+    // Resized to a JPEG data URL, so large phone photos stay small enough to post
+    async readPhoto(file) {
+        const megabytes = (bytes) => Math.floor(bytes / 1048576);
+        if (!/^image\//.test(file.type)) {
+            throw new Error('Kies een foto van de meter (JPG, PNG of HEIC)');
+        }
+        if (file.size > this.options.maxPhotoSize) {
+            throw new Error(`De foto is te groot, het maximum is ${megabytes(this.options.maxPhotoSize)} MB`);
+        }
+
+        if (typeof createImageBitmap !== 'undefined') {
+            try {
+                const bitmap = await createImageBitmap(file);
+                const scale = Math.min(1, this.options.photoDimension / Math.max(bitmap.width, bitmap.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(bitmap.width * scale);
+                canvas.height = Math.round(bitmap.height * scale);
+                canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+                bitmap.close();
+                return canvas.toDataURL('image/jpeg', 0.85);
+            } catch (error) {
+                // Formats the browser cannot decode (e.g. HEIC) are sent as they are
+            }
+        }
+
+        if (file.size > this.maxOriginalSize) {
+            throw new Error(`Deze foto kunnen we niet verkleinen en is te groot om zo te versturen, het maximum is ${megabytes(this.maxOriginalSize)} MB. Maak een foto als JPG of kies een kleinere foto`);
+        }
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error('De foto kon niet worden gelezen'));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // ==================== SUBMIT ====================
+    async submit() {
+        if (this.options.validator && !(await this.options.validator.validateForm(this.form))) return;
+
+        const warnings = this.warnings();
+        const confirm = this.field('confirmUnusual');
+        if (warnings.length > 0 && !(confirm && confirm.checked)) {
+            this.showWarnings(warnings);
+            this.form.querySelector('[data-reading-warnings]')?.scrollIntoView({ block: 'center' });
+            confirm?.focus();
+            return;
+        }
+
+        const submitBtn = this.form.querySelector('[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Bezig met versturen...';
+        submitBtn.disabled = true;
+
+        try {
+            const readings = {};
+            Object.keys(METER_REGISTERS).forEach(name => {
+                const input = this.field(name);
+                if (input && !input.disabled && input.value.trim() !== '') readings[name] = MeterReading.parse(input.value);
+            });
+
+            const photoInput = this.field('photo');
+            const file = photoInput && photoInput.files && photoInput.files[0];
+            const photo = file ? { name: file.name, type: file.type, data: await this.readPhoto(file) } : null;
+
+            this.key = this.key || SubmissionClient.createKey();
+            const response = await this.options.auth.fetch(this.options.path, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Idempotency-Key': this.key },
+                body: JSON.stringify({
+                    reason: this.field('reason').value,
+                    date: this.field('readingDate').value,
+                    readings: readings,
+                    confirmedUnusual: warnings.length > 0,
+                    photo: photo
+                })
+            });
+            const payload = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                const error = new Error((payload.error && payload.error.message) || `Versturen mislukt (${response.status})`);
+                error.fields = payload.error && payload.error.fields;
+                throw error;
+            }
+
+            this.key = null;
+            this.showReceipt(payload);
+            this.options.onSubmitted(payload);
+        } catch (error) {
+            console.error('Meter reading failed:', error);
+            const fields = error.fields && this.options.validator ? this.options.validator.showServerErrors(this.form, error.fields) : [];
+            if (fields.length > 0) fields[0].focus();
+            this.options.notify(fields.length > 0 ? 'Controleer de gemarkeerde standen' : error.message, 'error');
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+
+    // ==================== RECEIPT ====================
+    // { reference, receivedAt, date, reason, readings, photo, status }
+    showReceipt(receipt) {
+        this.receipt = receipt;
+        this.form.hidden = true;
+        if (!this.receiptElement) return;
+
+        const rows = Object.entries(receipt.readings).map(([name, value]) => {
+            const register = METER_REGISTERS[name];
+            const label = register ? (this.context && !this.context.meter.dualTariff && register.single) || register.label : name;
+            return `<div class="summary-row"><dt>${Utils.escapeHTML(label)}</dt><dd>${MeterReading.format(value, register ? register.unit : '')}</dd></div>`;
+        }).join('');
+
+        this.receiptElement.innerHTML = `
+            <h3>Meterstanden ontvangen</h3>
+            <p>${receipt.status === 'review' ?
+                'We controleren de afwijkende stand en nemen contact op als we iets nodig hebben.' :
+                'Bedankt! We verwerken de standen in je volgende factuur.'}</p>
+            <section class="summary-section">
+                <dl>
+                    <div class="summary-row"><dt>Kenmerk</dt><dd>${Utils.escapeHTML(receipt.reference)}</dd></div>
+                    <div class="summary-row"><dt>Datum opname</dt><dd>${MeterReading.formatDate(receipt.date)}</dd></div>
+                    <div class="summary-row"><dt>Ontvangen</dt><dd>${new Date(receipt.receivedAt).toLocaleString('nl-NL')}</dd></div>
+                    ${rows}
+                    <div class="summary-row"><dt>Foto</dt><dd>${receipt.photo ? 'Meegestuurd' : 'Geen'}</dd></div>
+                </dl>
+            </section>
+            <div class="session-warning-actions">
+                <button type="button" class="btn-primary" data-reading-action="download">Bevestiging downloaden</button>
+                <button type="button" class="btn-link" data-reading-action="again">Nog een stand doorgeven</button>
+            </div>`;
+        this.receiptElement.hidden = false;
+        this.receiptElement.setAttribute('tabindex', '-1');
+        this.receiptElement.focus();
+    }
+
+    downloadReceipt() {
+        const receipt = this.receipt;
+        if (!receipt) return;
+
+        const lines = [
+            '112Energie - bevestiging meterstanden',
+            '',
+            `Kenmerk: ${receipt.reference}`,
+            `Datum opname: ${MeterReading.formatDate(receipt.date)}`,
+            `Ontvangen: ${new Date(receipt.receivedAt).toLocaleString('nl-NL')}`,
+            '',
+            ...Object.entries(receipt.readings).map(([name, value]) => {
+                const register = METER_REGISTERS[name];
+                return `${register ? register.label : name}: ${MeterReading.format(value, register ? register.unit : '')}`;
+            }),
+            '',
+            `Foto: ${receipt.photo ? 'meegestuurd' : 'geen'}`
+        ];
+
+        const url = URL.createObjectURL(new Blob([lines.join('\n')], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `112energie-meterstanden-${receipt.reference}.txt`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    again() {
+        this.reset();
+        const first = this.form.querySelector('input:not([disabled]), select');
+        if (first) first.focus();
+    }
+
+    // Also called on logout: no readings or receipt of the previous customer stay behind
+    reset() {
+        this.form.reset();
+        this.form.hidden = false;
+        this.key = null;
+        this.receipt = null;
+        this.showWarnings([]);
+        if (this.options.validator) {
+            this.form.querySelectorAll('[aria-invalid]').forEach(field => this.options.validator.removeError(field));
+        }
+        if (this.receiptElement) {
+            this.receiptElement.hidden = true;
+            this.receiptElement.innerHTML = '';
+        }
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MeterReading, MeterReadingForm, METER_REGISTERS };
+}
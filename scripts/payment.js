@@ -0,0 +1,165 @@
+/**
+ * 112Energie Payment
+ * Version: 2.0
+ * Updated: 2025
+ * Description: IBAN validation (country length and mod-97 checksum), BIC
+ * derivation for Dutch banks, and the SEPA direct-debit mandate record that
+ * is submitted with an application.
+ */
+
+// ==================== REFERENCE DATA ====================
+// IBAN length per SEPA country
+const IBAN_LENGTHS = {
+    AD: 24, AT: 20, BE: 16, BG: 22, CH: 21, CY: 28, CZ: 24, DE: 22, DK: 18,
+    EE: 20, ES: 24, FI: 18, FR: 27, GB: 22, GI: 23, GR: 27, HR: 21, HU: 28,
+    IE: 22, IS: 26, IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MT: 31,
+    NL: 18, NO: 15, PL: 28, PT: 25, RO: 24, SE: 24, SI: 19, SK: 24, SM: 27,
+    VA: 22
+};
+
+// Bank code (IBAN positions 5-8) -> BIC for Dutch accounts
+const DUTCH_BANKS = {
+    ABNA: { bic: 'ABNANL2A', name: 'ABN AMRO' },
+    ADYB: { bic: 'ADYBNL2A', name: 'Adyen' },
+    ASNB: { bic: 'ASNBNL21', name: 'ASN Bank' },
+    BITS: { bic: 'BITSNL2A', name: 'Bitsafe' },
+    BUNQ: { bic: 'BUNQNL2A', name: 'bunq' },
+    FVLB: { bic: 'FVLBNL22', name: 'Van Lanschot Kempen' },
+    HAND: { bic: 'HANDNL2A', name: 'Svenska Handelsbanken' },
+    INGB: { bic: 'INGBNL2A', name: 'ING' },
+    KNAB: { bic: 'KNABNL2H', name: 'Knab' },
+    NNBA: { bic: 'NNBANL2G', name: 'Nationale-Nederlanden Bank' },
+    NWAB: { bic: 'NWABNL2G', name: 'Nederlandse Waterschapsbank' },
+    RABO: { bic: 'RABONL2U', name: 'Rabobank' },
+    RBRB: { bic: 'RBRBNL21', name: 'RegioBank' },
+    SNSB: { bic: 'SNSBNL2A', name: 'SNS' },
+    TRIO: { bic: 'TRIONL2U', name: 'Triodos Bank' }
+};
+
+// ==================== IBAN ====================
+const IBAN = {
+    normalize(value) {
+        return String(value || '').replace(/[\s.-]/g, '').toUpperCase();
+    },
+
+    // Groups of four for display: 'NL91 ABNA 0417 1643 00'
+    format(value) {
+        return this.normalize(value).replace(/(.{4})(?=.)/g, '$1 ');
+    },
+
+    // ISO 7064 mod 97-10, in chunks so long IBANs stay within number precision
+    mod97(iban) {
+        const rearranged = iban.slice(4) + iban.slice(0, 4);
+        const digits = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+        let remainder = 0;
+        for (let i = 0; i < digits.length; i += 7) {
+            remainder = Number(String(remainder) + digits.slice(i, i + 7)) % 97;
+        }
+        return remainder;
+    },
+
+    /**
+     * Returns { valid, iban, country, error }; error is a Dutch message
+     * suitable for the form when the IBAN is rejected.
+     */
+    validate(value) {
+        const iban = this.normalize(value);
+        const country = iban.slice(0, 2);
+        const reject = (error) => ({ valid: false, iban: iban, country: country, error: error });
+
+        if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]+$/.test(iban)) {
+            return reject('Een IBAN begint met een landcode en twee cijfers, bijv. NL91 ABNA 0417 1643 00');
+        }
+        if (!(country in IBAN_LENGTHS)) {
+            return reject(`Rekeningen uit ${country} worden niet ondersteund; gebruik een SEPA-rekening`);
+        }
+        if (iban.length !== IBAN_LENGTHS[country]) {
+            return reject(`Een IBAN uit ${country} heeft ${IBAN_LENGTHS[country]} tekens, je hebt er ${iban.length} ingevuld`);
+        }
+        if (country === 'NL' && !/^NL[0-9]{2}[A-Z]{4}[0-9]{10}$/.test(iban)) {
+            return reject('Een Nederlandse IBAN bestaat uit NL, 2 cijfers, 4 letters en 10 cijfers');
+        }
+        if (this.mod97(iban) !== 1) {
+            return reject('Dit IBAN klopt niet, controleer het rekeningnummer op typefouten');
+        }
+
+        return { valid: true, iban: iban, country: country, error: null };
+    },
+
+    // BIC and bank name for Dutch IBANs; null abroad or for unknown banks
+    bank(value) {
+        const iban = this.normalize(value);
+        if (!iban.startsWith('NL')) return null;
+        return DUTCH_BANKS[iban.slice(4, 8)] || null;
+    }
+};
+
+// ==================== SEPA MANDATE ====================
+const SepaMandate = {
+    // Mandate references may only use these characters, at most 35 of them
+    ID_PATTERN: /^[A-Za-z0-9+?/\-:().,' ]{1,35}$/,
+
+    // Account holder names: letters (with diacritics), spaces and . ' -
+    validateHolder(value) {
+        const name = String(value || '').trim();
+        if (name.length < 2) return 'Vul de naam van de rekeninghouder in';
+        if (name.length > 70) return 'De naam van de rekeninghouder mag maximaal 70 tekens zijn';
+        if (!/^[\p{L}][\p{L} .'-]*$/u.test(name)) return 'De naam mag alleen letters, spaties en . \' - bevatten';
+        return null;
+    },
+
+    dateKey(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    },
+
+    // e.g. 112E-20250314-K3F9ZQ
+    createId(date = new Date()) {
+        const random = Array.from({ length: 6 }, () => 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'[Math.floor(Math.random() * 32)]).join('');
+        return `112E-${this.dateKey(date).replace(/-/g, '')}-${random}`;
+    },
+
+    /**
+     * Builds the mandate record for a recurring (RCUR) CORE direct debit.
+     * debtor: { name, iban }; creditor: { id, name }
+     */
+    create(debtor, creditor, signedAt = new Date()) {
+        const check = IBAN.validate(debtor.iban);
+        if (!check.valid) {
+            throw new Error(check.error);
+        }
+        const holderError = this.validateHolder(debtor.name);
+        if (holderError) {
+            throw new Error(holderError);
+        }
+
+        const mandateId = this.createId(signedAt);
+        if (!this.ID_PATTERN.test(mandateId)) {
+            throw new Error(`Invalid mandate reference: ${mandateId}`);
+        }
+
+        const bank = IBAN.bank(check.iban);
+        return {
+            mandateId: mandateId,
+            scheme: 'CORE',
+            sequenceType: 'RCUR',
+            signatureDate: this.dateKey(signedAt),
+            signedAt: new Date(signedAt).toISOString(),
+            creditor: {
+                id: creditor.id,
+                name: creditor.name
+            },
+            debtor: {
+                name: debtor.name.trim(),
+                iban: check.iban,
+                bic: bank ? bank.bic : null
+            }
+        };
+    }
+};
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IBAN, SepaMandate, IBAN_LENGTHS, DUTCH_BANKS };
+}
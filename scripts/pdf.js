@@ -0,0 +1,179 @@
+/**
+ * 112Energie PDF
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Small PDF 1.4 writer for documents made in the browser
+ * (invoices, statements). Text in the built-in Helvetica fonts with
+ * WinAnsi encoding, so euro signs and Dutch accents work without embedding
+ * fonts; lines and filled rectangles. Coordinates are in points from the
+ * top-left corner of an A4 page.
+ */
+
+// ==================== FONT METRICS ====================
+// Helvetica and Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126
+const PDF_WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Unicode -> WinAnsi for the characters outside Latin-1 that Intl and Dutch text use
+const PDF_WIN_ANSI = {
+    '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '−': 0x2D,
+    '\u00a0': 0xA0, '\u202f': 0xA0 // (narrow) no-break space
+};
+
+// ==================== DOCUMENT ====================
+class PdfDocument {
+    constructor(options = {}) {
+        this.options = {
+            title: '',
+            author: '112Energie',
+            width: 595.28, // A4
+            height: 841.89,
+            ...options
+        };
+        this.pages = [];
+        this.current = 0;
+        this.addPage();
+    }
+
+    get page() {
+        return this.pages[this.current];
+    }
+
+    addPage() {
+        this.pages.push([]);
+        this.current = this.pages.length - 1;
+        return this;
+    }
+
+    // Back to an earlier page, e.g. for "page 1 of 3" footers
+    setPage(index) {
+        this.current = Math.max(0, Math.min(index, this.pages.length - 1));
+        return this;
+    }
+
+    // Accented letters are measured like their base letter
+    textWidth(text, size = 10, bold = false) {
+        const widths = PDF_WIDTHS[bold ? 'bold' : 'regular'];
+        const plain = String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        const width = PdfDocument.encode(plain).reduce((sum, code) =>
+            sum + (code >= 32 && code <= 126 ? widths[code - 32] : code === 0xA0 ? 278 : 556), 0);
+        return width * size / 1000;
+    }
+
+    static color(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+            .map(channel => (channel / 255).toFixed(3)).join(' ');
+    }
+
+    static escape(text) {
+        return text.replace(/[\\()]/g, '\\$&');
+    }
+
+    // y is the baseline, measured from the top; align 'right' ends the text at x
+    text(text, x, y, { size = 10, bold = false, align = 'left', color = '#111827' } = {}) {
+        const value = String(text);
+        const width = this.textWidth(value, size, bold);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        this.page.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${PdfDocument.color(color)} rg ` +
+            `${left.toFixed(2)} ${(this.options.height - y).toFixed(2)} Td (${PdfDocument.escape(value)}) Tj ET`);
+        return this;
+    }
+
+    line(x1, y1, x2, y2, { width = 0.5, color = '#d1d5db' } = {}) {
+        const height = this.options.height;
+        this.page.push(`${width} w ${PdfDocument.color(color)} RG ${x1.toFixed(2)} ${(height - y1).toFixed(2)} m ` +
+            `${x2.toFixed(2)} ${(height - y2).toFixed(2)} l S`);
+        return this;
+    }
+
+    rect(x, y, width, height, { fill = '#f3f4f6' } = {}) {
+        this.page.push(`${PdfDocument.color(fill)} rg ${x.toFixed(2)} ${(this.options.height - y - height).toFixed(2)} ` +
+            `${width.toFixed(2)} ${height.toFixed(2)} re f`);
+        return this;
+    }
+
+    // ==================== OUTPUT ====================
+    static encode(text) {
+        const bytes = [];
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (PDF_WIN_ANSI[char] !== undefined) bytes.push(PDF_WIN_ANSI[char]);
+            else bytes.push(code < 256 ? code : 0x3F); // '?'
+        }
+        return bytes;
+    }
+
+    toBytes() {
+        const objects = [];
+        const add = (body) => objects.push(body); // object number
+
+        const catalog = add(null);
+        const pages = add(null);
+        const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const info = add(`<< /Title (${PdfDocument.escape(this.options.title)}) /Author (${PdfDocument.escape(this.options.author)}) /Producer (112Energie) >>`);
+
+        const kids = this.pages.map(operations => {
+            const stream = operations.join('\n');
+            const content = add(`<< /Length ${PdfDocument.encode(stream).length} >>\nstream\n${stream}\nendstream`);
+            return add(`<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${this.options.width} ${this.options.height}] ` +
+                `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${content} 0 R >>`);
+        });
+        objects[catalog - 1] = `<< /Type /Catalog /Pages ${pages} 0 R >>`;
+        objects[pages - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+        // Byte offsets for the cross-reference table
+        const bytes = [];
+        const write = (text) => PdfDocument.encode(text).forEach(byte => bytes.push(byte));
+        const offsets = [];
+        write('%PDF-1.4\n%âãÏÓ\n');
+        objects.forEach((body, i) => {
+            offsets.push(bytes.length);
+            write(`${i + 1} 0 obj\n${body}\nendobj\n`);
+        });
+
+        const xref = bytes.length;
+        write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+        offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+        write(`trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+        return new Uint8Array(bytes);
+    }
+
+    toBlob() {
+        return new Blob([this.toBytes()], { type: 'application/pdf' });
+    }
+
+    download(filename) {
+        const url = URL.createObjectURL(this.toBlob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PdfDocument };
+}
@@ -0,0 +1,18 @@
+/**
+ * 112Energie Proof-of-Work Worker
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Solves a FormGuard challenge off the main thread so typing
+ * stays smooth. Receives { salt, difficulty, signature }, answers
+ * { solution } or { error }.
+ */
+
+importScripts('antispam.js');
+
+self.onmessage = async (e) => {
+    try {
+        self.postMessage({ solution: await ProofOfWork.solve(e.data) });
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};
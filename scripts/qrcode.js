@@ -0,0 +1,351 @@
+/**
+ * 112Energie QR Code
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Minimal QR code generator (byte mode, error correction level
+ * M, versions 1-10, up to 213 bytes) rendered as SVG. Used for the
+ * authenticator-app link during two-factor enrollment, so the secret never
+ * leaves the page for a third-party QR service.
+ */
+
+// ==================== TABLES ====================
+// Per version, level M: EC codewords per block and the data codewords of each block
+const QR_BLOCKS_M = [
+    null,
+    { ec: 10, blocks: [16] },
+    { ec: 16, blocks: [28] },
+    { ec: 26, blocks: [44] },
+    { ec: 18, blocks: [32, 32] },
+    { ec: 24, blocks: [43, 43] },
+    { ec: 16, blocks: [27, 27, 27, 27] },
+    { ec: 18, blocks: [31, 31, 31, 31] },
+    { ec: 22, blocks: [38, 38, 39, 39] },
+    { ec: 22, blocks: [36, 36, 36, 37, 37] },
+    { ec: 26, blocks: [43, 43, 43, 43, 44] }
+];
+
+const QR_ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// ==================== REED-SOLOMON ====================
+const ReedSolomon = {
+    // GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    divisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    },
+
+    remainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+};
+
+// ==================== ENCODER ====================
+class QRCode {
+    constructor(text) {
+        this.bytes = Array.from(new TextEncoder().encode(String(text)));
+        this.version = QRCode.versionFor(this.bytes.length);
+        this.size = this.version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.codewords());
+        this.mask = this.chooseMask();
+    }
+
+    static dataCapacity(version) {
+        return QR_BLOCKS_M[version].blocks.reduce((sum, length) => sum + length, 0);
+    }
+
+    static versionFor(length) {
+        for (let version = 1; version < QR_BLOCKS_M.length; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + length * 8 <= QRCode.dataCapacity(version) * 8) return version;
+        }
+        throw new RangeError(`Text too long for a QR code (${length} bytes, at most 213)`);
+    }
+
+    set(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.reserved[y][x] = true;
+    }
+
+    // ==================== FUNCTION PATTERNS ====================
+    drawFunctionPatterns() {
+        const size = this.size;
+
+        for (let i = 0; i < size; i++) {
+            this.set(6, i, i % 2 === 0);
+            this.set(i, 6, i % 2 === 0);
+        }
+
+        // Finders with their light separator
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        const positions = QR_ALIGNMENT[this.version];
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                // Corners taken by finders
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        this.drawFormatBits(0); // reserves the area; redrawn once the mask is known
+        this.drawVersionBits();
+    }
+
+    drawFormatBits(mask) {
+        const size = this.size;
+        const data = mask; // level M is 00
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+        this.set(8, 7, bit(6));
+        this.set(8, 8, bit(7));
+        this.set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i));
+        this.set(8, size - 8, true);
+    }
+
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.set(a, b, dark);
+            this.set(b, a, dark);
+        }
+    }
+
+    // ==================== DATA ====================
+    codewords() {
+        const capacity = QRCode.dataCapacity(this.version);
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        push(0b0100, 4); // byte mode
+        push(this.bytes.length, this.version < 10 ? 8 : 16);
+        this.bytes.forEach(byte => push(byte, 8));
+        push(0, Math.min(4, capacity * 8 - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, b) => (byte << 1) | b, 0));
+        }
+        for (let pad = 0xEC; data.length < capacity; pad ^= 0xEC ^ 0x11) {
+            data.push(pad);
+        }
+
+        // Split into blocks, add error correction, then interleave
+        const { ec, blocks: lengths } = QR_BLOCKS_M[this.version];
+        const divisor = ReedSolomon.divisor(ec);
+        let offset = 0;
+        const blocks = lengths.map(length => {
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            return { data: block, ec: ReedSolomon.remainder(block, divisor) };
+        });
+
+        const result = [];
+        const longest = Math.max(...lengths);
+        for (let i = 0; i < longest; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ec; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    }
+
+    // Zigzag in two-module columns from the bottom right, skipping the timing column
+    drawCodewords(codewords) {
+        const size = this.size;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < size; vertical++) {
+                const y = upward ? size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.reserved[y][x]) continue;
+                    if (i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // ==================== MASKING ====================
+    applyMask(mask) {
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && QR_MASKS[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    chooseMask() {
+        let best = 0;
+        let lowest = Infinity;
+
+        for (let mask = 0; mask < QR_MASKS.length; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.penalty();
+            if (penalty < lowest) {
+                lowest = penalty;
+                best = mask;
+            }
+            this.applyMask(mask); // XOR again to undo
+        }
+
+        this.applyMask(best);
+        this.drawFormatBits(best);
+        return best;
+    }
+
+    // The four penalty rules of ISO 18004 section 8.8.2
+    penalty() {
+        const size = this.size;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(this.modules[i]);
+            lines.push(this.modules.map(row => row[i]));
+        }
+
+        let penalty = 0;
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += 3 + run - 5;
+                    run = 1;
+                }
+            }
+
+            const text = line.map(dark => (dark ? '1' : '0')).join('');
+            penalty += 40 * ((text.match(/(?=10111010000|00001011101)/g) || []).length);
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (this.modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = this.modules[y][x];
+                    if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += 10 * Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1);
+        return penalty;
+    }
+
+    // ==================== RENDERING ====================
+    // One path of unit squares with a 4-module quiet zone
+    toSVG({ scale = 4, label = 'QR-code' } = {}) {
+        const border = 4;
+        const dimension = this.size + border * 2;
+        let path = '';
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (this.modules[y][x]) path += `M${x + border},${y + border}h1v1h-1z`;
+            }
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${dimension * scale}" height="${dimension * scale}" role="img" aria-label="${label}" shape-rendering="crispEdges">` +
+            `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QRCode, ReedSolomon };
+}
@@ -0,0 +1,171 @@
+/**
+ * 112Energie Quotes
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Calculator input encoded in the URL so a calculation can be
+ * shared or reopened in another tab, and named quotes saved locally so they
+ * can be listed, compared and taken into the aanvraag.
+ */
+
+// ==================== URL STATE ====================
+// Query parameter names are Dutch so shared links read naturally:
+// ?personen=3&woning=detached&contract=fixed&aansluiting=3x25A&gas=G4&zon=1&panelen=12
+const QuoteUrl = {
+    PARAMS: {
+        householdSize: 'personen',
+        homeType: 'woning',
+        contractType: 'contract',
+        connection: 'aansluiting',
+        gasConnection: 'gas',
+        hasSolar: 'zon'
+    },
+
+    SOLAR_PARAMS: {
+        panels: 'panelen',
+        kWp: 'kwp',
+        orientation: 'ligging',
+        tilt: 'helling'
+    },
+
+    CONTRACT_TYPES: ['fixed', 'dynamic'],
+
+    encode(input) {
+        const params = new URLSearchParams();
+
+        Object.entries(this.PARAMS).forEach(([key, name]) => {
+            if (key === 'hasSolar') {
+                params.set(name, input.hasSolar ? '1' : '0');
+            } else if (input[key] !== undefined && input[key] !== null) {
+                params.set(name, input[key]);
+            }
+        });
+
+        // Solar details only matter when there are panels
+        if (input.hasSolar && input.solarSystem) {
+            Object.entries(this.SOLAR_PARAMS).forEach(([key, name]) => {
+                const value = input.solarSystem[key];
+                if (value !== undefined && value !== null && value !== '') params.set(name, value);
+            });
+        }
+
+        return params.toString();
+    },
+
+    /**
+     * Reads calculator input from a query string. Returns null when the
+     * string holds no calculator parameters or values the tariff rejects.
+     */
+    decode(search, tariff = DEFAULT_TARIFF) {
+        const params = new URLSearchParams(search);
+        const input = {};
+
+        Object.entries(this.PARAMS).forEach(([key, name]) => {
+            if (params.has(name)) input[key] = params.get(name);
+        });
+        if (Object.keys(input).length === 0) return null;
+
+        if ('hasSolar' in input) input.hasSolar = input.hasSolar === '1';
+        if ('contractType' in input && !this.CONTRACT_TYPES.includes(input.contractType)) {
+            delete input.contractType;
+        }
+
+        const solarSystem = {};
+        Object.entries(this.SOLAR_PARAMS).forEach(([key, name]) => {
+            if (!params.has(name)) return;
+            solarSystem[key] = key === 'orientation' ? params.get(name) : parseFloat(params.get(name));
+            if (Number.isNaN(solarSystem[key]) || solarSystem[key] < 0) delete solarSystem[key];
+        });
+        if (Object.keys(solarSystem).length > 0) input.solarSystem = solarSystem;
+
+        try {
+            CalculatorCore.normalizeInput(input, tariff);
+        } catch (error) {
+            console.warn('Ignoring calculator state from URL:', error.message);
+            return null;
+        }
+        return input;
+    },
+
+    // Current page URL with the calculator state in the query string
+    toUrl(input, location = window.location) {
+        return `${location.origin}${location.pathname}?${this.encode(input)}${location.hash}`;
+    }
+};
+
+// ==================== SAVED QUOTES ====================
+class SavedQuotes {
+    constructor(storage = window.localStorage, options = {}) {
+        this.storage = storage;
+        this.options = {
+            storageKey: '112energie_quotes',
+            maxQuotes: 20,
+            ...options
+        };
+    }
+
+    list() {
+        try {
+            const quotes = JSON.parse(this.storage.getItem(this.options.storageKey) || '[]');
+            return Array.isArray(quotes) ? quotes : [];
+        } catch (error) {
+            console.warn('Saved quotes unreadable, starting fresh:', error);
+            return [];
+        }
+    }
+
+    get(id) {
+        return this.list().find(quote => quote.id === id) || null;
+    }
+
+    // Stores the input alongside the result so the quote can be recalculated
+    save(name, input, results) {
+        const quote = {
+            id: Utils.generateId(),
+            name: (name || '').trim() || `Berekening ${new Date().toLocaleDateString('nl-NL')}`,
+            savedAt: new Date().toISOString(),
+            input: input,
+            results: {
+                power: results.power,
+                gas: results.gas,
+                monthly: results.monthly,
+                yearly: results.yearly,
+                solarSavings: results.solar ? results.solar.totalSavings : null,
+                tariffVersion: results.tariffVersion ? results.tariffVersion.version : null
+            }
+        };
+
+        // Newest first; the oldest quotes drop off beyond the limit
+        const quotes = [quote, ...this.list()].slice(0, this.options.maxQuotes);
+        this.write(quotes);
+        return quote;
+    }
+
+    remove(id) {
+        this.write(this.list().filter(quote => quote.id !== id));
+    }
+
+    write(quotes) {
+        try {
+            this.storage.setItem(this.options.storageKey, JSON.stringify(quotes));
+        } catch (error) {
+            throw new Error('Offerte kon niet worden opgeslagen (opslag vol of geblokkeerd)');
+        }
+    }
+
+    // Rows for a side-by-side comparison; the cheapest monthly amount is marked
+    compare(ids) {
+        const quotes = ids.map(id => this.get(id)).filter(Boolean);
+        const cheapest = Math.min(...quotes.map(quote => quote.results.monthly));
+
+        return quotes.map(quote => ({
+            ...quote,
+            cheapest: quotes.length > 1 && quote.results.monthly === cheapest,
+            difference: quote.results.monthly - cheapest
+        }));
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuoteUrl, SavedQuotes };
+}
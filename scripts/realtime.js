@@ -0,0 +1,309 @@
+/**
+ * 112Energie Realtime Transport
+ * Version: 2.0
+ * Updated: 2025
+ * Description: WebSocket client for live meter data with jittered exponential
+ * backoff, heartbeats, a versioned message envelope, per-meter subscriptions
+ * and replay of missed sequence numbers after a reconnect.
+ */
+
+// ==================== MESSAGE PROTOCOL ====================
+const RealtimeProtocol = {
+    VERSION: 1,
+
+    TYPES: ['ping', 'pong', 'subscribe', 'unsubscribe', 'subscribed', 'replay', 'reading', 'error'],
+
+    // Every frame: { v, type, seq, ts, payload }
+    createMessage(type, seq, payload = {}) {
+        return {
+            v: this.VERSION,
+            type: type,
+            seq: seq,
+            ts: Date.now(),
+            payload: payload
+        };
+    },
+
+    // Returns an error description, or null when the message is valid
+    validate(message) {
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return 'message is not an object';
+        }
+        if (message.v !== this.VERSION) {
+            return `unsupported protocol version ${message.v}`;
+        }
+        if (!this.TYPES.includes(message.type)) {
+            return `unknown message type ${message.type}`;
+        }
+        if (!Number.isInteger(message.seq) || message.seq < 0) {
+            return 'seq must be a non-negative integer';
+        }
+        if (typeof message.ts !== 'number' || !isFinite(message.ts)) {
+            return 'ts must be a timestamp';
+        }
+        if (!message.payload || typeof message.payload !== 'object') {
+            return 'payload must be an object';
+        }
+        if (message.type === 'reading') {
+            if (typeof message.payload.meterId !== 'string') {
+                return 'reading without meterId';
+            }
+            if (!message.payload.data && typeof message.payload.telegram !== 'string') {
+                return 'reading without data or telegram';
+            }
+        }
+        return null;
+    },
+
+    parse(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return { message: null, error: 'invalid JSON' };
+        }
+        return { message: message, error: this.validate(message) };
+    }
+};
+
+// ==================== REALTIME CLIENT ====================
+class RealtimeClient {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.options = {
+            backoffBase: 1000, // first retry after ~1 second
+            backoffCap: 60000, // never wait longer than a minute
+            heartbeatInterval: 15000,
+            idleTimeout: 45000, // no frame for this long means a dead connection
+            maxAttempts: Infinity,
+            maxReplay: 500, // older gaps are not worth replaying
+            WebSocket: typeof WebSocket !== 'undefined' ? WebSocket : null,
+            ...options
+        };
+
+        this.ws = null;
+        this.seq = 0;
+        this.attempt = 0;
+        this.subscriptions = new Map(); // meterId -> { lastSeq, missing }
+        this.listeners = {};
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.idleTimer = null;
+        this.closedByUser = false;
+
+        this.handleOnline = () => this.reconnectNow();
+    }
+
+    on(event, callback) {
+        (this.listeners[event] = this.listeners[event] || []).push(callback);
+        return this;
+    }
+
+    emit(event, ...args) {
+        (this.listeners[event] || []).forEach(callback => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(`Realtime listener for "${event}" failed:`, error);
+            }
+        });
+    }
+
+    connect() {
+        if (!this.options.WebSocket) {
+            this.emit('unavailable');
+            return;
+        }
+
+        this.closedByUser = false;
+        clearTimeout(this.reconnectTimer);
+
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('online', this.handleOnline);
+            window.addEventListener('online', this.handleOnline);
+        }
+
+        try {
+            this.ws = new this.options.WebSocket(this.url);
+        } catch (error) {
+            console.error('WebSocket connection failed:', error);
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.ws.onopen = () => {
+            this.attempt = 0;
+            this.emit('open');
+            this.startHeartbeat();
+
+            // Resubscribe; the server replays everything after the last seq we saw
+            this.subscriptions.forEach((state, meterId) => {
+                this.send('subscribe', { meterId: meterId, since: state.lastSeq });
+            });
+        };
+
+        this.ws.onmessage = (event) => this.handleFrame(event.data);
+
+        this.ws.onerror = (error) => {
+            this.emit('error', error);
+        };
+
+        this.ws.onclose = (event) => this.handleClose(event);
+    }
+
+    handleClose(event) {
+        this.stopHeartbeat();
+        this.ws = null;
+        this.emit('close', event);
+
+        if (!this.closedByUser) {
+            this.scheduleReconnect();
+        }
+    }
+
+    handleFrame(text) {
+        this.resetIdleTimer();
+
+        const { message, error } = RealtimeProtocol.parse(text);
+        if (error) {
+            console.warn('Realtime frame rejected:', error);
+            this.emit('invalid', error, text);
+            return;
+        }
+
+        switch (message.type) {
+            case 'ping':
+                this.send('pong');
+                break;
+            case 'reading':
+                this.handleReading(message);
+                break;
+            case 'subscribed':
+            case 'pong':
+                break;
+            case 'error':
+                this.emit('serverError', message.payload);
+                break;
+        }
+    }
+
+    handleReading(message) {
+        const { meterId } = message.payload;
+        const state = this.subscriptions.get(meterId);
+        if (!state) return;
+
+        if (state.missing.has(message.seq)) {
+            // Late delivery of a sequence we asked the server to replay
+            state.missing.delete(message.seq);
+        } else if (state.lastSeq !== null && message.seq <= state.lastSeq) {
+            // Duplicate
+            return;
+        } else {
+            // Gap: ask the server for what we missed, then continue
+            if (state.lastSeq !== null && message.seq > state.lastSeq + 1) {
+                const from = Math.max(state.lastSeq + 1, message.seq - this.options.maxReplay);
+                for (let seq = from; seq < message.seq; seq++) {
+                    state.missing.add(seq);
+                }
+                this.send('replay', { meterId: meterId, from: from, to: message.seq - 1 });
+                this.emit('gap', meterId, from, message.seq - 1);
+            }
+            state.lastSeq = message.seq;
+        }
+
+        this.emit('reading', message.payload, message);
+    }
+
+    subscribe(meterId) {
+        if (!this.subscriptions.has(meterId)) {
+            this.subscriptions.set(meterId, { lastSeq: null, missing: new Set() });
+        }
+        this.send('subscribe', { meterId: meterId, since: this.subscriptions.get(meterId).lastSeq });
+    }
+
+    unsubscribe(meterId) {
+        this.subscriptions.delete(meterId);
+        this.send('unsubscribe', { meterId: meterId });
+    }
+
+    send(type, payload) {
+        if (!this.ws || this.ws.readyState !== 1) return false;
+
+        this.ws.send(JSON.stringify(RealtimeProtocol.createMessage(type, ++this.seq, payload)));
+        return true;
+    }
+
+    // Equal jitter: half the exponential delay is fixed, half is random
+    getBackoffDelay(attempt) {
+        const delay = Math.min(this.options.backoffCap, this.options.backoffBase * Math.pow(2, attempt));
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    scheduleReconnect() {
+        if (this.attempt >= this.options.maxAttempts) {
+            this.emit('giveup');
+            return;
+        }
+
+        const delay = this.getBackoffDelay(this.attempt++);
+        this.emit('reconnecting', delay, this.attempt);
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            // Wait for the browser's "online" event rather than burning attempts
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+            this.connect();
+        }, delay);
+    }
+
+    reconnectNow() {
+        if (this.closedByUser || this.ws) return;
+        this.attempt = 0;
+        this.connect();
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.resetIdleTimer();
+        this.heartbeatTimer = setInterval(() => this.send('ping'), this.options.heartbeatInterval);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.idleTimer);
+        this.heartbeatTimer = null;
+        this.idleTimer = null;
+    }
+
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            console.warn('Realtime connection idle, reconnecting');
+            if (!this.ws) return;
+
+            // A dead socket can take minutes to fire onclose; do not wait for it
+            const ws = this.ws;
+            ws.onclose = null;
+            ws.close(4000, 'idle timeout');
+            this.handleClose({ code: 4000, reason: 'idle timeout' });
+        }, this.options.idleTimeout);
+    }
+
+    close() {
+        this.closedByUser = true;
+        clearTimeout(this.reconnectTimer);
+        this.stopHeartbeat();
+
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('online', this.handleOnline);
+        }
+        if (this.ws) {
+            this.ws.close(1000, 'client closed');
+        }
+    }
+}
+
+// Export for Node (mock server and tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RealtimeProtocol, RealtimeClient };
+}
@@ -0,0 +1,163 @@
+/**
+ * 112Energie Session
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Idle timeout for logged-in customers. Activity in any tab
+ * keeps the session alive (BroadcastChannel, with the last activity time in
+ * localStorage for tabs opened later). A warning with a countdown comes
+ * before the timeout; when it runs out every tab signs out.
+ */
+
+// ==================== IDLE TIMEOUT ====================
+class IdleTimeout {
+    constructor(options = {}) {
+        this.options = {
+            timeout: 30 * 60 * 1000,
+            warningTime: 2 * 60 * 1000, // countdown shown this long before the timeout
+            activityEvents: ['pointerdown', 'keydown', 'scroll', 'touchstart'],
+            broadcastInterval: 15000, // activity is shared with other tabs at most this often
+            channelName: '112energie-session',
+            storageKey: '112energie_last_activity',
+            onWarning: () => {}, // (remaining ms), every second during the countdown
+            onActive: () => {}, // the countdown ended because the session was extended
+            onTimeout: () => {}, // (reason) 'idle' here or 'remote' from another tab
+            ...options
+        };
+
+        this.running = false;
+        this.warning = false;
+        this.lastActivity = Date.now();
+        this.lastBroadcast = 0;
+        this.timer = null;
+
+        this.channel = typeof BroadcastChannel !== 'undefined' ?
+            new BroadcastChannel(this.options.channelName) : null;
+        if (this.channel) {
+            this.channel.onmessage = (e) => this.receive(e.data);
+        }
+
+        this.handleActivity = () => this.activity();
+    }
+
+    get remaining() {
+        return Math.max(0, this.lastActivity + this.options.timeout - Date.now());
+    }
+
+    // fresh: a new login starts a new session instead of continuing one
+    start({ fresh = false } = {}) {
+        if (this.running) return;
+        this.running = true;
+
+        // A tab opened later continues from the shared activity time; a value
+        // older than the timeout is left over from a tab that was closed
+        const now = Date.now();
+        const shared = Number(localStorage.getItem(this.options.storageKey));
+        const current = !fresh && shared > 0 && now - shared < this.options.timeout;
+        this.lastActivity = current ? shared : now;
+        if (!current) {
+            this.lastBroadcast = now;
+            localStorage.setItem(this.options.storageKey, String(now));
+        }
+        this.options.activityEvents.forEach(type => {
+            document.addEventListener(type, this.handleActivity, { passive: true, capture: true });
+        });
+        this.timer = setInterval(() => this.tick(), 1000);
+        this.tick();
+    }
+
+    stop() {
+        this.running = false;
+        this.warning = false;
+        clearInterval(this.timer);
+        this.options.activityEvents.forEach(type => {
+            document.removeEventListener(type, this.handleActivity, { capture: true });
+        });
+    }
+
+    // Passive activity does not dismiss an open warning; extend() does
+    activity() {
+        if (!this.running || this.warning) return;
+        this.touch(Date.now());
+    }
+
+    touch(at, broadcast = true) {
+        this.lastActivity = Math.max(this.lastActivity, at);
+        if (!broadcast || at - this.lastBroadcast < this.options.broadcastInterval) return;
+
+        this.lastBroadcast = at;
+        localStorage.setItem(this.options.storageKey, String(at));
+        this.post({ type: 'activity', at: at });
+    }
+
+    // "Blijf ingelogd"
+    extend() {
+        const now = Date.now();
+        this.lastBroadcast = 0;
+        this.touch(now);
+        this.post({ type: 'extend', at: now });
+        this.tick();
+    }
+
+    tick() {
+        if (!this.running) return;
+
+        const remaining = this.remaining;
+        if (remaining <= 0) {
+            this.expire('idle');
+            return;
+        }
+
+        if (remaining <= this.options.warningTime) {
+            this.warning = true;
+            this.options.onWarning(remaining);
+        } else if (this.warning) {
+            this.warning = false;
+            this.options.onActive();
+        }
+    }
+
+    expire(reason) {
+        this.stop();
+        localStorage.removeItem(this.options.storageKey);
+        if (reason === 'idle') this.post({ type: 'timeout' });
+        this.options.onTimeout(reason);
+    }
+
+    // Logout in this tab, e.g. through the menu, ends the session everywhere
+    signOut() {
+        this.stop();
+        localStorage.removeItem(this.options.storageKey);
+        this.post({ type: 'timeout' });
+    }
+
+    post(message) {
+        if (this.channel) this.channel.postMessage(message);
+    }
+
+    receive(message) {
+        if (!this.running || !message) return;
+
+        switch (message.type) {
+            case 'activity':
+                if (!this.warning) this.touch(message.at, false);
+                break;
+            case 'extend':
+                this.touch(message.at, false);
+                this.tick();
+                break;
+            case 'timeout':
+                this.expire('remote');
+                break;
+        }
+    }
+
+    destroy() {
+        this.stop();
+        if (this.channel) this.channel.close();
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IdleTimeout };
+}
@@ -0,0 +1,153 @@
+/**
+ * 112Energie Solar Simulator
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Yearly production estimate for a solar system from its size,
+ * orientation and tilt, the split between self-consumption and feed-in, and
+ * the effect of net metering (salderen) as it is phased out.
+ */
+
+// ==================== REFERENCE DATA ====================
+const SOLAR_DEFAULTS = {
+    panelWattPeak: 430, // Wp per panel
+    specificYield: 875, // kWh per kWp per year, south at 35° in the Netherlands
+    degradation: 0.005, // production loss per year
+    daytimeShare: 0.3 // part of household consumption that falls in daylight
+};
+
+// Share of the optimum yield by orientation and tilt (degrees)
+const SOLAR_ORIENTATION_FACTORS = {
+    S: { 0: 0.87, 15: 0.96, 30: 1.00, 45: 0.99, 60: 0.93, 90: 0.70 },
+    SE: { 0: 0.87, 15: 0.94, 30: 0.96, 45: 0.94, 60: 0.88, 90: 0.67 },
+    SW: { 0: 0.87, 15: 0.94, 30: 0.96, 45: 0.94, 60: 0.88, 90: 0.67 },
+    E: { 0: 0.87, 15: 0.87, 30: 0.84, 45: 0.79, 60: 0.73, 90: 0.56 },
+    W: { 0: 0.87, 15: 0.87, 30: 0.84, 45: 0.79, 60: 0.73, 90: 0.56 },
+    N: { 0: 0.87, 15: 0.77, 30: 0.63, 45: 0.50, 60: 0.40, 90: 0.27 }
+};
+
+// Monthly share of yearly production and of household electricity use
+const SOLAR_MONTHLY_PRODUCTION = [0.025, 0.045, 0.08, 0.115, 0.135, 0.135, 0.135, 0.115, 0.09, 0.065, 0.035, 0.025];
+const MONTHLY_CONSUMPTION = [0.098, 0.089, 0.089, 0.079, 0.074, 0.069, 0.069, 0.071, 0.075, 0.086, 0.096, 0.105];
+
+// Share of feed-in that may be netted against consumption. Salderen ends on
+// 1 January 2027; until 2030 suppliers must pay at least half the supply rate.
+const NET_METERING_SCHEDULE = {
+    2024: 1,
+    2025: 1,
+    2026: 1,
+    2027: 0
+};
+
+const FEED_IN_MINIMUM_SHARE = { until: 2030, share: 0.5 };
+
+// ==================== SOLAR SIMULATOR ====================
+class SolarSimulator {
+    constructor(options = {}) {
+        this.options = { ...SOLAR_DEFAULTS, ...options };
+    }
+
+    static netMeteringShare(year) {
+        const years = Object.keys(NET_METERING_SCHEDULE).map(Number).sort((a, b) => a - b);
+        const match = years.filter(y => y <= year).pop();
+        return match === undefined ? 1 : NET_METERING_SCHEDULE[match];
+    }
+
+    // Compensation per kWh that is not netted; the quote breakdown uses the same rate
+    static feedInTariff(year, rates) {
+        return year < FEED_IN_MINIMUM_SHARE.until ?
+            Math.max(rates.feedInTariff, rates.supply * FEED_IN_MINIMUM_SHARE.share) :
+            rates.feedInTariff;
+    }
+
+    // Interpolates between the tabulated tilts
+    static orientationFactor(orientation = 'S', tilt = 30) {
+        const table = SOLAR_ORIENTATION_FACTORS[orientation] || SOLAR_ORIENTATION_FACTORS.S;
+        const tilts = Object.keys(table).map(Number).sort((a, b) => a - b);
+        const clamped = Math.max(tilts[0], Math.min(tilts[tilts.length - 1], tilt));
+        const upper = tilts.find(t => t >= clamped);
+        const lower = tilts.filter(t => t <= clamped).pop();
+
+        if (upper === lower) return table[upper];
+        const ratio = (clamped - lower) / (upper - lower);
+        return table[lower] + (table[upper] - table[lower]) * ratio;
+    }
+
+    // system: { panels } or { kWp }, plus orientation and tilt
+    systemSize(system) {
+        if (system.kWp) return Number(system.kWp);
+        return (Number(system.panels) || 0) * this.options.panelWattPeak / 1000;
+    }
+
+    yearlyProduction(system, age = 0) {
+        const kWp = this.systemSize(system);
+        const factor = SolarSimulator.orientationFactor(system.orientation, Number(system.tilt));
+        return kWp * this.options.specificYield * factor * Math.pow(1 - this.options.degradation, age);
+    }
+
+    // Month by month: solar covers daytime use first, the rest is fed in
+    split(production, consumption) {
+        let selfConsumed = 0;
+
+        SOLAR_MONTHLY_PRODUCTION.forEach((share, month) => {
+            const produced = production * share;
+            const daytimeUse = consumption * MONTHLY_CONSUMPTION[month] * this.options.daytimeShare;
+            selfConsumed += Math.min(produced, daytimeUse);
+        });
+
+        const fedIn = production - selfConsumed;
+        return {
+            production: production,
+            selfConsumed: selfConsumed,
+            fedIn: fedIn,
+            gridImport: Math.max(0, consumption - selfConsumed)
+        };
+    }
+
+    /**
+     * Electricity balance for one calendar year.
+     * rates: { supply, energyTax, vat, feedInTariff, feedInCost } per kWh excl. VAT
+     */
+    simulateYear(system, consumption, year, rates, age = 0) {
+        const flows = this.split(this.yearlyProduction(system, age), consumption);
+        const netShare = SolarSimulator.netMeteringShare(year);
+
+        // Netting can never bring the metered volume below zero
+        const netted = Math.min(flows.fedIn, flows.gridImport) * netShare;
+        const unnetted = flows.fedIn - netted;
+
+        const feedInTariff = SolarSimulator.feedInTariff(year, rates);
+
+        const allIn = (rates.supply + rates.energyTax) * (1 + rates.vat);
+        const savings = {
+            selfConsumption: flows.selfConsumed * allIn,
+            netMetering: netted * allIn,
+            feedInCompensation: unnetted * feedInTariff * (1 + rates.vat),
+            feedInCosts: -flows.fedIn * rates.feedInCost * (1 + rates.vat)
+        };
+
+        return {
+            year: year,
+            ...flows,
+            netted: netted,
+            unnetted: unnetted,
+            netMeteringShare: netShare,
+            feedInTariff: feedInTariff,
+            billedConsumption: flows.gridImport - netted,
+            savings: savings,
+            totalSavings: Object.values(savings).reduce((sum, value) => sum + value, 0)
+        };
+    }
+
+    project(system, consumption, rates, years = 10, startYear = new Date().getFullYear()) {
+        const projection = [];
+        for (let age = 0; age < years; age++) {
+            projection.push(this.simulateYear(system, consumption, startYear + age, rates, age));
+        }
+        return projection;
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SolarSimulator, NET_METERING_SCHEDULE, SOLAR_ORIENTATION_FACTORS };
+}
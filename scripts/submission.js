@@ -0,0 +1,288 @@
+/**
+ * 112Energie Submission
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Posts form submissions to the API as JSON with an idempotency
+ * key, a timeout and retry with backoff. Submissions that cannot be delivered
+ * wait in an IndexedDB outbox and are sent once the browser is back online.
+ *
+ * Error responses are expected as
+ *   { "error": { "code": "VALIDATION_FAILED", "message": "...", "fields": { "email": "..." } } }
+ */
+
+// ==================== ERRORS ====================
+class SubmissionError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = details.status || 0; // 0: no response (offline, timeout)
+        this.code = details.code || null;
+        this.fields = details.fields || null; // field name -> message
+        this.retryAfter = details.retryAfter || null; // ms, from Retry-After
+    }
+
+    // Worth trying again with the same idempotency key
+    get retryable() {
+        return this.status === 0 || SubmissionClient.RETRY_STATUSES.includes(this.status);
+    }
+}
+
+// ==================== OUTBOX ====================
+// One record per undelivered submission: { key, path, body, createdAt, attempts, lastError }
+class SubmissionOutbox {
+    constructor(options = {}) {
+        this.options = {
+            dbName: '112energie-outbox',
+            storeName: 'submissions',
+            ...options
+        };
+        this.opening = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    open() {
+        if (!this.opening) {
+            const request = indexedDB.open(this.options.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.options.storeName, { keyPath: 'key' });
+            };
+            this.opening = SubmissionOutbox.request(request).catch(error => {
+                this.opening = null;
+                throw error;
+            });
+        }
+        return this.opening;
+    }
+
+    async store(mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(this.options.storeName, mode).objectStore(this.options.storeName);
+    }
+
+    async put(entry) {
+        await SubmissionOutbox.request((await this.store('readwrite')).put(entry));
+        return entry;
+    }
+
+    // Oldest first, so submissions go out in the order they were made
+    async list() {
+        const entries = await SubmissionOutbox.request((await this.store()).getAll());
+        return entries.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async remove(key) {
+        await SubmissionOutbox.request((await this.store('readwrite')).delete(key));
+    }
+
+    async clear() {
+        await SubmissionOutbox.request((await this.store('readwrite')).clear());
+    }
+}
+
+// ==================== CLIENT ====================
+class SubmissionClient {
+    constructor(options = {}) {
+        this.options = {
+            endpoint: '',
+            timeout: 15000,
+            retries: 3, // after the first attempt
+            retryDelay: 1000, // doubled for every retry, with jitter
+            maxRetryDelay: 30000,
+            outbox: SubmissionOutbox.isSupported() ? new SubmissionOutbox() : null,
+            headers: {},
+            onSent: () => {}, // (entry, result) for outbox submissions delivered later
+            onFailed: () => {}, // (entry, error) for outbox submissions the server rejected
+            ...options
+        };
+
+        this.flushing = null;
+        this.handleOnline = () => this.flush().catch(error => console.warn('Outbox flush failed:', error));
+    }
+
+    static get RETRY_STATUSES() {
+        return [408, 425, 429, 500, 502, 503, 504];
+    }
+
+    static createKey() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    static isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    url(path) {
+        return `${this.options.endpoint.replace(/\/$/, '')}/${path.replace(/^\//, '')}`;
+    }
+
+    /**
+     * Posts once. Resolves to the parsed response body; rejects with a
+     * SubmissionError (status 0 when there was no response).
+     */
+    async request(path, body, key) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+        let response;
+        try {
+            response = await fetch(this.url(path), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Idempotency-Key': key,
+                    ...this.options.headers
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new SubmissionError(error.name === 'AbortError' ?
+                'De server reageert niet, probeer het later opnieuw' :
+                'Geen verbinding met de server');
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const payload = await response.json().catch(() => null);
+        if (response.ok) return payload || {};
+
+        const error = (payload && payload.error) || {};
+        const retryAfter = Number(response.headers.get('Retry-After'));
+        throw new SubmissionError(error.message || `Versturen mislukt (${response.status})`, {
+            status: response.status,
+            code: error.code,
+            fields: error.fields,
+            retryAfter: retryAfter > 0 ? retryAfter * 1000 : null
+        });
+    }
+
+    // Retries transient failures with the same key, so the server sees one submission
+    async send(path, body, key = SubmissionClient.createKey()) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.request(path, body, key);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.options.retries || SubmissionClient.isOffline()) {
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, this.delay(attempt, error)));
+            }
+        }
+    }
+
+    delay(attempt, error) {
+        if (error.retryAfter) return Math.min(error.retryAfter, this.options.maxRetryDelay);
+
+        const base = this.options.retryDelay * Math.pow(2, attempt);
+        return Math.min(base / 2 + Math.random() * base / 2, this.options.maxRetryDelay);
+    }
+
+    /**
+     * Sends a submission, falling back to the outbox when it cannot be
+     * delivered now. Resolves to { queued: false, key, result } or
+     * { queued: true, key }; rejects when the server refuses it.
+     */
+    async submit(path, body) {
+        const key = SubmissionClient.createKey();
+
+        if (!SubmissionClient.isOffline()) {
+            try {
+                return { queued: false, key: key, result: await this.send(path, body, key) };
+            } catch (error) {
+                if (!error.retryable || !this.options.outbox) throw error;
+                console.warn('Submission queued after failed delivery:', error.message);
+            }
+        }
+
+        if (!this.options.outbox) {
+            throw new SubmissionError('Je bent offline. Probeer het opnieuw zodra je verbinding hebt');
+        }
+
+        await this.options.outbox.put({
+            key: key,
+            path: path,
+            body: body,
+            createdAt: Date.now(),
+            attempts: 0,
+            lastError: null
+        });
+        return { queued: true, key: key };
+    }
+
+    // Delivers queued submissions; concurrent calls share one run
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.flushOutbox().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async flushOutbox() {
+        const outbox = this.options.outbox;
+        const summary = { sent: 0, failed: 0, remaining: 0 };
+        if (!outbox || SubmissionClient.isOffline()) return summary;
+
+        const entries = await outbox.list();
+        for (const entry of entries) {
+            try {
+                const result = await this.send(entry.path, entry.body, entry.key);
+                await outbox.remove(entry.key);
+                summary.sent++;
+                this.options.onSent(entry, result);
+            } catch (error) {
+                if (error.retryable) {
+                    // Still unreachable; the rest waits for the next attempt
+                    await outbox.put({ ...entry, attempts: entry.attempts + 1, lastError: error.message });
+                    summary.remaining = entries.length - summary.sent - summary.failed;
+                    return summary;
+                }
+                await outbox.remove(entry.key);
+                summary.failed++;
+                this.options.onFailed(entry, error);
+            }
+        }
+        return summary;
+    }
+
+    // Drops queued submissions, e.g. on logout on a shared computer; resolves to how many
+    async discard() {
+        const outbox = this.options.outbox;
+        if (!outbox) return 0;
+
+        const entries = await outbox.list();
+        await outbox.clear();
+        return entries.length;
+    }
+
+    // Flushes now and whenever connectivity returns
+    watch() {
+        window.addEventListener('online', this.handleOnline);
+        this.handleOnline();
+        return this;
+    }
+
+    destroy() {
+        window.removeEventListener('online', this.handleOnline);
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SubmissionClient, SubmissionOutbox, SubmissionError };
+}
@@ -0,0 +1,223 @@
+/**
+ * 112Energie Tariff Engine
+ * Version: 2.0
+ * Updated: 2025
+ * Description: Dutch energy taxes and a dynamic (hourly EPEX day-ahead) tariff
+ * engine. Loads price files (JSON/CSV), adds energy tax, supplier surcharge
+ * and VAT, and prices consumption per interval.
+ */
+
+// ==================== DUTCH TAXES ====================
+// Amounts excluding VAT. Brackets are annual consumption per connection.
+const DUTCH_TAXES = {
+    2025: {
+        vat: 0.21,
+        electricity: [
+            { upTo: 2900, rate: 0.10154 },
+            { upTo: 10000, rate: 0.10154 },
+            { upTo: 50000, rate: 0.06937 },
+            { upTo: 10000000, rate: 0.03868 },
+            { upTo: Infinity, rate: 0.00321 }
+        ],
+        gas: [
+            { upTo: 1000, rate: 0.57816 },
+            { upTo: 170000, rate: 0.57816 },
+            { upTo: 1000000, rate: 0.31573 },
+            { upTo: 10000000, rate: 0.09462 },
+            { upTo: Infinity, rate: 0.06921 }
+        ],
+        // ODE was merged into the energy tax in 2023; kept for older quotes
+        surcharge: { electricity: 0, gas: 0 },
+        taxCredit: 524.95 // heffingskorting per connection per year
+    }
+};
+
+function getTaxYear(date = new Date()) {
+    const year = new Date(date).getFullYear();
+    const years = Object.keys(DUTCH_TAXES).map(Number).sort((a, b) => a - b);
+    const match = years.filter(y => y <= year).pop() || years[0];
+    return DUTCH_TAXES[match];
+}
+
+// ==================== PRICE FILES ====================
+const PriceFile = {
+    // Accepts [{ start, price }], { prices: [...] } or { Prices: [{ readingDate, price }] }
+    parseJSON(text, unit = 'kWh') {
+        const json = typeof text === 'string' ? JSON.parse(text) : text;
+        const rows = Array.isArray(json) ? json : (json.prices || json.Prices || []);
+        const fileUnit = json.unit || unit;
+
+        return rows.map(row => ({
+            start: new Date(row.start || row.readingDate || row.from).getTime(),
+            price: this.toKwh(Number(row.price), fileUnit)
+        }));
+    },
+
+    // "start;price" or "datetime,price"; Dutch decimal commas are allowed
+    // with semicolon separators. A header mentioning MWh switches units.
+    parseCSV(text, unit = 'kWh') {
+        const lines = text.trim().split(/\r?\n/);
+        const separator = lines[0].includes(';') ? ';' : ',';
+        let fileUnit = unit;
+
+        if (!/^\d/.test(lines[0])) {
+            if (/mwh/i.test(lines[0])) fileUnit = 'MWh';
+            lines.shift();
+        }
+
+        return lines.filter(Boolean).map(line => {
+            const [start, price] = line.split(separator).map(value => value.trim().replace(/^"|"$/g, ''));
+            const number = separator === ';' ? price.replace(',', '.') : price;
+            return {
+                start: new Date(start).getTime(),
+                price: this.toKwh(parseFloat(number), fileUnit)
+            };
+        });
+    },
+
+    toKwh(price, unit) {
+        return /mwh/i.test(unit) ? price / 1000 : price;
+    },
+
+    parse(text, format) {
+        const rows = format === 'csv' || (!format && !/^\s*[[{]/.test(text)) ?
+            this.parseCSV(text) : this.parseJSON(text);
+
+        const invalid = rows.find(row => isNaN(row.start) || isNaN(row.price));
+        if (invalid) {
+            throw new Error('Prijsbestand bevat ongeldige regels');
+        }
+        return rows.sort((a, b) => a.start - b.start);
+    }
+};
+
+// ==================== TARIFF ENGINE ====================
+class TariffEngine {
+    constructor(options = {}) {
+        this.options = {
+            pricesUrl: null, // e.g. 'data/prices/{date}.json'
+            surcharge: 0.02, // supplier margin per kWh, excl. VAT
+            gasPrice: null, // fixed gas price per m³ excl. tax/VAT; null = flat fallback
+            gasSurcharge: 0.05,
+            exportCredit: 'allIn', // 'allIn' while salderen applies, 'epex' without
+            interval: 3600000, // day-ahead prices are hourly
+            fallback: { electricity: 0.45, gas: 1.50 }, // all-in, for hours without a price
+            ...options
+        };
+
+        this.prices = []; // [{ start, price }] EUR/kWh excl. VAT, sorted
+        this.loadedDays = new Set();
+    }
+
+    static dateKey(date) {
+        const d = new Date(date);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    addPrices(rows) {
+        const byStart = new Map(this.prices.map(row => [row.start, row]));
+        rows.forEach(row => byStart.set(row.start, row));
+        this.prices = [...byStart.values()].sort((a, b) => a.start - b.start);
+    }
+
+    load(text, format) {
+        const rows = PriceFile.parse(text, format);
+        this.addPrices(rows);
+        return rows.length;
+    }
+
+    async loadDay(date = new Date()) {
+        const key = TariffEngine.dateKey(date);
+        if (this.loadedDays.has(key) || !this.options.pricesUrl) return this.loadedDays.has(key);
+
+        const url = this.options.pricesUrl.replace('{date}', key);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Day-ahead prijzen voor ${key} niet beschikbaar (${response.status})`);
+        }
+
+        this.load(await response.text(), url.endsWith('.csv') ? 'csv' : 'json');
+        this.loadedDays.add(key);
+        return true;
+    }
+
+    // Market price (EUR/kWh excl. VAT) of the interval containing ts
+    marketPriceAt(ts) {
+        const time = new Date(ts).getTime();
+        let low = 0;
+        let high = this.prices.length - 1;
+        let match = null;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (this.prices[mid].start <= time) {
+                match = this.prices[mid];
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return match && time < match.start + this.options.interval ? match.price : null;
+    }
+
+    hasPrice(ts) {
+        return this.marketPriceAt(ts) !== null;
+    }
+
+    // All-in consumer price per kWh: (market + surcharge + energy tax) × VAT
+    priceAt(ts) {
+        const market = this.marketPriceAt(ts);
+        if (market === null) return null;
+
+        const taxes = getTaxYear(ts);
+        const energyTax = taxes.electricity[0].rate + taxes.surcharge.electricity;
+        return (market + this.options.surcharge + energyTax) * (1 + taxes.vat);
+    }
+
+    exportPriceAt(ts) {
+        if (this.options.exportCredit === 'allIn') return this.priceAt(ts);
+
+        const market = this.marketPriceAt(ts);
+        return market === null ? null : market * (1 + getTaxYear(ts).vat);
+    }
+
+    gasPriceAt(ts) {
+        if (this.options.gasPrice === null) return null;
+
+        const taxes = getTaxYear(ts);
+        return (this.options.gasPrice + this.options.gasSurcharge + taxes.gas[0].rate + taxes.surcharge.gas) *
+            (1 + taxes.vat);
+    }
+
+    // delta: { importKwh, exportKwh, gasM3 } for one interval ending at ts
+    cost(delta, ts) {
+        const { fallback } = this.options;
+        const price = this.priceAt(ts) ?? fallback.electricity;
+        const exportPrice = this.exportPriceAt(ts) ?? fallback.electricity;
+        const gasPrice = this.gasPriceAt(ts) ?? fallback.gas;
+
+        return delta.importKwh * price - delta.exportKwh * exportPrice + delta.gasM3 * gasPrice;
+    }
+
+    // Average supply price (market + surcharge, excl. tax/VAT) over the loaded hours
+    averageSupplyPrice() {
+        if (this.prices.length === 0) return null;
+        const total = this.prices.reduce((sum, row) => sum + row.price, 0);
+        return total / this.prices.length + this.options.surcharge;
+    }
+
+    // Price curve for the chart: [{ t, price }] all-in EUR/kWh
+    curve(from, to) {
+        const fromTs = new Date(from).getTime();
+        const toTs = new Date(to).getTime();
+        return this.prices
+            .filter(row => row.start >= fromTs && row.start < toTs)
+            .map(row => ({ t: row.start, price: this.priceAt(row.start) }));
+    }
+}
+
+// Export for Node (price file tooling)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DUTCH_TAXES, getTaxYear, PriceFile, TariffEngine };
+}
@@ -0,0 +1,426 @@
+/**
+ * 112Energie Form Validation
+ * Version: 2.0
+ * Updated: 2025
+ * Description: One validation engine for every form on the site. Rules come
+ * from HTML attributes (required, minlength, min, pattern, type,
+ * data-validate, data-min-date, data-match, ...) or from a schema passed in
+ * code. Supports async and cross-field validators, Dutch and English
+ * messages, and wires errors to the field with aria-invalid and
+ * aria-describedby.
+ */
+
+// ==================== MESSAGES ====================
+// {placeholders} are filled from the rule; data-message-<rule> overrides per field
+const VALIDATION_MESSAGES = {
+    nl: {
+        required: 'Dit veld is verplicht',
+        requiredChoice: 'Maak een keuze',
+        requiredCheck: 'Vink dit aan om verder te gaan',
+        email: 'Voer een geldig e-mailadres in',
+        tel: 'Voer een geldig telefoonnummer in',
+        url: 'Voer een geldig webadres in',
+        number: 'Voer een getal in',
+        date: 'Voer een geldige datum in',
+        password: 'Wachtwoord moet minimaal 8 karakters bevatten',
+        minLength: 'Vul minimaal {minLength} tekens in',
+        maxLength: 'Vul maximaal {maxLength} tekens in',
+        min: 'De waarde moet minimaal {min} zijn',
+        max: 'De waarde mag maximaal {max} zijn',
+        pattern: 'Dit formaat klopt niet',
+        minDate: 'Kies een datum op of na {minDate}',
+        maxDate: 'Kies een datum op of voor {maxDate}',
+        match: 'De waarden komen niet overeen',
+        differs: 'Deze waarde moet anders zijn dan het andere veld',
+        invalid: 'Deze waarde is ongeldig'
+    },
+    en: {
+        required: 'This field is required',
+        requiredChoice: 'Please make a choice',
+        requiredCheck: 'Please tick this box to continue',
+        email: 'Enter a valid email address',
+        tel: 'Enter a valid phone number',
+        url: 'Enter a valid web address',
+        number: 'Enter a number',
+        date: 'Enter a valid date',
+        password: 'Password must be at least 8 characters',
+        minLength: 'Enter at least {minLength} characters',
+        maxLength: 'Enter at most {maxLength} characters',
+        min: 'The value must be at least {min}',
+        max: 'The value must be at most {max}',
+        pattern: 'This format is not valid',
+        minDate: 'Choose a date on or after {minDate}',
+        maxDate: 'Choose a date on or before {maxDate}',
+        match: 'The values do not match',
+        differs: 'This value must differ from the other field',
+        invalid: 'This value is not valid'
+    }
+};
+
+// ==================== NAMED VALIDATORS ====================
+// data-validate="name other" runs these in order. A validator receives
+// (value, field, context) and returns null/true when valid, or a message
+// (or false for the generic one). It may return a Promise.
+const FORM_VALIDATORS = {
+    email(value) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value) ? null : false;
+    },
+
+    // Dutch numbers (10 digits from 0) or international with + / 00
+    tel(value) {
+        const digits = value.replace(/[\s\-().]/g, '');
+        if (/^0\d{9}$/.test(digits)) return null;
+        return /^(\+|00)[1-9]\d{7,14}$/.test(digits) ? null : false;
+    },
+
+    url(value) {
+        try {
+            const url = new URL(value);
+            return /^https?:$/.test(url.protocol) ? null : false;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    number(value) {
+        return isNaN(FormValidator.toNumber(value)) ? false : null;
+    },
+
+    password(value) {
+        return value.length >= 8 ? null : false;
+    }
+};
+
+// ==================== FORM VALIDATOR ====================
+class FormValidator {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.options = {
+            schema: {}, // { fieldName: { required, minLength, pattern, validate: [...], messages: {...} } }
+            locale: null, // defaults to <html lang>
+            ...options
+        };
+        this.runs = new WeakMap(); // field -> latest validation, so stale async results are dropped
+    }
+
+    static register(name, validator) {
+        FORM_VALIDATORS[name] = validator;
+    }
+
+    // Accepts Dutch decimal commas
+    static toNumber(value) {
+        const text = String(value).trim().replace(/\s/g, '');
+        return /^-?\d+(,\d+)?$/.test(text) ? Number(text.replace(',', '.')) : Number(text);
+    }
+
+    get locale() {
+        const lang = (this.options.locale || document.documentElement.lang || 'nl').slice(0, 2).toLowerCase();
+        return VALIDATION_MESSAGES[lang] ? lang : 'nl';
+    }
+
+    // Fields the engine looks at; buttons and hidden inputs are skipped and
+    // a radio group is represented by its first button
+    fields(root = this.form) {
+        const radioGroups = new Set();
+        return Array.from(root.querySelectorAll('input, select, textarea'))
+            .filter(field => field.name || field.id)
+            .filter(field => !['submit', 'button', 'reset', 'hidden'].includes(field.type))
+            .filter(field => {
+                if (field.type !== 'radio') return true;
+                if (radioGroups.has(field.name)) return false;
+                radioGroups.add(field.name);
+                return true;
+            });
+    }
+
+    // ==================== RULES ====================
+    // Attribute rules, overridden by the schema entry for the field
+    rules(field) {
+        const data = field.dataset;
+        const attribute = (name) => field.getAttribute(name);
+        const rules = {
+            required: field.required,
+            type: field.type,
+            minLength: attribute('minlength') !== null ? Number(attribute('minlength')) : null,
+            maxLength: attribute('maxlength') !== null ? Number(attribute('maxlength')) : null,
+            min: field.type !== 'date' && attribute('min') !== null ? Number(attribute('min')) : null,
+            max: field.type !== 'date' && attribute('max') !== null ? Number(attribute('max')) : null,
+            pattern: attribute('pattern'),
+            minDate: data.minDate || (field.type === 'date' ? attribute('min') : null),
+            maxDate: data.maxDate || (field.type === 'date' ? attribute('max') : null),
+            match: data.match || null,
+            differs: data.differs || null,
+            validate: data.validate ? data.validate.split(/\s+/).filter(Boolean) : [],
+            messages: {}
+        };
+
+        Object.keys(data)
+            .filter(key => /^message[A-Z]/.test(key))
+            .forEach(key => {
+                const rule = key.slice(7);
+                rules.messages[rule[0].toLowerCase() + rule.slice(1)] = data[key];
+            });
+
+        const schema = this.options.schema[field.name] || this.options.schema[field.id] || {};
+        return {
+            ...rules,
+            ...schema,
+            validate: [...rules.validate, ...(schema.validate || [])],
+            messages: { ...rules.messages, ...(schema.messages || {}) }
+        };
+    }
+
+    message(rule, rules, params = {}) {
+        const template = rules.messages[rule] || VALIDATION_MESSAGES[this.locale][rule] || VALIDATION_MESSAGES[this.locale].invalid;
+        const values = { ...rules, ...params };
+        return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+    }
+
+    value(field) {
+        if (field.type === 'checkbox') return field.checked;
+        if (field.type === 'radio') {
+            const checked = this.form.querySelector(`input[type="radio"][name="${field.name}"]:checked`);
+            return checked ? checked.value : '';
+        }
+        return field.value.trim();
+    }
+
+    fieldByName(name) {
+        return this.form.querySelector(`[name="${name}"]`) || this.form.querySelector(`#${name}`);
+    }
+
+    values() {
+        const values = {};
+        this.fields().forEach(field => {
+            values[field.name || field.id] = this.value(field);
+        });
+        return values;
+    }
+
+    // 'today', 'tomorrow', '+30d', '-18y', '+1m', an ISO date or 'field:name'
+    resolveDate(reference) {
+        if (!reference) return null;
+
+        if (reference.startsWith('field:')) {
+            const other = this.fieldByName(reference.slice(6));
+            return other && other.value ? this.resolveDate(other.value) : null;
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        if (reference === 'today') return today;
+        if (reference === 'tomorrow') return new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+
+        const offset = reference.match(/^([+-]\d+)([dmy])$/);
+        if (offset) {
+            const amount = Number(offset[1]);
+            const date = new Date(today);
+            if (offset[2] === 'd') date.setDate(date.getDate() + amount);
+            if (offset[2] === 'm') date.setMonth(date.getMonth() + amount);
+            if (offset[2] === 'y') date.setFullYear(date.getFullYear() + amount);
+            return date;
+        }
+
+        // Date inputs give YYYY-MM-DD, which Date would read as UTC
+        const iso = reference.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(reference);
+        if (isNaN(date) || (iso && date.getDate() !== Number(iso[3]))) return null;
+        date.setHours(0, 0, 0, 0);
+        return date;
+    }
+
+    formatDate(date) {
+        return date.toLocaleDateString(this.locale === 'en' ? 'en-GB' : 'nl-NL', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    // ==================== CHECKING ====================
+    /**
+     * Runs the rules for one field without touching the DOM.
+     * Resolves to { valid, rule, message }.
+     */
+    async check(field) {
+        const rules = this.rules(field);
+        const value = this.value(field);
+        const fail = (rule, params, message) => ({ valid: false, rule: rule, message: message || this.message(rule, rules, params) });
+
+        if (field.disabled) return { valid: true, rule: null, message: null };
+
+        if (value === '' || value === false) {
+            if (!rules.required) return { valid: true, rule: null, message: null };
+            if (field.type === 'checkbox') return fail('required', {}, rules.messages.required || this.message('requiredCheck', rules));
+            if (field.type === 'radio' || field.tagName === 'SELECT') return fail('required', {}, rules.messages.required || this.message('requiredChoice', rules));
+            return fail('required');
+        }
+        if (typeof value === 'boolean') return { valid: true, rule: null, message: null };
+
+        const typeValidator = ['email', 'tel', 'url', 'number', 'password'].includes(rules.type) ? rules.type : null;
+        if (typeValidator && FORM_VALIDATORS[typeValidator](value, field, this) === false) return fail(typeValidator);
+
+        if (rules.minLength !== null && value.length < rules.minLength) return fail('minLength');
+        if (rules.maxLength !== null && value.length > rules.maxLength) return fail('maxLength');
+
+        if (rules.min !== null || rules.max !== null) {
+            const number = FormValidator.toNumber(value);
+            if (isNaN(number)) return fail('number');
+            if (rules.min !== null && number < rules.min) return fail('min');
+            if (rules.max !== null && number > rules.max) return fail('max');
+        }
+
+        if (rules.pattern) {
+            const pattern = rules.pattern instanceof RegExp ? rules.pattern : new RegExp(`^(?:${rules.pattern})$`, 'u');
+            if (!pattern.test(value)) return fail('pattern');
+        }
+
+        if (rules.minDate || rules.maxDate || rules.type === 'date') {
+            const date = this.resolveDate(value);
+            if (!date) return fail('date');
+
+            const minDate = this.resolveDate(rules.minDate);
+            const maxDate = this.resolveDate(rules.maxDate);
+            if (minDate && date < minDate) return fail('minDate', { minDate: this.formatDate(minDate) });
+            if (maxDate && date > maxDate) return fail('maxDate', { maxDate: this.formatDate(maxDate) });
+        }
+
+        if (rules.match) {
+            const other = this.fieldByName(rules.match);
+            if (other && other.value.trim() !== value) return fail('match');
+        }
+        if (rules.differs) {
+            const other = this.fieldByName(rules.differs);
+            const normalize = (text) => text.replace(/[\s.-]/g, '').toUpperCase();
+            if (other && other.value.trim() && normalize(other.value) === normalize(value)) return fail('differs');
+        }
+
+        for (const name of rules.validate) {
+            const validator = FORM_VALIDATORS[name];
+            if (!validator) {
+                console.warn(`Unknown validator: ${name}`);
+                continue;
+            }
+
+            const result = await validator(value, field, this);
+            if (result === false) return fail(name);
+            if (typeof result === 'string') return fail(name, {}, rules.messages[name] || result);
+        }
+
+        return { valid: true, rule: null, message: null };
+    }
+
+    // Checks one field and shows or clears its error
+    async validateField(field) {
+        const run = {};
+        this.runs.set(field, run);
+
+        const result = await this.check(field);
+        if (this.runs.get(field) !== run) return result.valid; // a newer check is rendering
+
+        if (result.valid) {
+            this.clearError(field);
+            if (this.value(field) !== '') field.classList.add('valid');
+        } else {
+            this.showError(field, result.message);
+        }
+        return result.valid;
+    }
+
+    // Validates every field (or those under root); focuses the first invalid one
+    async validateForm(root = this.form) {
+        const fields = this.fields(root);
+        const results = await Promise.all(fields.map(field => this.validateField(field)));
+        const firstInvalid = fields.find((field, i) => !results[i]);
+
+        if (firstInvalid) {
+            firstInvalid.focus();
+            return false;
+        }
+        return true;
+    }
+
+    // ==================== ERROR DISPLAY ====================
+    errorId(field) {
+        if (field.type === 'radio') {
+            field = this.form.querySelector(`input[type="radio"][name="${field.name}"]`) || field;
+        }
+        if (!field.id) {
+            field.id = `field-${field.name || 'input'}-${Math.random().toString(36).slice(2, 8)}`;
+        }
+        return `${field.id}-error`;
+    }
+
+    // Radio groups share one message after the group
+    errorContainer(field) {
+        if (field.type === 'radio') {
+            return field.closest('fieldset, .form-group, .form-section') || field.parentElement;
+        }
+        return field.parentElement;
+    }
+
+    showError(field, message) {
+        const id = this.errorId(field);
+        const container = this.errorContainer(field);
+        let error = container.querySelector(`[id="${id}"]`);
+
+        if (!error) {
+            error = document.createElement('span');
+            error.className = 'field-error';
+            error.id = id;
+            error.setAttribute('aria-live', 'polite');
+            container.appendChild(error);
+        }
+        error.textContent = message;
+
+        field.classList.add('error');
+        field.classList.remove('valid');
+        field.setAttribute('aria-invalid', 'true');
+
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+        if (!describedBy.includes(id)) {
+            field.setAttribute('aria-describedby', [...describedBy, id].join(' '));
+        }
+    }
+
+    clearError(field) {
+        const id = this.errorId(field);
+        const error = this.errorContainer(field).querySelector(`[id="${id}"]`);
+        if (error) error.remove();
+
+        field.classList.remove('error');
+        field.removeAttribute('aria-invalid');
+
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+        if (describedBy.length > 0) {
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    }
+
+    // Errors reported by the server ({ name: message }); returns the fields found, in form order
+    showErrors(errors) {
+        const fields = Object.keys(errors || {})
+            .map(name => this.fieldByName(name))
+            .filter(Boolean)
+            .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+
+        fields.forEach(field => this.showError(field, errors[field.name || field.id]));
+        return fields;
+    }
+
+    // Validate on blur and, debounced, while typing
+    bind(delay = 500) {
+        this.fields().forEach(field => {
+            let timer = null;
+            field.addEventListener('blur', () => this.validateField(field));
+            field.addEventListener('input', () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => this.validateField(field), delay);
+            });
+        });
+        return this;
+    }
+}
+
+// Export for Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FormValidator, FORM_VALIDATORS, VALIDATION_MESSAGES };
+}
@@ -0,0 +1,121 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AdvanceForecast, AdvanceAdvisor } = require('../scripts/advance.js');
+const { DEFAULT_TARIFF } = require('../scripts/calculator.js');
+const { DUTCH_TAXES } = require('../scripts/tariffs.js');
+
+const TARIFF = { ...DEFAULT_TARIFF, taxes: DUTCH_TAXES[2025] };
+const HOUR = 60 * 60 * 1000;
+
+// Daily rollups from 1 January, as HistoryStore writes them
+function rollups(year, count, { importKwh = 8, exportKwh = 0, gasM3 = 3, coveredMs = 24 * HOUR } = {}) {
+    return Array.from({ length: count }, (_, index) => ({
+        start: new Date(year, 0, 1 + index).getTime(),
+        importKwh: importKwh,
+        exportKwh: exportKwh,
+        gasM3: gasM3,
+        coveredMs: coveredMs
+    }));
+}
+
+function forecast(days, date, options = {}) {
+    return AdvanceForecast.forecast({
+        days: days,
+        advance: { amount: 150, dayOfMonth: 1 },
+        connection: '3x25A',
+        gasConnection: 'G4',
+        date: date,
+        ...options
+    }, TARIFF);
+}
+
+test('no forecast before MIN_DAYS days were measured', () => {
+    assert.equal(forecast(rollups(2025, 13), new Date(2025, 1, 1)), null);
+    assert.ok(forecast(rollups(2025, 14), new Date(2025, 1, 1)));
+});
+
+test('today and other years are left out', () => {
+    const days = [...rollups(2024, 30), ...rollups(2025, 14)];
+    assert.equal(forecast(days, new Date(2025, 0, 14)), null);
+    assert.equal(forecast(days, new Date(2025, 0, 15)).days, 14);
+});
+
+test('a full January is projected with its seasonal share', () => {
+    const result = forecast(rollups(2025, 31), new Date(2025, 1, 1));
+
+    assert.equal(result.days, 31);
+    assert.equal(result.coverage, 0.1); // 0.104 for January, rounded
+    assert.equal(result.usage.import, Math.round(31 * 8 / 0.104));
+    assert.equal(result.usage.gas, Math.round(31 * 3 / 0.17));
+    assert.equal(result.confidence, 'low');
+});
+
+test('coverage is weighted by the measured time of each day', () => {
+    const full = forecast(rollups(2025, 31), new Date(2025, 1, 1));
+
+    // An hour a day for a month is not a month of data
+    const visits = rollups(2025, 31, { importKwh: 8 / 24, gasM3: 3 / 24, coveredMs: HOUR });
+    assert.equal(forecast(visits, new Date(2025, 1, 1)), null);
+
+    // Half days measure half the volume and project to the same year
+    const halves = forecast(rollups(2025, 31, { importKwh: 4, gasM3: 1.5, coveredMs: 12 * HOUR }), new Date(2025, 1, 1));
+    assert.equal(halves.days, 15);
+    assert.equal(halves.usage.import, full.usage.import);
+    assert.equal(halves.usage.gas, full.usage.gas);
+
+    // Rollups without a recorded duration do not count
+    const unknown = rollups(2025, 31).map(({ coveredMs, ...day }) => day);
+    assert.equal(forecast(unknown, new Date(2025, 1, 1)), null);
+});
+
+test('fed-in energy is netted and compensated like in the calculator', () => {
+    const days = rollups(2025, 31, { importKwh: 8, exportKwh: 1 });
+
+    // 2025: everything fed in is netted against what is drawn
+    const netted = forecast(days, new Date(2025, 1, 1));
+    assert.equal(netted.usage.net, Math.round(netted.usage.import - 31 / 0.02));
+    assert.ok(netted.breakdown.lines.find(line => line.key === 'feedInCompensation').amount === 0);
+    assert.ok(netted.breakdown.lines.find(line => line.key === 'feedInCosts').amount > 0);
+
+    // 2027: nothing is netted, all of it is paid at the feed-in tariff
+    const later = forecast(rollups(2027, 31, { importKwh: 8, exportKwh: 1 }), new Date(2027, 1, 1));
+    assert.equal(later.usage.net, later.usage.import);
+    assert.ok(later.breakdown.lines.find(line => line.key === 'feedInCompensation').amount < 0);
+});
+
+test('settlement and advice follow the charged advances', () => {
+    const date = new Date(2025, 2, 15);
+    const result = forecast(rollups(2025, 60), date, { advance: { amount: 50, dayOfMonth: 1 } });
+
+    assert.equal(result.chargedMonths, 3);
+    assert.equal(result.remainingMonths, 9);
+    assert.equal(result.advances, 600);
+    assert.ok(Math.abs(result.settlement - (result.yearly - 600)) < 0.01);
+    assert.equal(result.recommended, Math.ceil(result.yearly / 12));
+    assert.ok(Math.abs(result.settlementAfter - (result.yearly - 150 - result.recommended * 9)) < 0.01);
+
+    const invoices = [{ type: 'advance', date: '2025-01-01', amount: 40 }, { type: 'annual', date: '2025-02-01', amount: 300 }];
+    const invoiced = forecast(rollups(2025, 60), date, { advance: { amount: 50, dayOfMonth: 1 }, invoices });
+    assert.equal(invoiced.chargedMonths, 1);
+    assert.equal(invoiced.charged, 40);
+});
+
+test('the advisor reads the history of the contract meter, not the monitor meter', async () => {
+    const queried = [];
+    const monitor = {
+        meterId: 'demo',
+        history: { query: async (meterId) => { queried.push(meterId); return meterId === 'demo' ? rollups(2025, 60) : []; } }
+    };
+    const contract = {
+        connections: [
+            { product: 'electricity', ean: '871687120000000011', capacity: '3x25A' },
+            { product: 'gas', ean: '871694120000000015', capacity: 'G4' }
+        ]
+    };
+
+    const advisor = new AdvanceAdvisor({ monitor: monitor, tariff: () => TARIFF });
+    assert.equal(await advisor.forecast(contract, { amount: 150, dayOfMonth: 1 }, null, new Date(2025, 2, 15)), null);
+    assert.deepEqual(queried, ['871687120000000011']);
+});
@@ -0,0 +1,56 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Utils lives in the browser bundle (112energie.js); the plan only needs its formatters
+global.Utils = {
+    formatCurrency: (amount, decimals = 2) => new Intl.NumberFormat('nl-NL', {
+        style: 'currency', currency: 'EUR', minimumFractionDigits: decimals, maximumFractionDigits: decimals
+    }).format(amount),
+    formatNumber: (number, decimals = 0) => new Intl.NumberFormat('nl-NL', {
+        minimumFractionDigits: decimals, maximumFractionDigits: decimals
+    }).format(number)
+};
+
+const { PaymentPlan, ARRANGEMENT_RULES } = require('../scripts/arrangement.js');
+const { FormValidator } = require('../scripts/validation.js');
+
+const minCents = ARRANGEMENT_RULES.minAmount * 100;
+const maxCents = ARRANGEMENT_RULES.maxAmount * 100;
+
+test('every cent amount in range is accepted', () => {
+    const rejected = [];
+    for (let cents = minCents; cents <= maxCents; cents++) {
+        if (PaymentPlan.validateAmount(cents / 100) !== null) rejected.push(cents / 100);
+    }
+    assert.deepEqual(rejected.slice(0, 10), []);
+});
+
+test('every cent amount survives the invoice prefill round trip', () => {
+    const rejected = [];
+    for (let cents = minCents; cents <= maxCents; cents++) {
+        // prefill() writes the Dutch formatted amount, amount() reads it back
+        const typed = Utils.formatNumber(cents / 100, 2).replace(/\./g, '');
+        if (PaymentPlan.validateAmount(FormValidator.toNumber(typed)) !== null) rejected.push(typed);
+    }
+    assert.deepEqual(rejected.slice(0, 10), []);
+});
+
+test('schedules add up to the amount in whole cents', () => {
+    for (const cents of [minCents, 6401, 6404, 6410, 12345, 99999, maxCents]) {
+        for (const months of PaymentPlan.terms(cents / 100)) {
+            const plan = PaymentPlan.schedule(cents / 100, months, { date: new Date(2025, 0, 1) });
+            const total = plan.instalments.reduce((sum, item) => sum + Math.round(item.amount * 100), 0);
+            assert.equal(total, cents);
+            assert.ok(plan.instalments.every(item => item.amount >= ARRANGEMENT_RULES.minInstalment));
+        }
+    }
+});
+
+test('fractions of a cent and amounts out of range are rejected', () => {
+    assert.match(PaymentPlan.validateAmount(64.015), /euro's en centen/);
+    assert.match(PaymentPlan.validateAmount(49.99), /geen betalingsregeling nodig/);
+    assert.match(PaymentPlan.validateAmount(2500.01), /klantenservice/);
+    assert.equal(PaymentPlan.validateAmount(0), 'Vul het openstaande bedrag in');
+    assert.equal(PaymentPlan.validateAmount(NaN), 'Vul het openstaande bedrag in');
+});
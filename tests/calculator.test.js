@@ -0,0 +1,151 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { CalculatorCore, DEFAULT_TARIFF, TariffConfig } = require('../scripts/calculator.js');
+const { DUTCH_TAXES } = require('../scripts/tariffs.js');
+
+// Fixed tax year, so the figures do not depend on the date the suite runs
+const TARIFF = { ...DEFAULT_TARIFF, taxes: DUTCH_TAXES[2025] };
+
+const HOUSEHOLD_SIZES = [1, 2, 3, 4, 5];
+const HOME_TYPES = Object.keys(TARIFF.homeTypeMultiplier);
+
+const lineTotal = (quote) => quote.breakdown.lines.reduce((sum, line) => sum + line.amount, 0);
+const line = (quote, key) => quote.breakdown.lines.find(item => item.key === key);
+
+test('every household size, home type and solar combination gives a consistent quote', () => {
+    for (const householdSize of HOUSEHOLD_SIZES) {
+        for (const homeType of HOME_TYPES) {
+            for (const hasSolar of [false, true]) {
+                const name = `${householdSize}/${homeType}/${hasSolar ? 'solar' : 'no solar'}`;
+                const quote = CalculatorCore.calculate({ householdSize, homeType, hasSolar }, TARIFF);
+
+                const base = TARIFF.consumption[householdSize];
+                const multiplier = TARIFF.homeTypeMultiplier[homeType];
+                assert.equal(quote.power, Math.round(base.power * multiplier), name);
+                assert.equal(quote.gas, Math.round(base.gas * multiplier), name);
+
+                const { subtotal, vat, vatRate } = quote.breakdown;
+                assert.ok(Math.abs(lineTotal(quote) - subtotal) < 0.01 * quote.breakdown.lines.length, name);
+                assert.ok(Math.abs(vat - subtotal * vatRate) < 0.01, name);
+                assert.ok(Math.abs(quote.yearly - (subtotal + vat)) < 0.02, name);
+                assert.equal(quote.monthly, Math.round(Math.max(0, quote.yearly) / 12), name);
+                assert.ok(Number.isFinite(quote.yearly) && quote.monthly >= 0, name);
+
+                if (hasSolar) {
+                    assert.ok(quote.solar, name);
+                    assert.ok(quote.solar.billedConsumption < quote.power, name);
+                    assert.ok(line(quote, 'feedInCompensation') && line(quote, 'feedInCosts'), name);
+                } else {
+                    assert.equal(quote.solar, null, name);
+                    assert.equal(line(quote, 'feedInCompensation'), undefined, name);
+                }
+            }
+        }
+    }
+});
+
+test('usage grows with the household and the home type', () => {
+    for (const homeType of HOME_TYPES) {
+        const quotes = HOUSEHOLD_SIZES.map(householdSize => CalculatorCore.calculate({ householdSize, homeType }, TARIFF));
+        quotes.slice(1).forEach((quote, index) => {
+            assert.ok(quote.power > quotes[index].power && quote.yearly > quotes[index].yearly, homeType);
+        });
+    }
+
+    const byType = HOME_TYPES
+        .map(homeType => CalculatorCore.calculate({ homeType }, TARIFF))
+        .sort((a, b) => a.power - b.power);
+    assert.deepEqual(byType.map(quote => quote.power), [...new Set(byType.map(quote => quote.power))]);
+});
+
+test('missing input falls back to the defaults', () => {
+    const expected = CalculatorCore.calculate(CalculatorCore.DEFAULT_INPUT, TARIFF);
+    assert.deepEqual(CalculatorCore.calculate(undefined, TARIFF), expected);
+    assert.deepEqual(CalculatorCore.calculate({}, TARIFF), expected);
+    assert.deepEqual(CalculatorCore.calculate({ solarSystem: undefined }, TARIFF), expected);
+});
+
+test('form values as strings are accepted and large households are capped', () => {
+    const expected = CalculatorCore.calculate({ householdSize: 3 }, TARIFF);
+    assert.deepEqual(CalculatorCore.calculate({ householdSize: '3' }, TARIFF), expected);
+    assert.deepEqual(
+        CalculatorCore.calculate({ householdSize: 9 }, TARIFF),
+        CalculatorCore.calculate({ householdSize: 5 }, TARIFF)
+    );
+});
+
+test('zero, negative and unknown values are rejected', () => {
+    for (const householdSize of [0, -1, 'abc', null]) {
+        assert.throws(() => CalculatorCore.calculate({ householdSize }, TARIFF), RangeError, String(householdSize));
+    }
+    assert.throws(() => CalculatorCore.calculate({ homeType: 'castle' }, TARIFF), RangeError);
+    assert.throws(() => CalculatorCore.calculate({ connection: '3x99A' }, TARIFF), RangeError);
+    assert.throws(() => CalculatorCore.calculate({ gasConnection: 'G99' }, TARIFF), RangeError);
+});
+
+test('zero or negative solar systems produce nothing', () => {
+    const withoutSolar = CalculatorCore.calculate({}, TARIFF);
+    for (const solarSystem of [{ panels: 0 }, { panels: -4 }, { panels: 0, kWp: -2 }]) {
+        const quote = CalculatorCore.calculate({ hasSolar: true, solarSystem }, TARIFF);
+        assert.equal(quote.solar.production, 0, JSON.stringify(solarSystem));
+        assert.equal(quote.solar.billedConsumption, withoutSolar.power, JSON.stringify(solarSystem));
+        assert.ok(line(quote, 'feedInCompensation').amount === 0);
+    }
+});
+
+test('a home without a gas connection has no gas lines', () => {
+    for (const householdSize of HOUSEHOLD_SIZES) {
+        const quote = CalculatorCore.calculate({ householdSize, gasConnection: 'none' }, TARIFF);
+        const withGas = CalculatorCore.calculate({ householdSize }, TARIFF);
+
+        assert.equal(quote.gas, 0);
+        assert.equal(quote.breakdown.lines.filter(item => item.key.startsWith('gas')).length, 0);
+        assert.ok(quote.yearly < withGas.yearly);
+    }
+});
+
+test('the tax credit never makes the monthly amount negative', () => {
+    const taxes = { ...TARIFF.taxes, taxCredit: 100000 };
+    const quote = CalculatorCore.calculate({ householdSize: 1, homeType: 'apartment' }, { ...TARIFF, taxes });
+
+    assert.ok(quote.yearly < 0);
+    assert.equal(quote.monthly, 0);
+});
+
+test('bracket tax splits the volume over the brackets', () => {
+    const brackets = [{ upTo: 100, rate: 1 }, { upTo: 200, rate: 0.5 }, { upTo: Infinity, rate: 0.1 }];
+    assert.equal(CalculatorCore.bracketTax(0, brackets), 0);
+    assert.equal(CalculatorCore.bracketTax(-50, brackets), 0);
+    assert.equal(CalculatorCore.bracketTax(50, brackets), 50);
+    assert.equal(CalculatorCore.bracketTax(150, brackets), 125);
+    assert.equal(CalculatorCore.bracketTax(300, brackets), 160);
+});
+
+test('a fetched tariff is used even when it cannot be stored', async (t) => {
+    const doc = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/tariffs.json'), 'utf8'));
+    const full = {
+        getItem: () => null,
+        setItem: () => { throw new Error('QuotaExceededError'); }
+    };
+    t.mock.method(global, 'fetch', async () => ({ ok: true, json: async () => doc }));
+    t.mock.method(console, 'warn', () => {});
+
+    const tariff = await TariffConfig.load('/data/tariffs.json', full, new Date('2025-06-01'));
+    assert.equal(tariff.meta.source, 'remote');
+    assert.equal(tariff.meta.version, doc.tarieven[0].versie);
+});
+
+test('the breakdown and the savings use the same feed-in compensation', () => {
+    for (const householdSize of HOUSEHOLD_SIZES) {
+        const quote = CalculatorCore.calculate({ householdSize, hasSolar: true, solarSystem: { panels: 16 } }, TARIFF);
+        const compensation = -line(quote, 'feedInCompensation').amount * (1 + quote.breakdown.vatRate);
+
+        assert.ok(quote.solar.unnetted > 0, String(householdSize));
+        assert.ok(Math.abs(compensation - quote.solar.savings.feedInCompensation) < 0.02, String(householdSize));
+    }
+});
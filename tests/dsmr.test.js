@@ -0,0 +1,124 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DSMRParser, P1Adapter, P1Replay, DSMR_CRC } = require('../scripts/dsmr.js');
+
+// DSMR 5.0 telegram from an Iskra MT382 with a gas meter on M-Bus channel 1,
+// CRLF line endings as the meter sends them
+const TELEGRAM = [
+    '/ISk5\\2MT382-1000',
+    '',
+    '1-3:0.2.8(50)',
+    '0-0:1.0.0(170102192002W)',
+    '0-0:96.1.1(4B384547303034303436333935353037)',
+    '1-0:1.8.1(000004.426*kWh)',
+    '1-0:1.8.2(000002.399*kWh)',
+    '1-0:2.8.1(000002.444*kWh)',
+    '1-0:2.8.2(000000.000*kWh)',
+    '0-0:96.14.0(0002)',
+    '1-0:1.7.0(00.244*kW)',
+    '1-0:2.7.0(00.000*kW)',
+    '0-0:96.7.21(00013)',
+    '0-0:96.7.9(00000)',
+    '1-0:99.97.0(0)(0-0:96.7.19)',
+    '1-0:32.32.0(00000)',
+    '1-0:52.32.0(00000)',
+    '1-0:72.32.0(00000)',
+    '1-0:32.36.0(00000)',
+    '1-0:52.36.0(00000)',
+    '1-0:72.36.0(00000)',
+    '0-0:96.13.0()',
+    '1-0:32.7.0(0230.0*V)',
+    '1-0:52.7.0(0230.0*V)',
+    '1-0:72.7.0(0229.0*V)',
+    '1-0:31.7.0(0.48*A)',
+    '1-0:51.7.0(0.44*A)',
+    '1-0:71.7.0(0.86*A)',
+    '1-0:21.7.0(00.070*kW)',
+    '1-0:41.7.0(00.032*kW)',
+    '1-0:61.7.0(00.142*kW)',
+    '1-0:22.7.0(00.000*kW)',
+    '1-0:42.7.0(00.000*kW)',
+    '1-0:62.7.0(00.000*kW)',
+    '0-1:24.1.0(003)',
+    '0-1:96.1.0(3232323241424344313233343536373839)',
+    '0-1:24.2.1(170102161005W)(00000.107*m3)',
+    '0-2:24.1.0(003)',
+    '0-2:96.1.0()',
+    '!'
+].join('\r\n') + '6EEE\r\n';
+
+const withCrc = (crc) => TELEGRAM.replace('!6EEE', `!${crc}`);
+
+test('the CRC16 of a real telegram matches the one the meter sent', () => {
+    const body = TELEGRAM.slice(0, TELEGRAM.indexOf('!') + 1);
+    assert.equal(DSMR_CRC.format(DSMR_CRC.compute(body)), '6EEE');
+
+    const telegram = new DSMRParser({ requireCrc: true }).parse(TELEGRAM);
+    assert.equal(telegram.crcValid, true);
+    assert.equal(telegram.header, 'ISk5\\2MT382-1000');
+    assert.equal(telegram.version, '50');
+});
+
+test('a corrupted CRC or body is rejected', () => {
+    const parser = new DSMRParser();
+    assert.throws(() => parser.parse(withCrc('6EEF')), /CRC ongeldig/);
+    assert.throws(() => parser.parse(TELEGRAM.replace('(00.244*kW)', '(00.245*kW)')), /CRC ongeldig/);
+});
+
+test('a recording that lost its carriage returns still validates', () => {
+    const telegram = new DSMRParser({ requireCrc: true }).parse(TELEGRAM.replace(/\r\n/g, '\n'));
+    assert.equal(telegram.crcValid, true);
+});
+
+test('telegrams without a CRC are only accepted when it is optional', () => {
+    const withoutCrc = TELEGRAM.replace('!6EEE', '!');
+    assert.equal(new DSMRParser().parse(withoutCrc).crcValid, null);
+    assert.throws(() => new DSMRParser({ requireCrc: true }).parse(withoutCrc), /geen CRC/);
+});
+
+test('meter totals, tariff and timestamp are read', () => {
+    const telegram = new DSMRParser().parse(TELEGRAM);
+
+    assert.equal(telegram.timestamp.toISOString(), '2017-01-02T18:20:02.000Z'); // 19:20:02 winter time
+    assert.equal(telegram.importT1, 4.426);
+    assert.equal(telegram.importT2, 2.399);
+    assert.equal(telegram.exportT1, 2.444);
+    assert.equal(telegram.exportT2, 0);
+    assert.equal(telegram.tariff, 2);
+    assert.equal(telegram.powerImport, 0.244);
+    assert.equal(telegram.powerExport, 0);
+});
+
+test('gas comes from the M-Bus gas meter with its own timestamp', () => {
+    const telegram = new DSMRParser().parse(TELEGRAM);
+
+    // Channel 2 also reports device type 003 but has no reading
+    assert.equal(telegram.gas.value, 0.107);
+    assert.equal(telegram.gas.timestamp.toISOString(), '2017-01-02T15:10:05.000Z');
+});
+
+test('power, voltage and current are reported per phase', () => {
+    const telegram = new DSMRParser().parse(TELEGRAM);
+    assert.deepEqual(
+        [telegram.powerImportL1, telegram.powerImportL2, telegram.powerImportL3],
+        [0.07, 0.032, 0.142]
+    );
+
+    const data = new P1Adapter().toMonitorData(TELEGRAM);
+    assert.deepEqual(data.phases, [
+        { import: 0.07, export: 0, voltage: 230, current: 0.48 },
+        { import: 0.032, export: 0, voltage: 230, current: 0.44 },
+        { import: 0.142, export: 0, voltage: 229, current: 0.86 }
+    ]);
+    assert.equal(data.currentUsage, 0.244);
+    assert.equal(data.meter.gas.value, 0.107);
+    assert.deepEqual(data.today, { imported: 0, exported: 0, gas: 0 });
+});
+
+test('a recording is split into its telegrams', () => {
+    const recording = `garbage from a half telegram\r\n!1234\r\n${TELEGRAM}${TELEGRAM}`;
+    assert.equal(DSMRParser.split(recording).length, 2);
+    assert.equal(new P1Replay(recording, () => {}).telegrams.length, 2);
+});